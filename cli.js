@@ -4,17 +4,56 @@
  * Futarchy TWAP CLI
  * 
  * Usage:
- *   node cli.js twap <chainId> <proposalAddress> [--endTimestamp <ts>] [--days <n>] [--rpc <url>]
+ *   node cli.js twap <chainId> <proposalAddress> [--startTimestamp <ts>] [--endTimestamp <ts>] [--days <n>] [--endBlock <n>] [--allowPartial] [--rpc <url>]
+ *   node cli.js series <chainId> <proposalAddress> [--interval <s>] [--from <ts>] [--to <ts>] [--rpc <url>]
+ *   node cli.js watch <chainId> <proposalAddress> [--poll <ms>] [--rpc <url>]
  *   node cli.js pools <chainId> <proposalAddress> [--rpc <url>]
+ *   node cli.js batch [file] [--chain <chainId>] [--concurrency <n>]   (file or stdin: one "[chainId] address" per line)
+ *   node cli.js list <chainId> [--factory <address>] [--fromBlock <n>] [--toBlock <n>]
+ *   node cli.js chains
+ *   node cli.js invalidate [proposalAddress]
+ *
+ * Results go to stdout as JSON, or --format summary|table|csv|markdown; --verbose adds
+ * progress logs on stderr. --record <file> saves the JSON-RPC traffic of a twap, series,
+ * pools, list or watch run as a fixture, and --replay <file> re-runs it from there offline.
  * 
  * Examples:
  *   node cli.js twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc
  *   node cli.js twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --endTimestamp 1738886400 --days 5
+ *   node cli.js twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --startTimestamp 1738454400 --endTimestamp 1738886400
+ *   node cli.js series 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --interval 3600
+ *   node cli.js watch 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc
  *   node cli.js pools 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc
+ *   node cli.js batch proposals.txt --chain 100 --days 5
+ *   node cli.js list 100 --fromBlock 38000000
+ *   node cli.js twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --format summary
+ *   node cli.js pools 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --format csv
+ *   node cli.js twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --startTimestamp 1738454400 --endTimestamp 1738886400 --record twap.fixture.json
+ *   node cli.js twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --startTimestamp 1738454400 --endTimestamp 1738886400 --replay twap.fixture.json
  *   node cli.js twap 100 0x45e1064... --rpc https://my-custom-rpc.com
  */
 
-const { calculateTwap, discoverPools } = require('./lib');
+const fs = require('fs');
+const {
+    calculateTwap,
+    calculateTwapBatch,
+    calculateTwapSeries,
+    watchTwap,
+    discoverPools,
+    listProposals,
+    listChains,
+    invalidateCache,
+    setLogger,
+    createConsoleLogger,
+    formatResult,
+    FORMATS,
+    getProvider,
+    RecordingProvider,
+    ReplayProvider,
+} = require('./lib');
+
+// Commands that read one chain, so they can be recorded and replayed
+const FIXTURE_COMMANDS = ['twap', 'series', 'pools', 'list', 'watch'];
 
 // ─── Arg Parsing ─────────────────────────────────────────────────────────────
 
@@ -23,8 +62,13 @@ function parseArgs(args) {
     for (let i = 0; i < args.length; i++) {
         if (args[i].startsWith('--')) {
             const key = args[i].slice(2);
-            parsed[key] = args[i + 1];
-            i++;
+            // A flag with no value (end of args, or followed by another flag) is boolean
+            if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+                parsed[key] = true;
+            } else {
+                parsed[key] = args[i + 1];
+                i++;
+            }
         } else {
             parsed._.push(args[i]);
         }
@@ -32,32 +76,131 @@ function parseArgs(args) {
     return parsed;
 }
 
+/**
+ * Batch items from text: one proposal per line as "<chainId> <address>" (space, comma
+ * or colon separated) or just "<address>" for the --chain default. Blank lines and
+ * # comments are skipped.
+ */
+function parseBatchItems(text, defaultChainId) {
+    const items = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+
+        const fields = line.split(/[\s,:]+/);
+        const [chainId, proposalAddress] = fields.length > 1 ? fields : [defaultChainId, fields[0]];
+        if (!chainId) {
+            throw new Error(`Line ${i + 1}: no chain ID (prefix the address with one, or pass --chain)`);
+        }
+        items.push({ chainId: parseInt(chainId), proposalAddress });
+    });
+    return items;
+}
+
+/**
+ * A watch update as a few lines of text: status, both TWAPs, spread and winner
+ */
+function formatWatchUpdate(result) {
+    const lines = [`[WATCH] ${result.proposalAddress} on ${result.chain} — block ${result.watch.block} (update ${result.watch.update})`];
+
+    if (result.status === 'NOT_STARTED') {
+        lines.push(`  Status:   NOT_STARTED, starts in ${result.timeUntilStart.human}`);
+    } else if (result.status === 'ACTIVE' && result.timeRemaining) {
+        lines.push(`  Status:   ACTIVE, ${result.timeRemaining.human} remaining`);
+    } else {
+        lines.push(`  Status:   ${result.status}`);
+    }
+
+    if (result.twap) {
+        lines.push(`  YES TWAP: ${result.twap.yes.price.toFixed(6)}`);
+        lines.push(`  NO TWAP:  ${result.twap.no.price.toFixed(6)}`);
+        lines.push(`  Spread:   ${result.twap.spread.toFixed(6)} (${Number(result.twap.percentDiff).toFixed(2)}%)`);
+        lines.push(`  Winner:   ${result.twap.winner}`);
+    }
+
+    lines.push(`  Updated:  ${result.timestamp}`);
+    return lines.join('\n');
+}
+
 function printUsage() {
     console.log(`
 Futarchy TWAP — On-Chain TWAP Calculator
 
 Usage:
-  futarchy-twap twap  <chainId> <proposalAddress> [options]
-  futarchy-twap pools <chainId> <proposalAddress> [options]
+  futarchy-twap twap   <chainId> <proposalAddress> [options]
+  futarchy-twap series <chainId> <proposalAddress> [options]
+  futarchy-twap watch  <chainId> <proposalAddress> [options]
+  futarchy-twap pools  <chainId> <proposalAddress> [options]
+  futarchy-twap batch  [file] [--chain <chainId>] [options]
+  futarchy-twap list   <chainId> [options]
+  futarchy-twap chains
+  futarchy-twap invalidate [proposalAddress]
 
 Commands:
-  twap    Calculate TWAP for a proposal
-  pools   Discover all 6 pools for a proposal
+  twap        Calculate TWAP for a proposal
+  series      TWAP time series (cumulative TWAP + per-interval price)
+  watch       Follow a live TWAP, redrawn whenever a new block changes it (Ctrl-C to stop)
+  pools       Discover all 6 pools for a proposal
+  batch       Calculate TWAPs for many proposals, read from a file or stdin —
+              one "<chainId> <proposalAddress>" (or just the address, with --chain) per line
+  list        List proposals created by the chain's futarchy proposal factory
+  chains      List configured chains
+  invalidate  Drop cached data for a proposal (or all of it) from TWAP_CACHE_DIR
 
 Options:
+  --startTimestamp <ts> Unix timestamp for TWAP window start
   --endTimestamp <ts>   Unix timestamp for TWAP window end (default: now)
   --days <n>            TWAP window in days (default: 5)
-  --rpc <url>           Override the default RPC URL for the chain
+  --endBlock <n>        Pin the read of an ENDED window to this block (at or after its end)
+  --allowPartial        If oracle history doesn't cover the window, use the covered part
+  --probability         Also price the prediction pools: implied P(pass) and expected price
+  --interval <s>        Series step in seconds (default: 3600)
+  --from <ts>           Series start (default: TWAP window start)
+  --to <ts>             Series end (default: TWAP window end, capped at now)
+  --poll <ms>           watch: how often to check for a new block (default: 4000)
+  --rpc <url[,url...]>  Override the chain's RPC URL(s) — later ones are fallbacks
+  --quorum <n>          Require reads to match across N of the RPC URLs
+  --timeout <ms>        Give up after this many milliseconds
+  --precision <n>       Fractional digits in decimal-string prices (default: 18)
+  --minLiquidity <n>    Warn when a pool's depth (in currency) is below this (default: 1000)
+  --manipulationPercent <n>  Price move to estimate the manipulation cost for (default: 2)
+  --noCache             Ignore cached data (TWAP_CACHE_DIR) and refresh it
+  --factory <address>   list: proposal factory (default: the chain's proposalFactory)
+  --fromBlock <n>       list: first block to scan (default: the factory's deployment block)
+  --toBlock <n>         list: last block to scan (default: latest)
+  --chain <id>          batch: chain for lines that only have an address
+  --concurrency <n>     batch: proposals computed at once (default: 4)
+  --format <name>       Output: json (default), summary, table, csv or markdown — all
+                        commands but watch; table/csv/markdown list pools, series points,
+                        batch items, proposals or chains one per row
+  --record <file>       Save every JSON-RPC request and response of the run to a fixture
+                        file (twap, series, pools, list, watch; implies --noCache)
+  --replay <file>       Answer from a fixture file instead of the network — the same
+                        command and options reproduce the recorded result exactly
+  --verbose             Log progress to stderr (stdout stays pure output)
 
 Chains:
   100   Gnosis (Algebra / Swapr)
   1     Ethereum (Uniswap V3)
+  More can be added with TWAP_CHAINS (inline JSON) or TWAP_CHAINS_FILE (path to JSON)
 
 Examples:
   futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc
   futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --endTimestamp 1738886400 --days 5
+  futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --startTimestamp 1738454400 --endTimestamp 1738886400
+  futarchy-twap series 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --interval 3600
+  futarchy-twap watch 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc
   futarchy-twap pools 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc
+  futarchy-twap batch proposals.txt --chain 100 --days 5
+  cat proposals.txt | futarchy-twap batch --concurrency 8
+  futarchy-twap list 100 --fromBlock 38000000
+  futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --format summary
+  futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --format markdown > forum-post.md
+  futarchy-twap pools 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --format csv
+  futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --startTimestamp 1738454400 --endTimestamp 1738886400 --record twap.fixture.json
+  futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --startTimestamp 1738454400 --endTimestamp 1738886400 --replay twap.fixture.json
   futarchy-twap twap 1 0xABC... --rpc https://my-custom-rpc.com
+  futarchy-twap twap 100 0x45e1064348fd8a407d6d1f59fc64b05f633b28fc --verbose 2> twap.log
 `);
 }
 
@@ -69,6 +212,125 @@ async function main() {
     const chainId = parseInt(args._[1]);
     const proposalAddress = args._[2];
 
+    // Progress logs go to stderr, so the output on stdout can still be piped
+    if (args.verbose) setLogger(createConsoleLogger({ level: 'debug' }));
+
+    const format = args.format ?? 'json';
+    if (!FORMATS.includes(format)) {
+        console.error(`Error: Unknown format "${format}" — use one of: ${FORMATS.join(', ')}`);
+        process.exit(1);
+    }
+    // Colors only on a terminal, and never with NO_COLOR set (https://no-color.org)
+    const color = !!process.stdout.isTTY && !process.env.NO_COLOR;
+    const print = result => console.log(formatResult(result, format, { color }));
+
+    if (command === 'chains') {
+        print({ chains: listChains() });
+        return;
+    }
+
+    if (command === 'invalidate') {
+        const address = args._[1];
+        if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+            console.error('Error: Invalid proposal address');
+            process.exit(1);
+        }
+        print({ invalidated: invalidateCache(address) });
+        return;
+    }
+
+    const options = {};
+    if (args.startTimestamp) options.startTimestamp = parseInt(args.startTimestamp);
+    if (args.endTimestamp) options.endTimestamp = parseInt(args.endTimestamp);
+    if (args.endBlock) options.endBlock = parseInt(args.endBlock);
+    if (args.allowPartial) options.allowPartial = true;
+    if (args.probability) options.probability = true;
+    if (args.days) options.days = parseFloat(args.days);
+    if (args.interval) options.interval = parseInt(args.interval);
+    if (args.from) options.from = parseInt(args.from);
+    if (args.to) options.to = parseInt(args.to);
+    if (args.rpc) options.rpcUrl = args.rpc.split(',');
+    if (args.quorum) options.quorum = parseInt(args.quorum);
+    if (args.timeout) options.timeoutMs = parseInt(args.timeout);
+    if (args.noCache) options.cache = false;
+    if (args.precision) options.precision = parseInt(args.precision);
+    if (args.minLiquidity) options.minLiquidity = parseFloat(args.minLiquidity);
+    if (args.manipulationPercent) options.manipulationPercent = parseFloat(args.manipulationPercent);
+
+    // Read through a fixture: record the live traffic, or replay it with no network
+    if (args.record || args.replay) {
+        const file = args.record || args.replay;
+        if (typeof file !== 'string' || (args.record && args.replay)) {
+            console.error('Error: Give one of --record <file> or --replay <file>');
+            process.exit(1);
+        }
+        if (!FIXTURE_COMMANDS.includes(command) || !chainId) {
+            console.error(`Error: --record and --replay work with one chain's command: ${FIXTURE_COMMANDS.join(', ')}`);
+            process.exit(1);
+        }
+        try {
+            if (args.replay) {
+                options.provider = ReplayProvider.fromFile(file);
+            } else {
+                const recorder = new RecordingProvider(getProvider(chainId, options.rpcUrl));
+                options.provider = recorder;
+                // Saved however the run ends — a failed call is worth archiving too
+                process.on('exit', () => {
+                    recorder.save(file);
+                    console.error(`📼 Recorded ${recorder.toJSON().requests.length} JSON-RPC request(s) to ${file}`);
+                });
+            }
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (command === 'batch') {
+        try {
+            // A file argument, or stdin ("-" or no argument, when piped)
+            const file = args._[1];
+            if ((!file || file === '-') && process.stdin.isTTY) {
+                console.error('Error: Give a file, or pipe proposals to stdin');
+                process.exit(1);
+            }
+            const text = fs.readFileSync(file && file !== '-' ? file : 0, 'utf8');
+
+            const items = parseBatchItems(text, args.chain);
+            if (items.length === 0) {
+                console.error('Error: No proposals to calculate');
+                process.exit(1);
+            }
+            if (args.concurrency) options.concurrency = parseInt(args.concurrency);
+
+            const batch = await calculateTwapBatch(items, options);
+            print(batch);
+            if (batch.failed > 0) process.exitCode = 1;
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (command === 'list') {
+        if (!chainId) {
+            printUsage();
+            process.exit(1);
+        }
+        if (args.factory) options.factory = args.factory;
+        if (args.fromBlock) options.fromBlock = parseInt(args.fromBlock);
+        if (args.toBlock) options.toBlock = parseInt(args.toBlock);
+
+        try {
+            print(await listProposals(chainId, options));
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+        return;
+    }
+
     if (!command || !chainId || !proposalAddress) {
         printUsage();
         process.exit(command ? 1 : 0);
@@ -79,16 +341,32 @@ async function main() {
         process.exit(1);
     }
 
-    const options = {};
-    if (args.endTimestamp) options.endTimestamp = parseInt(args.endTimestamp);
-    if (args.days) options.days = parseFloat(args.days);
-    if (args.rpc) options.rpcUrl = args.rpc;
+    if (command === 'watch') {
+        // Ctrl-C ends the watch instead of killing it mid-update
+        const controller = new AbortController();
+        process.once('SIGINT', () => controller.abort());
+        if (args.poll) options.pollIntervalMs = parseInt(args.poll);
+
+        try {
+            for await (const update of watchTwap(proposalAddress, chainId, { ...options, signal: controller.signal })) {
+                // Redraw in place on a terminal; one block per update when piped
+                if (process.stdout.isTTY) process.stdout.write('\x1b[H\x1b[2J');
+                console.log(`${formatWatchUpdate(update)}\n`);
+            }
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+        return;
+    }
 
     try {
         let result;
 
         if (command === 'twap') {
             result = await calculateTwap(proposalAddress, chainId, options);
+        } else if (command === 'series') {
+            result = await calculateTwapSeries(proposalAddress, chainId, options);
         } else if (command === 'pools') {
             result = await discoverPools(proposalAddress, chainId, options);
         } else {
@@ -97,7 +375,7 @@ async function main() {
             process.exit(1);
         }
 
-        console.log(JSON.stringify(result, null, 2));
+        print(result);
 
     } catch (err) {
         console.error(`Error: ${err.message}`);
@@ -115,7 +115,7 @@ if [ -z "$API_ID" ]; then
     API_ID=$(aws apigatewayv2 create-api \
         --name $API_NAME \
         --protocol-type HTTP \
-        --cors-configuration AllowOrigins='*',AllowMethods='GET,OPTIONS',AllowHeaders='Content-Type' \
+        --cors-configuration AllowOrigins='*',AllowMethods='GET,POST,DELETE,OPTIONS',AllowHeaders='Content-Type,Authorization,Cache-Control,If-None-Match',ExposeHeaders='ETag' \
         --region $REGION \
         --query 'ApiId' --output text)
 fi
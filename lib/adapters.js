@@ -0,0 +1,238 @@
+/**
+ * Router Adapters — serve ./router on each deployment target
+ *
+ *   createExpressHandler(router)   Express middleware — also a request listener for Node's
+ *                                  http.createServer()
+ *   createLambdaHandler(router)    AWS Lambda behind API Gateway (REST v1 or HTTP API v2 events);
+ *                                  no event streams, API Gateway buffers responses
+ *   createFetchHandler(router)     Request → Response, for fetch-style runtimes (Workers, Deno, Bun)
+ *
+ * Adapters only translate requests and responses — routes, validation, logging and
+ * metrics all live in the router, so every target serves the same API.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Response body as sent on the wire — JSON unless the route already made it a string
+function serializeBody(response) {
+    if (response.body === undefined || response.status === 304) return '';
+    return typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+}
+
+const tooLarge = {
+    status: 413,
+    headers: { 'Content-Type': 'application/json' },
+    body: { error: `Request body over ${MAX_BODY_BYTES} bytes`, code: 'PAYLOAD_TOO_LARGE' },
+};
+
+// ─── Express / Node http ─────────────────────────────────────────────────────
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        // Past the limit, keep draining (so the client can read the 413) but stop buffering
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { code: 'PAYLOAD_TOO_LARGE' }));
+                return;
+            }
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        // A client that hangs up mid-upload: 'error' (ECONNRESET) on Node 20, 'aborted' before
+        req.on('error', reject);
+        req.on('aborted', () => reject(Object.assign(new Error('Request aborted'), { code: 'ECONNRESET' })));
+    });
+}
+
+// A response that can't be answered normally: a 500 if nothing was sent yet, else cut short
+function failResponse(res, err) {
+    if (res.headersSent || res.destroyed) {
+        res.destroy(err);
+        return;
+    }
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: err?.message || String(err), code: 'INTERNAL_ERROR' }));
+}
+
+/**
+ * Express middleware / Node http request listener. A body already parsed by earlier
+ * middleware (e.g. express.json()) is used as is; otherwise it's read here. The returned
+ * promise never rejects: unexpected failures go to Express's next(err), or become a 500.
+ */
+function createExpressHandler(router) {
+    const serve = async (req, res) => {
+        const url = new URL(req.originalUrl || req.url, 'http://localhost');
+
+        // Abort the library calls when the client disconnects
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        let body = req.body;
+        if (body === undefined && !['GET', 'HEAD'].includes(req.method)) {
+            try {
+                body = await readBody(req);
+            } catch (err) {
+                if (err.code === 'PAYLOAD_TOO_LARGE') {
+                    res.writeHead(tooLarge.status, tooLarge.headers);
+                    res.end(serializeBody(tooLarge));
+                } else {
+                    // The client went away mid-upload — there's no one to answer
+                    res.destroy();
+                }
+                return;
+            }
+        }
+
+        const response = await router.handle({
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            headers: req.headers,
+            body,
+            signal: controller.signal,
+            streaming: true,
+        });
+
+        res.writeHead(response.status, response.headers);
+        if (!response.stream) {
+            res.end(serializeBody(response));
+            return;
+        }
+        res.flushHeaders();
+        await response.stream(chunk => res.write(chunk));
+        res.end();
+    };
+
+    return async (req, res, next) => {
+        try {
+            await serve(req, res);
+        } catch (err) {
+            if (typeof next === 'function' && !res.headersSent) next(err);
+            else failResponse(res, err);
+        }
+    };
+}
+
+// ─── API Gateway (Lambda) ────────────────────────────────────────────────────
+
+/**
+ * Lambda handler for API Gateway v1 (REST) and v2 (HTTP API) events. The request ID is the
+ * Lambda's, and the deadline leaves a second to answer before the Lambda itself times out.
+ */
+function createLambdaHandler(router) {
+    return async (event, context) => {
+        // v2 lowercases header names, v1 keeps them as sent
+        const headers = {};
+        for (const [name, value] of Object.entries(event.headers || {})) headers[name.toLowerCase()] = value;
+
+        const body = event.body && event.isBase64Encoded
+            ? Buffer.from(event.body, 'base64').toString('utf8')
+            : event.body;
+
+        const response = await router.handle({
+            method: event.requestContext?.http?.method || event.httpMethod || 'GET',
+            path: event.rawPath || event.path || '/',
+            query: event.queryStringParameters || {},
+            headers,
+            body,
+            requestId: context?.awsRequestId || event.requestContext?.requestId,
+            timeoutMs: context?.getRemainingTimeInMillis
+                ? Math.max(1000, context.getRemainingTimeInMillis() - 1000)
+                : undefined,
+            streaming: false,
+        });
+
+        return { statusCode: response.status, headers: response.headers, body: serializeBody(response) };
+    };
+}
+
+// ─── Fetch ───────────────────────────────────────────────────────────────────
+
+// A Request's body as text, counted in bytes as it arrives — null once it's over the limit
+async function readRequestBody(request) {
+    const declared = Number(request.headers.get('content-length'));
+    if (declared > MAX_BODY_BYTES) return null;
+    if (!request.body) return '';
+
+    const reader = request.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        size += value.byteLength;
+        if (size > MAX_BODY_BYTES) {
+            await reader.cancel();
+            return null;
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+    return text + decoder.decode();
+}
+
+/**
+ * Standard fetch handler: (Request) → Promise<Response>. Event streams are sent as a
+ * ReadableStream and stop when the client goes away.
+ */
+function createFetchHandler(router) {
+    return async request => {
+        const url = new URL(request.url);
+        const controller = new AbortController();
+        request.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+        let body;
+        if (!['GET', 'HEAD'].includes(request.method)) {
+            body = await readRequestBody(request);
+            if (body === null) {
+                return new Response(serializeBody(tooLarge), { status: tooLarge.status, headers: tooLarge.headers });
+            }
+        }
+
+        const response = await router.handle({
+            method: request.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            headers: Object.fromEntries(request.headers),
+            body,
+            signal: controller.signal,
+            streaming: true,
+        });
+
+        if (!response.stream) {
+            const hasBody = response.body !== undefined && response.status !== 304;
+            return new Response(hasBody ? serializeBody(response) : null, { status: response.status, headers: response.headers });
+        }
+
+        const encoder = new TextEncoder();
+        const stream = new ReadableStream({
+            start(streamController) {
+                const write = chunk => {
+                    if (!controller.signal.aborted) streamController.enqueue(encoder.encode(chunk));
+                };
+                response.stream(write).then(() => {
+                    if (!controller.signal.aborted) streamController.close();
+                }, err => {
+                    if (!controller.signal.aborted) streamController.error(err);
+                });
+            },
+            cancel() {
+                controller.abort();
+            },
+        });
+        return new Response(stream, { status: response.status, headers: response.headers });
+    };
+}
+
+module.exports = {
+    createExpressHandler,
+    createLambdaHandler,
+    createFetchHandler,
+};
@@ -0,0 +1,414 @@
+/**
+ * Webhook Alerts — POST to subscribers when a proposal's TWAP changes in a way that matters
+ *
+ * A subscription watches one proposal and fires on:
+ *   status_changed     NOT_STARTED → ACTIVE → ENDED
+ *   winner_flipped     the TWAP winner goes from YES to NO or back
+ *   threshold_crossed  percentDiff rises above or falls below the subscription's threshold
+ *
+ * Subscriptions and the last state seen for each are kept in a JSON file, so a restart
+ * doesn't re-fire alerts. The poller recomputes every subscription's TWAP each interval
+ * (through calculateTwapBatch) and compares it with that state; the first check only
+ * records it. Subscriptions stop being polled once their window has ENDED.
+ *
+ * With a secret, each POST carries X-Futarchy-Signature: sha256=HMAC(secret, "<timestamp>.<body>"),
+ * timestamp being the X-Futarchy-Timestamp header — verify both to reject forged or replayed calls.
+ *
+ * Webhooks are never sent to loopback, link-local (e.g. cloud metadata at 169.254.169.254) or
+ * private-network addresses, checked on the address each delivery actually connects to —
+ * unless the host is listed in WEBHOOK_ALLOWED_HOSTS.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const fetch = require('node-fetch');
+const { getChainConfig } = require('./chains');
+const { redactUrl } = require('./rpc');
+const { getLogger } = require('./logger');
+const { InvalidInputError } = require('./errors');
+
+const ALERT_EVENTS = ['status_changed', 'winner_flipped', 'threshold_crossed'];
+const DEFAULT_POLL_INTERVAL_MS = 60000;
+const DEFAULT_POLL_CONCURRENCY = 4;
+const DELIVERY_TIMEOUT_MS = 5000;
+const DELIVERY_RETRIES = 2;         // after the first attempt
+const DELIVERY_RETRY_DELAY_MS = 1000;
+
+// ─── Webhook Hosts ───────────────────────────────────────────────────────────
+
+// Addresses a webhook must not reach: this host, its link-local and private networks
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [subnet, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(subnet, prefix, 'ipv4');
+}
+for (const [subnet, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+    PRIVATE_ADDRESSES.addSubnet(subnet, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Hosts an operator trusts with webhooks even on a private network [WEBHOOK_ALLOWED_HOSTS]
+function isAllowedHost(hostname) {
+    const allowed = (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase());
+    return allowed.includes(hostname.toLowerCase());
+}
+
+const blockedHostError = (hostname, address) => Object.assign(
+    new Error(`Webhook host ${hostname}${address ? ` resolves to ${address},` : ' is'} a private or local address`),
+    { code: 'WEBHOOK_HOST_BLOCKED' }
+);
+
+// Why a webhook url's host can't be used as written (localhost or a private IP), or null.
+// Names are checked again once resolved, when a delivery connects (see webhookAgents).
+function blockedHost(url) {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (isAllowedHost(hostname)) return null;
+    if (/(^|\.)localhost\.?$/i.test(hostname) || isPrivateAddress(hostname)) return blockedHostError(hostname);
+    return null;
+}
+
+// dns.lookup for webhook sockets — fails for names that resolve to a private address, so a
+// name can't be pointed at one after it was validated
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blocked = isAllowedHost(hostname) ? undefined : addresses.find(isPrivateAddress);
+        if (blocked) return callback(blockedHostError(hostname, blocked));
+        callback(null, address, family);
+    });
+}
+
+const webhookAgents = {
+    'http:': new http.Agent({ lookup: publicLookup }),
+    'https:': new https.Agent({ lookup: publicLookup }),
+};
+
+// ─── Subscription Store ──────────────────────────────────────────────────────
+
+/**
+ * Subscriptions in one JSON file, read once and rewritten on every change
+ */
+class SubscriptionStore {
+    constructor(file) {
+        this.file = file;
+        this.subscriptions = new Map();
+        try {
+            for (const subscription of JSON.parse(fs.readFileSync(file, 'utf8'))) {
+                this.subscriptions.set(subscription.id, subscription);
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw new Error(`${file}: ${err.message}`);
+        }
+    }
+
+    list() {
+        return [...this.subscriptions.values()];
+    }
+
+    get(id) {
+        return this.subscriptions.get(id);
+    }
+
+    add(fields) {
+        const subscription = { id: crypto.randomUUID(), ...fields, createdAt: new Date().toISOString(), state: null };
+        this.subscriptions.set(subscription.id, subscription);
+        this.save();
+        return subscription;
+    }
+
+    update(id, fields) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) return undefined;
+        Object.assign(subscription, fields);
+        this.save();
+        return subscription;
+    }
+
+    remove(id) {
+        const removed = this.subscriptions.delete(id);
+        if (removed) this.save();
+        return removed;
+    }
+
+    save() {
+        // Write-then-rename so a crash never leaves half a file
+        fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+        const tmp = `${this.file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+/**
+ * Check a new subscription's fields, returning them normalized — throws on anything invalid
+ *
+ * @param {object} raw - { chainId, proposalAddress, url, secret?, events?, percentDiffThreshold?, options? }
+ */
+function validateSubscription(raw) {
+    if (!raw || typeof raw !== 'object') throw new InvalidInputError('Expected a JSON object');
+
+    const chainId = parseInt(raw.chainId);
+    getChainConfig(chainId);
+    if (!/^0x[a-fA-F0-9]{40}$/.test(raw.proposalAddress || '')) throw new InvalidInputError('Invalid proposal address');
+
+    let url;
+    try {
+        url = new URL(raw.url);
+    } catch {
+        throw new InvalidInputError('Invalid webhook url');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new InvalidInputError('Webhook url must be http(s)');
+    const blocked = blockedHost(url);
+    if (blocked) throw new InvalidInputError(`${blocked.message} — list it in WEBHOOK_ALLOWED_HOSTS to allow it`);
+
+    const events = raw.events ?? ALERT_EVENTS;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !ALERT_EVENTS.includes(event))) {
+        throw new InvalidInputError(`events must be a non-empty list of: ${ALERT_EVENTS.join(', ')}`);
+    }
+
+    const threshold = raw.percentDiffThreshold ?? null;
+    if (threshold !== null && !(Number(threshold) > 0)) throw new InvalidInputError('percentDiffThreshold must be a positive number');
+    if (events.includes('threshold_crossed') && raw.events && threshold === null) {
+        throw new InvalidInputError('threshold_crossed needs a percentDiffThreshold');
+    }
+
+    return {
+        chainId,
+        proposalAddress: raw.proposalAddress,
+        url: url.toString(),
+        secret: raw.secret ? String(raw.secret) : null,
+        events,
+        percentDiffThreshold: threshold === null ? null : Number(threshold),
+        options: raw.options || {},
+    };
+}
+
+/**
+ * A subscription as shown to API clients — the secret never leaves the server
+ */
+function publicSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, signed: !!secret };
+}
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * The part of a TWAP result alerts compare
+ */
+function alertState(result) {
+    return {
+        status: result.status,
+        winner: result.twap?.winner ?? null,
+        percentDiff: result.twap ? Number(result.twap.percentDiff) : null,
+        checkedAt: result.timestamp,
+    };
+}
+
+/**
+ * Alerts between the last state seen and the current one, for the events the
+ * subscription asked for. Returns [{ event, ...details }].
+ */
+function detectAlerts(subscription, previous, current) {
+    if (!previous) return [];
+    const alerts = [];
+
+    if (current.status !== previous.status) {
+        alerts.push({ event: 'status_changed', from: previous.status, to: current.status });
+    }
+
+    const decided = winner => winner === 'YES' || winner === 'NO';
+    if (decided(previous.winner) && decided(current.winner) && current.winner !== previous.winner) {
+        alerts.push({ event: 'winner_flipped', from: previous.winner, to: current.winner });
+    }
+
+    const threshold = subscription.percentDiffThreshold;
+    if (threshold && previous.percentDiff !== null && current.percentDiff !== null) {
+        const wasAbove = previous.percentDiff >= threshold;
+        const isAbove = current.percentDiff >= threshold;
+        if (wasAbove !== isAbove) {
+            alerts.push({ event: 'threshold_crossed', direction: isAbove ? 'above' : 'below', threshold });
+        }
+    }
+
+    return alerts.filter(alert => subscription.events.includes(alert.event));
+}
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+/**
+ * HMAC-SHA256 of "<timestamp>.<body>", hex encoded
+ */
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function pause(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * POST an alert to the subscription's url, retrying network errors and 5xx with backoff.
+ * Resolves to { status } or { error } — delivery failures never throw. A url whose host
+ * is (or resolves to) a private address isn't called.
+ */
+async function deliverWebhook(subscription, payload) {
+    const blocked = blockedHost(new URL(subscription.url));
+    if (blocked) return { error: blocked.message };
+
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'futarchy-twap-webhooks',
+        'X-Futarchy-Event': payload.event,
+        'X-Futarchy-Timestamp': String(timestamp),
+    };
+    if (subscription.secret) {
+        headers['X-Futarchy-Signature'] = `sha256=${signPayload(subscription.secret, timestamp, body)}`;
+    }
+
+    let error;
+    for (let attempt = 0; attempt <= DELIVERY_RETRIES; attempt++) {
+        if (attempt > 0) await pause(DELIVERY_RETRY_DELAY_MS * 2 ** (attempt - 1));
+        try {
+            const res = await fetch(subscription.url, {
+                method: 'POST',
+                headers,
+                body,
+                timeout: DELIVERY_TIMEOUT_MS,
+                agent: url => webhookAgents[url.protocol],
+                // A redirect could point at an address the checks above would refuse
+                redirect: 'manual',
+            });
+            if (res.ok) return { status: res.status };
+            error = `HTTP ${res.status} from ${redactUrl(subscription.url)}`;
+            if (res.status < 500) break;
+        } catch (err) {
+            error = err.message;
+            if (err.code === 'WEBHOOK_HOST_BLOCKED') break;
+        }
+    }
+    return { error };
+}
+
+// ─── Poller ──────────────────────────────────────────────────────────────────
+
+/**
+ * Poll every live subscription and deliver its alerts.
+ *
+ * @param {object} options
+ * @param {SubscriptionStore} options.store - Where subscriptions live
+ * @param {function} options.calculateBatch - calculateTwapBatch (injected, see ./index)
+ * @param {number} [options.intervalMs=60000] - Time between checks
+ * @param {number} [options.concurrency=4] - Proposals computed at once
+ * @param {object} [options.logger] - Logger (default: the global one, see ./logger)
+ * @returns {object} { start(), stop(), check() } — check() runs one round now
+ */
+function createAlertPoller(options) {
+    const { store, calculateBatch } = options;
+    const intervalMs = options.intervalMs || DEFAULT_POLL_INTERVAL_MS;
+    const logger = getLogger(options.logger);
+    let timer = null;
+    let running = null;
+
+    async function checkSubscriptions() {
+        const live = store.list().filter(subscription => subscription.state?.status !== 'ENDED');
+        if (live.length === 0) return;
+
+        const { results } = await calculateBatch(live.map(subscription => ({
+            chainId: subscription.chainId,
+            proposalAddress: subscription.proposalAddress,
+            options: subscription.options,
+        })), { concurrency: options.concurrency || DEFAULT_POLL_CONCURRENCY, logger });
+
+        for (const [i, { result, error }] of results.entries()) {
+            const subscription = live[i];
+            if (!store.get(subscription.id)) continue;   // Deleted while polling
+            if (error) {
+                logger.warn(`  ⚠ Alert check failed for ${subscription.proposalAddress}: ${error}`, { subscriptionId: subscription.id });
+                continue;
+            }
+
+            const current = alertState(result);
+            let { lastDelivery } = subscription;
+            for (const alert of detectAlerts(subscription, subscription.state, current)) {
+                const payload = {
+                    ...alert,
+                    subscriptionId: subscription.id,
+                    chainId: subscription.chainId,
+                    proposalAddress: subscription.proposalAddress,
+                    previous: subscription.state,
+                    current,
+                    result,
+                    timestamp: new Date().toISOString(),
+                };
+                const delivery = await deliverWebhook(subscription, payload);
+                logger[delivery.error ? 'warn' : 'info'](
+                    `  🔔 ${alert.event} for ${subscription.proposalAddress} → ${redactUrl(subscription.url)}: ${delivery.error || delivery.status}`,
+                    { subscriptionId: subscription.id, event: alert.event, ...delivery }
+                );
+                lastDelivery = { event: alert.event, at: payload.timestamp, ...delivery };
+            }
+            store.update(subscription.id, { state: current, lastDelivery });
+        }
+    }
+
+    // One round at a time — a slow round delays the next instead of overlapping it
+    function check() {
+        if (!running) {
+            running = checkSubscriptions()
+                .catch(err => logger.error(`  ❌ Alert poll failed: ${err.message}`))
+                .finally(() => {
+                    running = null;
+                });
+        }
+        return running;
+    }
+
+    function schedule() {
+        timer = setTimeout(async () => {
+            await check();
+            if (timer) schedule();
+        }, intervalMs);
+        timer.unref?.();
+    }
+
+    return {
+        start() {
+            if (timer) return;
+            schedule();
+            check();
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+        check,
+    };
+}
+
+module.exports = {
+    ALERT_EVENTS,
+    SubscriptionStore,
+    validateSubscription,
+    publicSubscription,
+    detectAlerts,
+    signPayload,
+    deliverWebhook,
+    createAlertPoller,
+};
@@ -0,0 +1,222 @@
+/**
+ * Result Cache — in-memory LRU, optionally backed by a directory of JSON files
+ *
+ * Used for data that never changes once it exists: a proposal's wrapped outcome
+ * tokens, pool addresses, token order (inversion), token metadata, and TWAPs over
+ * ENDED windows. Entries don't expire — they're evicted (memory) or invalidated.
+ *
+ *   TWAP_CACHE_SIZE=5000        max in-memory entries (0 disables caching)
+ *   TWAP_CACHE_DIR=./.cache     also persist entries as files, so they survive restarts
+ *
+ * Lookups are synchronous so a cache miss doesn't delay the read behind it — reads
+ * issued together still share one multicall batch.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+// ─── Stores ──────────────────────────────────────────────────────────────────
+
+/**
+ * In-memory LRU. Values are stored serialized, so callers can't mutate a cached entry.
+ */
+class LruCache {
+    constructor(maxEntries = DEFAULT_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const raw = this.entries.get(key);
+        // Map keeps insertion order — re-insert to mark as most recently used
+        this.entries.delete(key);
+        this.entries.set(key, raw);
+        return JSON.parse(raw);
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, JSON.stringify(value));
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * One JSON file per entry, named after the key (which is made of chain IDs,
+ * lowercase addresses and numbers)
+ */
+class FileStore {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, `${key.replace(/[^a-zA-Z0-9_.-]/g, '_')}.json`);
+    }
+
+    get(key) {
+        try {
+            return JSON.parse(fs.readFileSync(this.fileFor(key), 'utf8'));
+        } catch {
+            return undefined;
+        }
+    }
+
+    set(key, value) {
+        // Write-then-rename so a concurrent reader never sees half a file
+        const file = this.fileFor(key);
+        const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        fs.promises.writeFile(tmp, JSON.stringify(value))
+            .then(() => fs.promises.rename(tmp, file))
+            .catch(err => log.warn(`  ⚠ Cache write failed for ${key}: ${err.message}`, { key }));
+    }
+
+    keys() {
+        try {
+            return fs.readdirSync(this.dir)
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -'.json'.length));
+        } catch {
+            return [];
+        }
+    }
+
+    delete(name) {
+        try {
+            fs.unlinkSync(path.join(this.dir, `${name}.json`));
+        } catch {
+            // Already gone
+        }
+    }
+}
+
+// ─── Layered Cache ───────────────────────────────────────────────────────────
+
+class Cache {
+    /**
+     * @param {object} [options] - { maxEntries?, dir? } — maxEntries 0 disables caching
+     */
+    constructor(options = {}) {
+        const maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+        this.enabled = maxEntries > 0;
+        this.memory = new LruCache(maxEntries);
+        this.file = this.enabled && options.dir ? new FileStore(options.dir) : null;
+    }
+
+    get(key) {
+        if (!this.enabled) return undefined;
+
+        let value = this.memory.get(key);
+        if (value === undefined && this.file) {
+            value = this.file.get(key);
+            if (value !== undefined) this.memory.set(key, value);
+        }
+        return value;
+    }
+
+    set(key, value) {
+        if (!this.enabled) return;
+        this.memory.set(key, value);
+        if (this.file) this.file.set(key, value);
+    }
+
+    /**
+     * Drop every entry with `part` (e.g. a proposal address, case-insensitive) as one of
+     * its key's parts, or all entries without one. Returns the number of entries removed.
+     */
+    invalidate(part) {
+        const needle = part ? String(part).toLowerCase() : null;
+        // Whole parts only — a fragment of an address mustn't match other proposals' keys
+        const matches = parts => needle === null || parts.includes(needle);
+        let removed = 0;
+
+        for (const key of this.memory.keys()) {
+            if (matches(key.split(':'))) {
+                this.memory.delete(key);
+                removed++;
+            }
+        }
+        if (this.file) {
+            // File names are keys with ':' replaced (see FileStore.fileFor)
+            for (const name of this.file.keys()) {
+                if (matches(name.split('_'))) {
+                    this.file.delete(name);
+                    removed++;
+                }
+            }
+        }
+        return removed;
+    }
+}
+
+function createCacheFromEnv(env = process.env) {
+    const size = parseInt(env.TWAP_CACHE_SIZE);
+    return new Cache({
+        maxEntries: Number.isNaN(size) ? DEFAULT_MAX_ENTRIES : size,
+        dir: env.TWAP_CACHE_DIR || null,
+    });
+}
+
+// ─── HTTP Caching ────────────────────────────────────────────────────────────
+
+// Per-request fields that shouldn't change the ETag of an otherwise identical result
+const VOLATILE_FIELDS = ['timestamp', 'rpc', 'cached'];
+
+/**
+ * Cache-Control and ETag headers for an API result, based on its status:
+ * ENDED results never change (once their question is final), ACTIVE ones change every block.
+ */
+function cacheHeaders(result) {
+    if (!result || result.error) {
+        return { 'Cache-Control': 'no-store' };
+    }
+
+    // An ENDED TWAP never changes, but its Reality.eth question does until it's final
+    const question = result.question;
+    const settled = !question || question.available === false || question.state === 'FINALIZED';
+
+    let cacheControl;
+    if (result.status === 'ENDED' && settled) cacheControl = 'public, max-age=31536000, immutable';
+    else if (result.status === 'ENDED') cacheControl = 'public, max-age=60';
+    else if (result.status === 'NOT_STARTED') cacheControl = 'public, max-age=60';
+    else cacheControl = 'public, max-age=15';
+
+    const stable = { ...result };
+    for (const field of VOLATILE_FIELDS) delete stable[field];
+    const hash = crypto.createHash('sha1').update(JSON.stringify(stable)).digest('base64url');
+
+    return { 'Cache-Control': cacheControl, ETag: `"${hash}"` };
+}
+
+/**
+ * Whether a request's If-None-Match header matches an ETag
+ */
+function etagMatches(ifNoneMatch, etag) {
+    if (!ifNoneMatch || !etag) return false;
+    return ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*');
+}
+
+module.exports = {
+    Cache,
+    LruCache,
+    FileStore,
+    createCacheFromEnv,
+    cacheHeaders,
+    etagMatches,
+};
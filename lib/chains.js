@@ -0,0 +1,241 @@
+/**
+ * Chain Registry
+ *
+ * Built-in chains are Gnosis (Algebra) and Ethereum (Uniswap V3). More chains can be added
+ * without forking, either at startup or at runtime:
+ *
+ *   TWAP_CHAINS='{"8453": {...}}'          inline JSON
+ *   TWAP_CHAINS_FILE=./chains.json         path to a JSON file
+ *   registerChain(8453, {...})             from code
+ *
+ * A chain entry looks like:
+ *   {
+ *     "name": "Base",
+ *     "mode": "uniswap",                                   // "algebra" or "uniswap"
+ *     "factory": "0x33128a8fC17869897dcE68Ed026d694621f6FDfD",
+ *     "feeTiers": [500, 3000, 10000, 100],                 // uniswap only
+ *     "rpcUrls": ["https://mainnet.base.org", "https://base-rpc.publicnode.com"],
+ *     "multicall": "0xcA11bde05977b3631167028862bE2a173976CA11", // optional
+ *     "rpcTimeoutMs": 10000,                               // optional, per HTTP request
+ *     "rpcRetries": 2,                                     // optional, per endpoint
+ *     "proposalFactory": "0x...",                          // optional, for listProposals
+ *     "proposalFactoryBlock": 12345678,                    // optional, its deployment block
+ *     "logChunkSize": 10000,                               // optional, blocks per eth_getLogs
+ *     "realityEth": "0x..."                                // optional, else read from proposalFactory
+ *   }
+ *
+ * RPC URLs are tried in order, failing over to the next one (see ./rpc).
+ *
+ * The JSON may be an object keyed by chain ID or an array of entries with a `chainId` field.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { InvalidInputError } = require('./errors');
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Reality.eth v3.0 — the oracle futarchy proposals resolve through
+const REALITY_ETH_V3 = {
+    100: '0xE78996A233895bE74a66F451f1019cA9734205cc',
+    1: '0x5b7dD1E86623548AF054A4985F7fc8Ccbb554E2c',
+};
+
+const MODES = ['algebra', 'uniswap'];
+
+/**
+ * RPC URL list from an env var (comma-separated), falling back to public defaults
+ */
+function rpcUrlsFromEnv(value, defaults) {
+    const urls = (value || '').split(',').map(url => url.trim()).filter(Boolean);
+    return urls.length > 0 ? urls : defaults;
+}
+
+// ─── Built-in Chains ─────────────────────────────────────────────────────────
+
+const CHAIN_CONFIG = {};
+
+const BUILTIN_CHAINS = {
+    100: {
+        name: 'Gnosis',
+        rpcUrls: rpcUrlsFromEnv(process.env.GNOSIS_RPC, [
+            'https://rpc.gnosischain.com',
+            'https://gnosis-rpc.publicnode.com',
+            'https://rpc.gnosis.gateway.fm',
+        ]),
+        mode: 'algebra',
+        factory: '0xA0864cCA6E114013AB0e27cbd5B6f4c8947da766',  // Swapr/Algebra Factory
+        multicall: MULTICALL3_ADDRESS,
+        // No built-in proposal factory: list proposals with GNOSIS_PROPOSAL_FACTORY (and
+        // its deployment block) set, or a factory passed per call
+        proposalFactory: process.env.GNOSIS_PROPOSAL_FACTORY || undefined,
+        proposalFactoryBlock: parseInt(process.env.GNOSIS_PROPOSAL_FACTORY_BLOCK) || undefined,
+        realityEth: process.env.GNOSIS_REALITY_ETH || REALITY_ETH_V3[100],
+    },
+    1: {
+        name: 'Ethereum',
+        rpcUrls: rpcUrlsFromEnv(process.env.ETHEREUM_RPC, [
+            'https://eth-mainnet.public.blastapi.io',
+            'https://ethereum-rpc.publicnode.com',
+            'https://eth.llamarpc.com',
+        ]),
+        mode: 'uniswap',
+        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',  // Uniswap V3 Factory
+        feeTiers: [500, 3000, 10000, 100],
+        multicall: MULTICALL3_ADDRESS,
+        proposalFactory: process.env.ETHEREUM_PROPOSAL_FACTORY || undefined,
+        proposalFactoryBlock: parseInt(process.env.ETHEREUM_PROPOSAL_FACTORY_BLOCK) || undefined,
+        realityEth: process.env.ETHEREUM_REALITY_ETH || REALITY_ETH_V3[1],
+    },
+};
+
+// ─── Registration ────────────────────────────────────────────────────────────
+
+/**
+ * Validate a chain entry and normalize it: `rpcUrl` (single) and `rpcUrls` (list)
+ * are both accepted, and both are present afterwards.
+ */
+function normalizeChain(chainId, entry) {
+    const id = Number(chainId);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error(`Invalid chain ID: ${chainId}`);
+    }
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`Chain ${id}: config must be an object`);
+    }
+    if (!MODES.includes(entry.mode)) {
+        throw new Error(`Chain ${id}: mode must be one of ${MODES.join(', ')}`);
+    }
+    if (!ethers.utils.isAddress(entry.factory || '')) {
+        throw new Error(`Chain ${id}: factory must be an address`);
+    }
+    if (entry.mode === 'uniswap' && (!Array.isArray(entry.feeTiers) || entry.feeTiers.length === 0)) {
+        throw new Error(`Chain ${id}: feeTiers are required for uniswap mode`);
+    }
+    if (entry.multicall && !ethers.utils.isAddress(entry.multicall)) {
+        throw new Error(`Chain ${id}: multicall must be an address`);
+    }
+    if (entry.proposalFactory && !ethers.utils.isAddress(entry.proposalFactory)) {
+        throw new Error(`Chain ${id}: proposalFactory must be an address`);
+    }
+    if (entry.realityEth && !ethers.utils.isAddress(entry.realityEth)) {
+        throw new Error(`Chain ${id}: realityEth must be an address`);
+    }
+
+    const rpcUrls = [].concat(entry.rpcUrls || [], entry.rpcUrl || []).filter(Boolean);
+    if (rpcUrls.length === 0) {
+        throw new Error(`Chain ${id}: at least one RPC URL is required`);
+    }
+
+    return {
+        ...entry,
+        name: entry.name || `Chain ${id}`,
+        rpcUrl: rpcUrls[0],
+        rpcUrls: [...new Set(rpcUrls)],
+        feeTiers: entry.mode === 'uniswap' ? entry.feeTiers.map(Number) : undefined,
+        multicall: entry.multicall || null,
+        proposalFactory: entry.proposalFactory || null,
+        proposalFactoryBlock: Number(entry.proposalFactoryBlock) || 0,
+        realityEth: entry.realityEth || null,
+    };
+}
+
+// Callbacks run after a chain is (re-)registered — lets the provider cache drop stale entries
+const listeners = [];
+function onChainRegistered(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Register (or replace) a chain at runtime.
+ *
+ * @param {number} chainId - EVM chain ID
+ * @param {object} config - { name, mode, factory, feeTiers?, rpcUrls | rpcUrl, multicall? }
+ * @returns {object} The normalized chain config
+ */
+function registerChain(chainId, config) {
+    const normalized = normalizeChain(chainId, config);
+    CHAIN_CONFIG[Number(chainId)] = normalized;
+    for (const listener of listeners) listener(Number(chainId), normalized);
+    return normalized;
+}
+
+/**
+ * Register every chain in a JSON config: an object keyed by chain ID,
+ * or an array of entries with a `chainId` field.
+ */
+function registerChains(json, origin = 'config') {
+    const entries = Array.isArray(json)
+        ? json.map(entry => [entry.chainId, entry])
+        : Object.entries(json || {});
+
+    for (const [chainId, entry] of entries) {
+        try {
+            registerChain(chainId, entry);
+        } catch (err) {
+            throw new Error(`${origin}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Load chains from TWAP_CHAINS_FILE and TWAP_CHAINS (in that order, so inline JSON wins).
+ */
+function loadChainsFromEnv(env = process.env) {
+    if (env.TWAP_CHAINS_FILE) {
+        const raw = fs.readFileSync(env.TWAP_CHAINS_FILE, 'utf8');
+        registerChains(JSON.parse(raw), env.TWAP_CHAINS_FILE);
+    }
+    if (env.TWAP_CHAINS) {
+        registerChains(JSON.parse(env.TWAP_CHAINS), 'TWAP_CHAINS');
+    }
+}
+
+// ─── Lookup ──────────────────────────────────────────────────────────────────
+
+/**
+ * Public view of the configured chains — RPC URLs are left out since they often carry API keys.
+ */
+function listChains() {
+    return Object.entries(CHAIN_CONFIG).map(([chainId, config]) => ({
+        chainId: Number(chainId),
+        name: config.name,
+        mode: config.mode,
+        factory: config.factory,
+        feeTiers: config.feeTiers || null,
+        multicall: config.multicall,
+        proposalFactory: config.proposalFactory,
+    }));
+}
+
+/**
+ * Error message for an unknown chain, listing the configured ones.
+ */
+function unsupportedChainMessage(chainId) {
+    const supported = listChains().map(c => `${c.chainId} (${c.name})`).join(', ');
+    return `Unsupported chain ${chainId}. Use one of: ${supported}`;
+}
+
+/**
+ * Get a chain's config, throwing if it isn't configured.
+ */
+function getChainConfig(chainId) {
+    const config = CHAIN_CONFIG[chainId];
+    if (!config) throw new InvalidInputError(unsupportedChainMessage(chainId), 'UNSUPPORTED_CHAIN');
+    return config;
+}
+
+registerChains(BUILTIN_CHAINS, 'built-in chains');
+loadChainsFromEnv();
+
+module.exports = {
+    CHAIN_CONFIG,
+    MULTICALL3_ADDRESS,
+    registerChain,
+    registerChains,
+    loadChainsFromEnv,
+    onChainRegistered,
+    listChains,
+    getChainConfig,
+    unsupportedChainMessage,
+};
@@ -0,0 +1,128 @@
+/**
+ * Errors — one error model for the library, the server and the Lambda
+ *
+ * Every failure the library knows about is a TwapError with a stable `code`, which the
+ * HTTP handlers map to a status (ERROR_STATUS) and an `{ error, code, details? }` body:
+ *
+ *   400  INVALID_INPUT, UNSUPPORTED_CHAIN       the request can't be served as asked
+ *   404  PROPOSAL_NOT_FOUND, POOLS_NOT_FOUND    nothing on-chain to compute from
+ *   422  ORACLE_HISTORY_INSUFFICIENT, WINDOW_NOT_STARTED   valid, but the data can't answer it
+ *   502  RPC_QUORUM_FAILED, ORACLE_READ_FAILED  the nodes answered, but not usably
+ *   503  RPC_UNAVAILABLE                        no node answered
+ *   504  DEADLINE_EXCEEDED                      the call's timeoutMs ran out
+ *   499  ABORTED                                the caller went away
+ *
+ * Anything else is a bug or an unexpected failure: 500 INTERNAL_ERROR. The handlers add
+ * their own codes for auth, unknown routes and methods (UNAUTHORIZED, NOT_FOUND, ...).
+ */
+
+const ERROR_STATUS = {
+    INVALID_INPUT: 400,
+    UNSUPPORTED_CHAIN: 400,
+    PROPOSAL_NOT_FOUND: 404,
+    POOLS_NOT_FOUND: 404,
+    ORACLE_HISTORY_INSUFFICIENT: 422,
+    WINDOW_NOT_STARTED: 422,
+    ABORTED: 499,
+    INTERNAL_ERROR: 500,
+    RPC_QUORUM_FAILED: 502,
+    ORACLE_READ_FAILED: 502,
+    RPC_UNAVAILABLE: 503,
+    DEADLINE_EXCEEDED: 504,
+    // Raised by the HTTP handlers themselves, never by the library
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    PAYLOAD_TOO_LARGE: 413,
+    NOT_IMPLEMENTED: 501,
+};
+
+// ─── Classes ─────────────────────────────────────────────────────────────────
+
+class TwapError extends Error {
+    /**
+     * @param {string} code - One of ERROR_STATUS's keys
+     * @param {string} message - Human-readable description
+     * @param {object} [details] - Extra context for the response (e.g. coverage, pools)
+     */
+    constructor(code, message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (details) this.details = details;
+    }
+
+    get status() {
+        return ERROR_STATUS[this.code] || 500;
+    }
+}
+
+// Bad parameters — INVALID_INPUT, or UNSUPPORTED_CHAIN for an unknown chain ID
+class InvalidInputError extends TwapError {
+    constructor(message, code = 'INVALID_INPUT') {
+        super(code, message);
+    }
+}
+
+// The address isn't a futarchy proposal (its contract calls revert)
+class ProposalNotFoundError extends TwapError {
+    constructor(proposalAddress) {
+        super('PROPOSAL_NOT_FOUND', `No futarchy proposal at ${proposalAddress} — its wrappedOutcome() calls revert`);
+    }
+}
+
+// The proposal's YES/NO conditional pools don't exist (yet)
+class PoolsNotFoundError extends TwapError {
+    constructor(message, details) {
+        super('POOLS_NOT_FOUND', message, details);
+    }
+}
+
+// A pool's oracle doesn't reach back to the start of the window
+class OracleHistoryError extends TwapError {
+    constructor(message, coverage) {
+        super('ORACLE_HISTORY_INSUFFICIENT', message, { coverage });
+    }
+
+    get coverage() {
+        return this.details.coverage;
+    }
+}
+
+// Raised by the RPC transport (see ./rpc): RPC_UNAVAILABLE, RPC_QUORUM_FAILED, DEADLINE_EXCEEDED, ABORTED
+class RpcError extends TwapError {}
+
+// ─── HTTP Mapping ────────────────────────────────────────────────────────────
+
+/**
+ * HTTP status for any error — 500 unless it carries a known code
+ */
+function httpStatus(err) {
+    return ERROR_STATUS[err?.code] || 500;
+}
+
+/**
+ * Response body for any error: { error, code, details? }. Unknown errors keep their
+ * message but get code INTERNAL_ERROR.
+ */
+function errorBody(err) {
+    const code = ERROR_STATUS[err?.code] ? err.code : 'INTERNAL_ERROR';
+    return {
+        error: err?.message || String(err),
+        code,
+        ...(err?.details ? { details: err.details } : {}),
+    };
+}
+
+module.exports = {
+    ERROR_STATUS,
+    TwapError,
+    InvalidInputError,
+    ProposalNotFoundError,
+    PoolsNotFoundError,
+    OracleHistoryError,
+    RpcError,
+    httpStatus,
+    errorBody,
+};
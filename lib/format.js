@@ -0,0 +1,289 @@
+/**
+ * Output Formats — library results as text, for the CLI and for pasting elsewhere
+ *
+ *   json      the result as is (default)
+ *   summary   a short verdict: market, window, status, YES/NO TWAP, spread, winner, time left
+ *   table     aligned columns — one row per pool, series point, batch item, proposal or chain
+ *   csv       the same rows as CSV, with full-precision prices
+ *   markdown  a report for governance forum posts: the verdict as a list, then the table
+ *
+ * Every format takes any result (twap, series, pools, batch, list, chains). Results
+ * without a verdict — pools, series, lists — print their table as the summary.
+ */
+
+const { InvalidInputError } = require('./errors');
+
+const FORMATS = ['json', 'summary', 'table', 'csv', 'markdown'];
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const ANSI = { bold: 1, dim: 2, red: 31, green: 32, yellow: 33, cyan: 36 };
+
+// paint('green', text) — a no-op unless color is on
+function painter(color) {
+    return (style, text) => (color ? `\x1b[${ANSI[style]}m${text}\x1b[0m` : String(text));
+}
+
+const STATUS_STYLE = { NOT_STARTED: 'dim', ACTIVE: 'yellow', ENDED: 'cyan' };
+const WINNER_STYLE = { YES: 'green', NO: 'red' };
+
+// Decimal strings and long floats cut to 6 digits for display — CSV keeps them exact
+function short(value) {
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(6);
+    if (typeof value === 'string' && /^-?\d+\.\d{7,}$/.test(value)) return Number(value).toFixed(6);
+    return value;
+}
+
+function cell(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// 2026-02-07T00:00:00.000Z → 2026-02-07 00:00 UTC
+function utc(isoDate) {
+    return isoDate ? `${isoDate.slice(0, 10)} ${isoDate.slice(11, 16)} UTC` : '';
+}
+
+// ─── Rows ────────────────────────────────────────────────────────────────────
+
+function kindOf(result) {
+    if (Array.isArray(result.results)) return 'batch';
+    if (Array.isArray(result.pools)) return 'pools';
+    if (result.series) return 'series';
+    if (Array.isArray(result.proposals)) return 'proposals';
+    if (Array.isArray(result.chains)) return 'chains';
+    if (result.twapWindow) return 'twap';
+    return 'object';
+}
+
+/**
+ * A result flattened to rows of { column: value }, all with the same columns
+ */
+function toRows(result) {
+    switch (kindOf(result)) {
+        case 'twap':
+            return ['yes', 'no'].map(side => {
+                const twap = result.twap?.[side];
+                return {
+                    outcome: side.toUpperCase(),
+                    pool: result.pools?.[side]?.address ?? null,
+                    inverted: result.pools?.[side]?.inverted ?? null,
+                    twap: twap?.priceDecimal ?? null,
+                    averageTick: twap?.averageTick ?? null,
+                    spot: twap?.spot?.priceDecimal ?? null,
+                    depth: twap?.liquidity?.depth ?? null,
+                    coveredSeconds: twap?.coverage?.availableSeconds ?? null,
+                };
+            });
+        case 'pools':
+            return result.pools.map(pool => ({
+                name: pool.name,
+                address: pool.address,
+                exists: pool.exists,
+                inverted: pool.inverted,
+            }));
+        case 'series':
+            return result.series.points.map(point => ({
+                timestamp: point.timestamp,
+                date: point.date,
+                yesTwap: point.yes.twapDecimal,
+                noTwap: point.no.twapDecimal,
+                yesPrice: point.yes.priceDecimal,
+                noPrice: point.no.priceDecimal,
+                winner: point.winner,
+            }));
+        case 'batch':
+            return result.results.map(item => ({
+                chainId: item.chainId,
+                proposalAddress: item.proposalAddress,
+                marketName: item.result?.marketName ?? null,
+                status: item.result?.status ?? null,
+                yes: item.result?.twap?.yes.priceDecimal ?? null,
+                no: item.result?.twap?.no.priceDecimal ?? null,
+                percentDiff: item.result?.twap?.percentDiff ?? null,
+                winner: item.result?.twap?.winner ?? null,
+                error: item.code ?? null,
+            }));
+        case 'proposals':
+            return result.proposals.map(proposal => ({
+                address: proposal.address,
+                marketName: proposal.marketName,
+                companyToken: proposal.companyToken,
+                currencyToken: proposal.currencyToken,
+                createdBlock: proposal.createdBlock,
+            }));
+        case 'chains':
+            return result.chains.map(chain => ({
+                chainId: chain.chainId,
+                name: chain.name,
+                mode: chain.mode,
+                factory: chain.factory,
+            }));
+        default: {
+            // Anything else: its top-level scalar fields, as one row
+            const row = {};
+            for (const [key, value] of Object.entries(result)) {
+                if (value === null || typeof value !== 'object') row[key] = value;
+            }
+            return [row];
+        }
+    }
+}
+
+// ─── Renderers ───────────────────────────────────────────────────────────────
+
+function renderTable(rows) {
+    if (rows.length === 0) return '(no rows)';
+    const columns = Object.keys(rows[0]);
+    const cells = rows.map(row => columns.map(column => cell(short(row[column]))));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(values => values[i].length)));
+    const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line),
+    ].join('\n');
+}
+
+function renderCsv(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const escape = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return [
+        columns.join(','),
+        ...rows.map(row => columns.map(column => escape(cell(row[column]))).join(',')),
+    ].join('\n');
+}
+
+function renderMarkdownTable(rows) {
+    if (rows.length === 0) return '_No rows._';
+    const columns = Object.keys(rows[0]);
+    const escape = value => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const line = values => `| ${values.join(' | ')} |`;
+    return [
+        line(columns),
+        line(columns.map(() => '---')),
+        ...rows.map(row => line(columns.map(column => escape(cell(short(row[column])))))),
+    ].join('\n');
+}
+
+// ─── Verdict ─────────────────────────────────────────────────────────────────
+
+/**
+ * The verdict of a TWAP result as [label, value, style?] lines
+ */
+function verdictLines(result) {
+    const symbol = result.tokens?.currency?.symbol || '';
+    const window = result.twapWindow;
+    const lines = [
+        ['Proposal', `${result.proposalAddress} on ${result.chain}`],
+        ['Window', `${utc(window.startDate)} → ${utc(window.endDate)} (${window.days}d)`],
+        ['Status', result.status, STATUS_STYLE[result.status]],
+    ];
+
+    if (result.timeUntilStart) lines.push(['Starts in', result.timeUntilStart.human]);
+    if (result.timeRemaining) lines.push(['Remaining', result.timeRemaining.human]);
+
+    const { twap } = result;
+    if (twap) {
+        lines.push(['YES TWAP', `${twap.yes.price.toFixed(6)} ${symbol}`.trim()]);
+        lines.push(['NO TWAP', `${twap.no.price.toFixed(6)} ${symbol}`.trim()]);
+        lines.push(['Spread', `${twap.spread.toFixed(6)} (${Number(twap.percentDiff).toFixed(2)}%)`]);
+        lines.push(['Winner', twap.winner, WINNER_STYLE[twap.winner]]);
+        if (twap.partial) lines.push(['Partial', 'oracle history covers only part of the window', 'yellow']);
+    }
+    if (result.probability && !result.probability.error) {
+        lines.push(['P(pass)', `${(result.probability.probability * 100).toFixed(2)}%`]);
+    }
+    return lines;
+}
+
+function renderSummary(result, paint) {
+    const kind = kindOf(result);
+
+    if (kind === 'batch') {
+        return result.results.map(item => {
+            if (item.error) {
+                return `${paint('red', '✖')} ${item.proposalAddress} (chain ${item.chainId})  ${paint('red', item.code)} ${item.error}`;
+            }
+            const { result: twapResult } = item;
+            const twap = twapResult.twap;
+            const numbers = twap
+                ? `YES ${twap.yes.price.toFixed(6)} / NO ${twap.no.price.toFixed(6)} (${Number(twap.percentDiff).toFixed(2)}%)  ${paint(WINNER_STYLE[twap.winner] || 'dim', twap.winner)}`
+                : '';
+            return `${paint('green', '✔')} ${paint('bold', twapResult.marketName || twapResult.proposalAddress)}  ${paint(STATUS_STYLE[twapResult.status] || 'dim', twapResult.status)}  ${numbers}`.trimEnd();
+        }).join('\n');
+    }
+    if (kind !== 'twap') return renderTable(toRows(result));
+
+    const lines = [paint('bold', result.marketName || result.proposalAddress)];
+    for (const [label, value, style] of verdictLines(result)) {
+        lines.push(`  ${`${label}:`.padEnd(11)}${style ? paint(style, value) : value}`);
+    }
+    for (const warning of result.warnings || []) {
+        lines.push(paint('yellow', `  ⚠ ${warning.message || warning.code}`));
+    }
+    return lines.join('\n');
+}
+
+function renderMarkdown(result) {
+    const kind = kindOf(result);
+    const sections = [];
+
+    if (kind === 'twap') {
+        sections.push(`### ${result.marketName || result.proposalAddress}`);
+        sections.push(verdictLines(result).map(([label, value]) => `- **${label}:** ${value}`).join('\n'));
+        sections.push(renderMarkdownTable(toRows(result)));
+        if (result.warnings?.length) {
+            sections.push(result.warnings.map(warning => `> ⚠ ${warning.message || warning.code}`).join('\n>\n'));
+        }
+        sections.push(`_TWAP read at block ${result.twap?.block?.number ?? '—'}, ${utc(result.timestamp)}._`);
+    } else {
+        const name = result.marketName || result.proposalAddress;
+        const title = {
+            batch: () => `TWAP of ${result.results.length} proposal(s)`,
+            pools: () => `Pools of ${name}`,
+            series: () => `TWAP series of ${name}`,
+            proposals: () => `Proposals on ${result.chain}`,
+            chains: () => 'Chains',
+        }[kind];
+        if (title) sections.push(`### ${title()}`);
+        sections.push(renderMarkdownTable(toRows(result)));
+    }
+    return sections.join('\n\n');
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+/**
+ * Format a library result for output.
+ *
+ * @param {object} result - What calculateTwap, calculateTwapSeries, calculateTwapBatch,
+ *   discoverPools, listProposals or listChains returned
+ * @param {string} [format='json'] - One of FORMATS
+ * @param {object} [options]
+ * @param {boolean} [options.color=false] - ANSI colors in the summary
+ * @returns {string}
+ */
+function formatResult(result, format = 'json', options = {}) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(result, null, 2);
+        case 'summary':
+            return renderSummary(result, painter(!!options.color));
+        case 'table':
+            return renderTable(toRows(result));
+        case 'csv':
+            return renderCsv(toRows(result));
+        case 'markdown':
+            return renderMarkdown(result);
+        default:
+            throw new InvalidInputError(`Unknown format "${format}" — use one of: ${FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    formatResult,
+    toRows,
+};
@@ -5,30 +5,56 @@
  * then reads TWAP from Algebra (chain 100) or Uniswap V3 (chain 1) pool oracles.
  * 
  * No server needed — import and call directly:
- *   const { calculateTwap, discoverPools } = require('futarchy-twap');
+ *   const { calculateTwap, calculateTwapBatch, calculateTwapSeries, watchTwap, discoverPools, listProposals } = require('futarchy-twap');
  *   const result = await calculateTwap('0x...', 100, { days: 5 });
+ *   const series = await calculateTwapSeries('0x...', 100, { interval: 3600 });
+ *   const batch = await calculateTwapBatch([{ chainId: 100, proposalAddress: '0x...' }]);
+ *   for await (const update of watchTwap('0x...', 100)) console.log(update.twap.winner);
+ *   const { proposals } = await listProposals(100, { fromBlock: 38000000 });
  */
 
 const { ethers } = require('ethers');
-const fetch = require('node-fetch');
-
-// ─── Chain Config ────────────────────────────────────────────────────────────
-
-const CHAIN_CONFIG = {
-    100: {
-        name: 'Gnosis',
-        rpcUrl: process.env.GNOSIS_RPC || 'https://rpc.gnosischain.com',
-        mode: 'algebra',
-        factory: '0xA0864cCA6E114013AB0e27cbd5B6f4c8947da766',  // Swapr/Algebra Factory
-    },
-    1: {
-        name: 'Ethereum',
-        rpcUrl: process.env.ETHEREUM_RPC || 'https://eth-mainnet.public.blastapi.io',
-        mode: 'uniswap',
-        factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',  // Uniswap V3 Factory
-        feeTiers: [500, 3000, 10000, 100],
-    }
-};
+const {
+    CHAIN_CONFIG,
+    registerChain,
+    onChainRegistered,
+    listChains,
+    getChainConfig,
+    unsupportedChainMessage,
+} = require('./chains');
+const { MulticallProvider } = require('./multicall');
+const { withRpcContext, rpcContext, isRevert } = require('./rpc');
+const errors = require('./errors');
+const {
+    TwapError,
+    InvalidInputError,
+    ProposalNotFoundError,
+    PoolsNotFoundError,
+    OracleHistoryError,
+    RpcError,
+} = errors;
+const { setLogger, getLogger, createConsoleLogger, createJsonLogger, log } = require('./logger');
+const { onInstrumentation, instrument } = require('./instrumentation');
+const { Cache, createCacheFromEnv, cacheHeaders, etagMatches } = require('./cache');
+const { fetchMetadata, configureMetadata, registerMetadataProvider } = require('./metadata');
+const { realityUnavailable, readQuestion, questionSummary } = require('./reality');
+const alerts = require('./alerts');
+const { createMetrics, MetricsRegistry } = require('./metrics');
+const { openApiDocument, schemas } = require('./openapi');
+const { formatResult, FORMATS } = require('./format');
+const { RecordingProvider, ReplayProvider, FixtureExhaustedError } = require('./replay');
+const {
+    meanTick,
+    sqrtPriceRatio,
+    tickRatio,
+    twapRatio,
+    normalizeRatio,
+    subtractRatios,
+    compareRatios,
+    percentDiffRatio,
+    formatRatio,
+    toNumber,
+} = require('./math');
 
 // ─── ABIs ────────────────────────────────────────────────────────────────────
 
@@ -41,6 +67,11 @@ const PROPOSAL_ABI = [
     'function questionId() view returns (bytes32)',
 ];
 
+// Futarchy proposal factory — emits one event per proposal created
+const FUTARCHY_FACTORY_ABI = [
+    'event NewProposal(address indexed proposal, string marketName, bytes32 conditionId, bytes32 questionId)',
+];
+
 // Algebra Factory (Gnosis chain 100)
 const ALGEBRA_FACTORY_ABI = [
     'function poolByPair(address token0, address token1) view returns (address pool)',
@@ -51,24 +82,30 @@ const UNISWAP_FACTORY_ABI = [
     'function getPool(address token0, address token1, uint24 fee) view returns (address)',
 ];
 
-// Pool ABIs — shared for token order detection
+// Pool ABIs — shared for token order detection and in-range liquidity
 const POOL_TOKEN_ABI = [
     'function token0() view returns (address)',
     'function token1() view returns (address)',
+    'function liquidity() view returns (uint128)',
 ];
 
 // Algebra pool TWAP oracle (chain 100)
 const ALGEBRA_TWAP_ABI = [
     'function getTimepoints(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulatives, uint112[] volatilityCumulatives, uint256[] volumePerAvgLiquiditys)',
-    'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+    'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+    'function timepoints(uint256 index) view returns (bool initialized, uint32 blockTimestamp, int56 tickCumulative, uint160 secondsPerLiquidityCumulative, uint88 volatilityCumulative, int24 averageTick, uint144 volumePerLiquidityCumulative)',
 ];
 
 // Uniswap V3 pool TWAP oracle (chain 1)
 const UNISWAP_TWAP_ABI = [
     'function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)',
     'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function observations(uint256 index) view returns (uint32 blockTimestamp, int56 tickCumulative, uint160 secondsPerLiquidityCumulativeX128, bool initialized)',
 ];
 
+// Algebra keeps its timepoints in a fixed ring buffer of 2^16 slots
+const ALGEBRA_TIMEPOINTS_SIZE = 65536;
+
 // ERC20 for token info
 const ERC20_ABI = [
     'function symbol() view returns (string)',
@@ -77,53 +114,140 @@ const ERC20_ABI = [
 
 // ─── Provider Cache ──────────────────────────────────────────────────────────
 
+// Providers fail over between the chain's RPC URLs (see ./rpc) and batch concurrent
+// eth_calls through its Multicall3 (see ./multicall)
 const providers = {};
 function getProvider(chainId, rpcUrl) {
-    const key = rpcUrl || chainId;
+    const key = rpcUrl ? [].concat(rpcUrl).join(',') : chainId;
     if (!providers[key]) {
-        const config = CHAIN_CONFIG[chainId];
-        if (!config) throw new Error(`Unsupported chain ${chainId}`);
-        providers[key] = new ethers.providers.JsonRpcProvider(rpcUrl || config.rpcUrl);
+        const config = getChainConfig(chainId);
+        providers[key] = new MulticallProvider(rpcUrl || config.rpcUrls, Number(chainId), {
+            multicall: config.multicall,
+            timeoutMs: config.rpcTimeoutMs,
+            retries: config.rpcRetries,
+        });
     }
     return providers[key];
 }
 
-// ─── Registry Metadata ───────────────────────────────────────────────────────
+/**
+ * The provider a call reads through: options.provider if given (e.g. a RecordingProvider
+ * or ReplayProvider, see ./replay), otherwise the cached one for the chain
+ */
+function providerFor(chainId, options) {
+    const { provider } = options;
+    if (!provider) return getProvider(chainId, options.rpcUrl);
+    if (provider.chainId !== undefined && provider.chainId !== Number(chainId)) {
+        throw new InvalidInputError(`options.provider is for chain ${provider.chainId}, not ${chainId}`);
+    }
+    return provider;
+}
 
-const REGISTRY_URL = 'https://api.futarchy.fi/registry/graphql';
+// Wall-clock time in ms — or the recorded run's, when replaying a fixture
+function currentTime(provider) {
+    return provider.now ? provider.now() : Date.now();
+}
 
 /**
- * Fetch proposal metadata from the Registry.
- * Returns { twapStartTimestamp, twapDurationHours, closeTimestamp } or null.
+ * Run a public API call in its own RPC context — deadline, abort signal and quorum
+ * apply to every request it makes — and report the endpoints that served it
  */
-async function fetchRegistryMetadata(proposalAddress) {
-    try {
-        const query = `{
-            proposalentities(where: { proposalAddress: "${proposalAddress.toLowerCase()}" }) {
-                metadata
-            }
-        }`;
-        const res = await fetch(REGISTRY_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query }),
-            timeout: 5000,
-        });
-        if (!res.ok) return null;
+function withRpc(options, fn) {
+    return withRpcContext(options, async context => {
+        context.cache = options.cache !== false;
+        context.logger = options.logger;
+        const result = await fn();
+        result.rpc = context.report();
+        return result;
+    });
+}
 
-        const data = await res.json();
-        const entity = data?.data?.proposalentities?.[0];
-        if (!entity?.metadata) return null;
+// Re-registering a chain may change its RPC URL — drop the cached default provider
+onChainRegistered(chainId => {
+    delete providers[chainId];
+});
 
-        const meta = JSON.parse(entity.metadata);
-        return {
-            twapStartTimestamp: meta.twapStartTimestamp || null,
-            twapDurationHours: meta.twapDurationHours || null,
-            closeTimestamp: meta.closeTimestamp || null,
-        };
+// ─── Data Cache ──────────────────────────────────────────────────────────────
+
+// Immutable on-chain data and settled results (see ./cache). Calls made with
+// `cache: false` skip lookups but still refresh the entries they read.
+let cache = createCacheFromEnv();
+
+/**
+ * Replace the cache, e.g. to change its size or add a file store from code.
+ *
+ * @param {object} [options] - { maxEntries?, dir? } — maxEntries 0 disables caching
+ */
+function configureCache(options = {}) {
+    cache = new Cache(options);
+}
+
+/**
+ * Drop cached entries for a proposal (its tokens and TWAP results), or everything
+ * if no address is given. Returns the number of entries removed.
+ */
+function invalidateCache(proposalAddress) {
+    return cache.invalidate(proposalAddress);
+}
+
+// Keys are scoped to the provider's chain; providers without a static network aren't cached
+function cacheKey(provider, kind, ...addresses) {
+    // Fixture providers (./replay) must see every request: recording one from the cache
+    // would leave it out, and a replay must answer from the fixture alone
+    const chainId = provider._network?.chainId;
+    if (!chainId || provider.isFixture) return null;
+    return [chainId, kind, ...addresses.map(a => String(a).toLowerCase())].join(':');
+}
+
+function cacheLookup(key) {
+    if (!key || rpcContext.getStore()?.cache === false) return undefined;
+    const value = cache.get(key);
+    instrument('cache', { kind: key.split(':')[1], hit: value !== undefined });
+    return value;
+}
+
+function cacheStore(key, value) {
+    if (key) cache.set(key, value);
+}
+
+// Misses already being read, so concurrent calls (e.g. a batch of proposals that share
+// a currency token) make one request per entry instead of one each
+const inflight = new Map();
+
+/**
+ * Cached read: return a hit, or join a read of the same entry already in flight, or
+ * start one. Only values that pass `isComplete` are stored.
+ */
+async function cachedRead(key, read, isComplete = value => value != null) {
+    const hit = cacheLookup(key);
+    if (hit !== undefined) return hit;
+
+    const readAndStore = async () => {
+        const value = await read();
+        if (isComplete(value)) cacheStore(key, value);
+        return value;
+    };
+    if (!key) return read();
+
+    // Reads at a stricter quorum don't share with weaker ones
+    const context = rpcContext.getStore();
+    const flightKey = `${key}@${context?.quorum || 1}`;
+    const pending = inflight.get(flightKey);
+    if (!pending) {
+        const promise = readAndStore();
+        inflight.set(flightKey, promise);
+        promise.catch(() => {}).finally(() => inflight.delete(flightKey));
+        return promise;
+    }
+
+    try {
+        return await pending;
     } catch (err) {
-        console.warn(`  ⚠ Registry fetch failed: ${err.message} — using defaults`);
-        return null;
+        // The call that started the read was cancelled — that says nothing about this one
+        if ((err.code === 'ABORTED' || err.code === 'DEADLINE_EXCEEDED') && !context?.signal?.aborted) {
+            return readAndStore();
+        }
+        throw err;
     }
 }
 
@@ -134,20 +258,31 @@ async function fetchRegistryMetadata(proposalAddress) {
  * Index: 0=YES_COMPANY, 1=NO_COMPANY, 2=YES_CURRENCY, 3=NO_CURRENCY
  */
 async function getProposalTokens(provider, proposalAddress) {
+    const key = cacheKey(provider, 'tokens', proposalAddress);
+    // A failed marketName read may be transient — only cache complete reads
+    const tokens = await cachedRead(key, () => readProposalTokens(provider, proposalAddress), t => t.marketName !== null);
+    return { ...tokens, marketName: tokens.marketName ?? 'Unknown' };
+}
+
+async function readProposalTokens(provider, proposalAddress) {
     const proposal = new ethers.Contract(proposalAddress, PROPOSAL_ABI, provider);
+    // Anything that isn't a proposal contract reverts (or returns nothing) on wrappedOutcome
+    const read = call => call.catch(err => {
+        throw err.code === 'CALL_EXCEPTION' || isRevert(err) ? new ProposalNotFoundError(proposalAddress) : err;
+    });
 
     const [
         wo0, wo1, wo2, wo3,
         companyToken, currencyToken,
         marketName
     ] = await Promise.all([
-        proposal.wrappedOutcome(0),
-        proposal.wrappedOutcome(1),
-        proposal.wrappedOutcome(2),
-        proposal.wrappedOutcome(3),
-        proposal.collateralToken1(),
-        proposal.collateralToken2(),
-        proposal.marketName().catch(() => 'Unknown'),
+        read(proposal.wrappedOutcome(0)),
+        read(proposal.wrappedOutcome(1)),
+        read(proposal.wrappedOutcome(2)),
+        read(proposal.wrappedOutcome(3)),
+        read(proposal.collateralToken1()),
+        read(proposal.collateralToken2()),
+        proposal.marketName().catch(() => null),
     ]);
 
     return {
@@ -157,31 +292,38 @@ async function getProposalTokens(provider, proposalAddress) {
         noCurrency: wo3.wrapped1155 || wo3[0],
         companyToken,
         currencyToken,
-        marketName,
+        marketName: marketName || null,
     };
 }
 
 /**
- * Find a pool for a token pair using the chain's factory
+ * Find a pool for a token pair using the chain's factory.
+ * Found pools are cached; missing ones aren't, since the pool may be created later.
  */
 async function findPool(provider, chainId, tokenA, tokenB) {
-    const config = CHAIN_CONFIG[chainId];
+    const key = cacheKey(provider, 'pool', ...[tokenA, tokenB].map(t => t.toLowerCase()).sort());
+    return cachedRead(key, () => lookupPool(provider, chainId, tokenA, tokenB));
+}
+
+async function lookupPool(provider, chainId, tokenA, tokenB) {
+    const config = getChainConfig(chainId);
     const ZERO = ethers.constants.AddressZero;
 
     if (config.mode === 'algebra') {
         const factory = new ethers.Contract(config.factory, ALGEBRA_FACTORY_ABI, provider);
 
         // Try both orderings — poolByPair is order-sensitive
-        let pool = await factory.poolByPair(tokenA, tokenB).catch(() => ZERO);
-        if (pool === ZERO) {
-            pool = await factory.poolByPair(tokenB, tokenA).catch(() => ZERO);
-        }
-        return pool === ZERO ? null : pool;
+        const results = await Promise.all([
+            factory.poolByPair(tokenA, tokenB).catch(() => ZERO),
+            factory.poolByPair(tokenB, tokenA).catch(() => ZERO),
+        ]);
+        const pool = results.find(r => r !== ZERO);
+        return pool || null;
 
     } else if (config.mode === 'uniswap') {
         const factory = new ethers.Contract(config.factory, UNISWAP_FACTORY_ABI, provider);
 
-        // Try all fee tiers in parallel for speed
+        // Try all fee tiers in parallel — one multicall batch
         const results = await Promise.all(
             config.feeTiers.map(fee =>
                 factory.getPool(tokenA, tokenB, fee).catch(() => ZERO)
@@ -210,13 +352,29 @@ async function discoverConditionalPools(provider, chainId, tokens) {
     return { yesPool, noPool };
 }
 
+/**
+ * Discover the YES and NO prediction pools — each outcome's currency token against
+ * the base currency. Their prices are the market's outcome probabilities.
+ *
+ *   YES pool = YES_CURRENCY / BASE_CURRENCY
+ *   NO pool  = NO_CURRENCY  / BASE_CURRENCY
+ */
+async function discoverPredictionPools(provider, chainId, tokens) {
+    const [yesPool, noPool] = await Promise.all([
+        findPool(provider, chainId, tokens.yesCurrency, tokens.currencyToken),
+        findPool(provider, chainId, tokens.noCurrency, tokens.currencyToken),
+    ]);
+
+    return { yesPool, noPool };
+}
+
 /**
  * Auto-detect inversion by reading pool.token0() and comparing to company token.
  * If company token is token1, price is company/currency → needs inversion to get currency/company.
  */
-async function detectInversion(provider, poolAddress, companyTokenAddress) {
-    const pool = new ethers.Contract(poolAddress, POOL_TOKEN_ABI, provider);
-    const token0 = await pool.token0();
+async function detectInversion(provider, poolAddress, companyTokenAddress, overrides = {}) {
+    const key = cacheKey(provider, 'token0', poolAddress);
+    const token0 = await cachedRead(key, () => new ethers.Contract(poolAddress, POOL_TOKEN_ABI, provider).token0(overrides));
 
     // If company token is token0 → price = 1.0001^tick = currency/company → no inversion needed
     // If company token is token1 → price = 1.0001^tick = company/currency → invert
@@ -225,102 +383,625 @@ async function detectInversion(provider, poolAddress, companyTokenAddress) {
     return { shouldInvert, token0 };
 }
 
+// ─── Proposal Factory ────────────────────────────────────────────────────────
+
+const DEFAULT_LOG_CHUNK_SIZE = 10000;
+const MIN_LOG_CHUNK_SIZE = 100;
+
+// Node errors that mean "ask for a smaller block range" — the wording varies by client
+const LOG_RANGE_ERROR = /range|limit|too (many|large|wide|big)|more than|exceed/i;
+
+/**
+ * eth_getLogs over [fromBlock, toBlock] in chunks, halving the chunk size whenever
+ * the node rejects a range as too large
+ */
+async function getLogsChunked(provider, filter, fromBlock, toBlock, chunkSize = DEFAULT_LOG_CHUNK_SIZE) {
+    const logs = [];
+    let size = chunkSize;
+    let start = fromBlock;
+
+    while (start <= toBlock) {
+        const end = Math.min(start + size - 1, toBlock);
+        try {
+            logs.push(...await provider.getLogs({ ...filter, fromBlock: start, toBlock: end }));
+            start = end + 1;
+        } catch (err) {
+            const cancelled = err.code === 'ABORTED' || err.code === 'DEADLINE_EXCEEDED';
+            if (cancelled || size <= MIN_LOG_CHUNK_SIZE || !LOG_RANGE_ERROR.test(err.message)) throw err;
+            size = Math.max(MIN_LOG_CHUNK_SIZE, Math.floor(size / 2));
+            log.debug(`  ↘ getLogs range rejected, retrying blocks ${start}+ in chunks of ${size}`);
+        }
+    }
+    return logs;
+}
+
+/**
+ * A proposal's market name, question and collateral tokens. They never change,
+ * so complete reads are cached.
+ */
+async function getProposalInfo(provider, proposalAddress) {
+    const key = cacheKey(provider, 'proposal', proposalAddress);
+    const read = async () => {
+        const proposal = new ethers.Contract(proposalAddress, PROPOSAL_ABI, provider);
+        const [marketName, questionId, companyToken, currencyToken] = await Promise.all([
+            proposal.marketName().catch(() => null),
+            proposal.questionId().catch(() => null),
+            proposal.collateralToken1().catch(() => null),
+            proposal.collateralToken2().catch(() => null),
+        ]);
+        return { address: proposalAddress, marketName, questionId, companyToken, currencyToken };
+    };
+    return cachedRead(key, read, info => Object.values(info).every(value => value !== null));
+}
+
 // ─── TWAP Calculation ────────────────────────────────────────────────────────
 
 /**
- * Calculate TWAP from pool oracle
+ * Read a pool oracle at a list of secondsAgos in a single call
  * Works for both Algebra (getTimepoints) and Uniswap V3 (observe)
+ *
+ * Returns BigInt arrays { tickCumulatives, secondsPerLiquidityCumulatives } — the latter
+ * is Q128 seconds per unit of in-range liquidity on both AMMs. Algebra also returns
+ * { volatilityCumulatives, volumePerLiquidityCumulatives }.
  */
-async function calculatePoolTwap(provider, chainId, poolAddress, secondsAgo, shouldInvert) {
-    const config = CHAIN_CONFIG[chainId];
-    const secondsWindow = Math.max(1, Math.floor(secondsAgo));
+async function readOracle(provider, chainId, poolAddress, secondsAgos, overrides = {}) {
+    const config = getChainConfig(chainId);
+    let result;
 
-    let tickCumulatives;
+    if (config.mode === 'algebra') {
+        const pool = new ethers.Contract(poolAddress, ALGEBRA_TWAP_ABI, provider);
+        result = await pool.getTimepoints(secondsAgos, overrides);
+    } else {
+        const pool = new ethers.Contract(poolAddress, UNISWAP_TWAP_ABI, provider);
+        result = await pool.observe(secondsAgos, overrides);
+    }
+
+    const toBigInts = values => values.map(v => BigInt(v.toString()));
+    const observations = {
+        tickCumulatives: toBigInts(result[0]),
+        secondsPerLiquidityCumulatives: toBigInts(result[1]),
+    };
+    if (config.mode === 'algebra') {
+        observations.volatilityCumulatives = toBigInts(result[2]);
+        observations.volumePerLiquidityCumulatives = toBigInts(result[3]);
+    }
+    return observations;
+}
+
+const Q64 = 2 ** 64;
+
+/**
+ * Trading activity over an oracle window — Algebra only, since Uniswap V3 oracles
+ * don't track volatility or volume.
+ *
+ *   averageVolatility   mean of Algebra's volatility measure (squared tick deviation
+ *                       from the average tick — what drives its dynamic fee)
+ *   volatilityTicks     its square root: typical tick deviation (1 tick ≈ 0.01%)
+ *   volumePerLiquidity  volume traded per unit of liquidity over the window (Q64 → float)
+ */
+function oracleActivity(observations, secondsWindow) {
+    if (!observations.volatilityCumulatives) {
+        return { available: false, reason: 'Volatility and volume are only tracked by Algebra pool oracles' };
+    }
+
+    const [volatilityStart, volatilityEnd] = observations.volatilityCumulatives;
+    const [volumeStart, volumeEnd] = observations.volumePerLiquidityCumulatives;
+    const averageVolatility = Number(volatilityEnd - volatilityStart) / secondsWindow;
+
+    return {
+        available: true,
+        averageVolatility,
+        volatilityTicks: Math.sqrt(averageVolatility),
+        volumePerLiquidity: Number(volumeEnd - volumeStart) / Q64,
+    };
+}
+
+/**
+ * Read tick cumulatives for a list of secondsAgos in a single oracle call
+ */
+async function getTickCumulatives(provider, chainId, poolAddress, secondsAgos, overrides = {}) {
+    const { tickCumulatives } = await readOracle(provider, chainId, poolAddress, secondsAgos, overrides);
+    return tickCumulatives;
+}
+
+/**
+ * Find the oldest observation a pool oracle still holds.
+ *
+ * Uniswap V3: observations[(observationIndex + 1) % observationCardinality], or
+ * observations[0] if the ring buffer hasn't wrapped yet.
+ * Algebra: timepoints[timepointIndex + 1] in the same way, over its 2^16-slot buffer.
+ *
+ * Returns { oldestTimestamp, oldestSecondsAgo, blockNumber, blockTimestamp }, relative
+ * to the block the oracle is read at.
+ */
+async function getOracleHistory(provider, chainId, poolAddress, overrides = {}) {
+    const config = getChainConfig(chainId);
+    const block = await provider.getBlock(overrides.blockTag !== undefined ? overrides.blockTag : 'latest');
+    const pinned = { blockTag: block.number };
+
+    let oldest;
 
     if (config.mode === 'algebra') {
         const pool = new ethers.Contract(poolAddress, ALGEBRA_TWAP_ABI, provider);
-        const result = await pool.getTimepoints([secondsWindow, 0]);
-        tickCumulatives = result.tickCumulatives || result[0];
+        const { timepointIndex } = await pool.globalState(pinned);
+        oldest = await pool.timepoints((timepointIndex + 1) % ALGEBRA_TIMEPOINTS_SIZE, pinned);
+        if (!oldest.initialized) oldest = await pool.timepoints(0, pinned);
     } else {
         const pool = new ethers.Contract(poolAddress, UNISWAP_TWAP_ABI, provider);
-        const result = await pool.observe([secondsWindow, 0]);
-        tickCumulatives = result.tickCumulatives || result[0];
+        const { observationIndex, observationCardinality } = await pool.slot0(pinned);
+        oldest = await pool.observations((observationIndex + 1) % observationCardinality, pinned);
+        if (!oldest.initialized) oldest = await pool.observations(0, pinned);
     }
 
-    const latest = BigInt(tickCumulatives[1].toString());
-    const oldest = BigInt(tickCumulatives[0].toString());
-    const tickDelta = latest - oldest;
-    const averageTick = Number(tickDelta) / secondsWindow;
+    return {
+        oldestTimestamp: oldest.blockTimestamp,
+        oldestSecondsAgo: Math.max(0, block.timestamp - oldest.blockTimestamp),
+        blockNumber: block.number,
+        blockTimestamp: block.timestamp,
+    };
+}
+
+// Fractional digits in decimal-string prices
+const DEFAULT_PRECISION = 18;
+
+function resolvePrecision(precision) {
+    if (precision === undefined) return DEFAULT_PRECISION;
+    if (!Number.isInteger(precision) || precision < 0 || precision > 78) {
+        throw new InvalidInputError('Invalid precision: must be an integer from 0 to 78');
+    }
+    return precision;
+}
 
-    // price = 1.0001^averageTick
-    const rawPrice = Math.pow(1.0001, averageTick);
+/**
+ * Turn a tick price (token1 per token0, in raw token units) into a human price in
+ * currency per company: invert if company is token1, then scale by
+ * 10^(companyDecimals - currencyDecimals). Without decimals no scaling is applied.
+ * Float version of the exact math in tickToPrice.
+ *
+ * @param {object} [decimals] - { company, currency } decimals of the pool's tokens
+ */
+function normalizePrice(rawPrice, shouldInvert, decimals) {
+    const price = shouldInvert ? 1 / rawPrice : rawPrice;
+    if (!decimals) return price;
+    return price * Math.pow(10, decimals.company - decimals.currency);
+}
 
-    if (!Number.isFinite(rawPrice) || rawPrice <= 0) {
-        throw new Error('Invalid price from oracle');
+/**
+ * Price at an integer tick, computed exactly from its Q64.96 sqrt price (see ./math).
+ * `rawRatio`/`priceRatio` are exact { num, den } ratios for comparison and formatting;
+ * `rawPrice`/`normalizedPrice` are the nearest floats.
+ */
+function tickToPrice(tick, shouldInvert, decimals) {
+    let rawRatio;
+    try {
+        rawRatio = tickRatio(tick);
+    } catch {
+        throw new TwapError('ORACLE_READ_FAILED', 'Invalid price from oracle');
     }
+    const priceRatio = normalizeRatio(rawRatio, shouldInvert, decimals);
+
+    return {
+        rawPrice: toNumber(rawRatio),
+        normalizedPrice: toNumber(priceRatio),
+        rawRatio,
+        priceRatio,
+    };
+}
 
-    const normalizedPrice = shouldInvert ? 1 / rawPrice : rawPrice;
+/**
+ * Price over a window: 1.0001^(tickCumulativeDelta / seconds), the fractional average tick.
+ * `rawPrice`/`normalizedPrice` are the float formula the API has always used;
+ * `rawRatio`/`priceRatio` are the same price as exact ratios, which winners, spreads and
+ * decimal strings are computed from.
+ */
+function twapToPrice(tickCumulativeDelta, seconds, shouldInvert, decimals) {
+    let rawRatio;
+    try {
+        rawRatio = twapRatio(tickCumulativeDelta, seconds);
+    } catch {
+        throw new TwapError('ORACLE_READ_FAILED', 'Invalid price from oracle');
+    }
+    const rawPrice = Math.pow(1.0001, Number(tickCumulativeDelta) / seconds);
 
     return {
         rawPrice,
-        normalizedPrice,
+        normalizedPrice: normalizePrice(rawPrice, shouldInvert, decimals),
+        rawRatio,
+        priceRatio: normalizeRatio(rawRatio, shouldInvert, decimals),
+    };
+}
+
+/**
+ * Calculate TWAP from pool oracle
+ * Works for both Algebra (getTimepoints) and Uniswap V3 (observe)
+ *
+ * Reads the window [secondsAgo, endSecondsAgo] relative to the block being read —
+ * endSecondsAgo > 0 evaluates a historical window that closed in the past.
+ *
+ * If the oracle can't reach back to the window start, the result's `coverage`
+ * reports how much of the window it does hold. That's an error unless
+ * options.allowPartial is set, in which case the TWAP is taken over the covered part.
+ *
+ * @param {object} [options]
+ * @param {number} [options.endSecondsAgo=0] - Window end, in seconds before the read block
+ * @param {number|string} [options.blockTag] - Pin the oracle read to a specific block
+ * @param {boolean} [options.allowPartial=false] - Fall back to the covered part of the window
+ * @param {object} [options.decimals] - { company, currency } token decimals, to price in human units
+ */
+async function calculatePoolTwap(provider, chainId, poolAddress, secondsAgo, shouldInvert, options = {}) {
+    const endSecondsAgo = Math.max(0, Math.floor(options.endSecondsAgo || 0));
+    let startSecondsAgo = Math.max(endSecondsAgo + 1, Math.floor(secondsAgo));
+    const requestedSeconds = startSecondsAgo - endSecondsAgo;
+    let overrides = options.blockTag !== undefined ? { blockTag: options.blockTag } : {};
+    let coverage = { requestedSeconds, availableSeconds: requestedSeconds, complete: true };
+
+    let observations;
+    try {
+        observations = await readOracle(
+            provider, chainId, poolAddress, [startSecondsAgo, endSecondsAgo], overrides
+        );
+    } catch (err) {
+        // The oracle reverts (e.g. 'OLD') when asked for more history than it holds —
+        // if that's why, report how much of the window is actually covered
+        const history = await getOracleHistory(provider, chainId, poolAddress, overrides).catch(() => null);
+        if (!history || history.oldestSecondsAgo >= startSecondsAgo) throw err;
+
+        const availableSeconds = Math.max(0, history.oldestSecondsAgo - endSecondsAgo);
+        coverage = {
+            requestedSeconds,
+            availableSeconds,
+            complete: false,
+            oldestTimestamp: history.oldestTimestamp,
+        };
+
+        if (!options.allowPartial || availableSeconds === 0) {
+            throw new OracleHistoryError(
+                `Insufficient oracle history for pool ${poolAddress}: requested ${requestedSeconds}s, available ${availableSeconds}s`,
+                coverage
+            );
+        }
+
+        // Re-read over the covered part, at the block the history was measured at
+        startSecondsAgo = history.oldestSecondsAgo;
+        overrides = { blockTag: history.blockNumber };
+        observations = await readOracle(
+            provider, chainId, poolAddress, [startSecondsAgo, endSecondsAgo], overrides
+        );
+    }
+
+    const [oldest, latest] = observations.tickCumulatives;
+    const secondsWindow = startSecondsAgo - endSecondsAgo;
+    const tickDelta = latest - oldest;
+    const averageTick = Number(tickDelta) / secondsWindow;
+
+    // The price of the exact average tick; on-chain consumers (OracleLibrary) use the
+    // integer mean tick's instead, kept as meanTickPrice
+    const tick = meanTick(tickDelta, secondsWindow);
+    const price = twapToPrice(tickDelta, secondsWindow, shouldInvert, options.decimals);
+
+    // Harmonic mean in-range liquidity over the window: seconds / Δ(seconds per liquidity)
+    const [splStart, splEnd] = observations.secondsPerLiquidityCumulatives;
+    const splDelta = splEnd - splStart;
+    const harmonicMeanLiquidity = splDelta > 0n ? (BigInt(secondsWindow) << 128n) / splDelta : 0n;
+
+    return {
+        ...price,
         averageTick,
+        meanTick: tick,
+        meanTickPrice: tickToPrice(tick, shouldInvert, options.decimals),
+        tickCumulativeDelta: tickDelta,
+        harmonicMeanLiquidity,
+        activity: oracleActivity(observations, secondsWindow),
         secondsWindow,
+        secondsAgos: [startSecondsAgo, endSecondsAgo],
         inverted: shouldInvert,
+        decimals: options.decimals || null,
+        coverage,
+        partial: !coverage.complete,
     };
 }
 
+/**
+ * Winner from compareRatios(yes, no) — no epsilon, a TIE means identical prices
+ */
+function winnerOf(comparison) {
+    return comparison > 0 ? 'YES' : comparison < 0 ? 'NO' : 'TIE';
+}
 
+/**
+ * Apply inversion and token decimals to a pool TWAP that was read with
+ * shouldInvert=false — lets the oracle read run alongside inversion detection
+ * and token info
+ */
+function applyInversion(poolTwap, shouldInvert, decimals) {
+    return {
+        ...poolTwap,
+        ...twapToPrice(poolTwap.tickCumulativeDelta, poolTwap.secondsWindow, shouldInvert, decimals),
+        meanTickPrice: tickToPrice(poolTwap.meanTick, shouldInvert, decimals),
+        inverted: shouldInvert,
+        decimals: decimals || null,
+    };
+}
 
 /**
  * Get token symbol + decimals
  */
-async function getTokenInfo(provider, address) {
-    const token = new ethers.Contract(address, ERC20_ABI, provider);
-    const [symbol, decimals] = await Promise.all([
-        token.symbol().catch(() => 'UNKNOWN'),
-        token.decimals().catch(() => 18),
+async function getTokenInfo(provider, address, overrides = {}) {
+    const key = cacheKey(provider, 'token', address);
+    const read = async () => {
+        const token = new ethers.Contract(address, ERC20_ABI, provider);
+        const [symbol, decimals] = await Promise.all([
+            token.symbol(overrides).catch(() => null),
+            token.decimals(overrides).catch(() => null),
+        ]);
+        return { address, symbol, decimals };
+    };
+
+    // Fallbacks may hide a transient failure — only cache complete reads
+    const info = await cachedRead(key, read, i => i.symbol !== null && i.decimals !== null);
+    return { ...info, symbol: info.symbol ?? 'UNKNOWN', decimals: info.decimals ?? 18 };
+}
+
+/**
+ * Decimals of a conditional pool's company and currency tokens, for normalizePrice
+ */
+async function getPairDecimals(provider, companyToken, currencyToken, overrides = {}) {
+    const [company, currency] = await Promise.all([
+        getTokenInfo(provider, companyToken, overrides),
+        getTokenInfo(provider, currencyToken, overrides),
     ]);
-    return { address, symbol, decimals };
+    return { company: company.decimals, currency: currency.decimals };
 }
 
-// ─── Public API ──────────────────────────────────────────────────────────────
+// ─── Outcome Probability ─────────────────────────────────────────────────────
 
-function formatDuration(seconds) {
-    const d = Math.floor(seconds / 86400);
-    const h = Math.floor((seconds % 86400) / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = Math.floor(seconds % 60);
-    const parts = [];
-    if (d > 0) parts.push(`${d}d`);
-    if (h > 0) parts.push(`${h}h`);
-    if (m > 0) parts.push(`${m}m`);
-    if (s > 0) parts.push(`${s}s`);
-    return parts.join(' ') || '0s';
+/**
+ * TWAPs of the prediction pools over the same window as the conditional pools,
+ * priced as base currency per outcome currency token
+ */
+async function calculatePredictionTwaps(provider, chainId, tokens, predictionPools, secondsAgo, twapOptions) {
+    const overrides = twapOptions.blockTag !== undefined ? { blockTag: twapOptions.blockTag } : {};
+    const read = async (poolAddress, outcomeToken) => {
+        const [inversion, decimals, twap] = await Promise.all([
+            detectInversion(provider, poolAddress, outcomeToken, overrides),
+            getPairDecimals(provider, outcomeToken, tokens.currencyToken, overrides),
+            calculatePoolTwap(provider, chainId, poolAddress, secondsAgo, false, twapOptions),
+        ]);
+        return applyInversion(twap, inversion.shouldInvert, decimals);
+    };
+
+    const [yes, no] = await Promise.all([
+        read(predictionPools.yesPool, tokens.yesCurrency),
+        read(predictionPools.noPool, tokens.noCurrency),
+    ]);
+    return { yes, no };
 }
 
 /**
- * Calculate TWAP for a Futarchy proposal.
- * 
- * @param {string} proposalAddress - On-chain proposal contract address
- * @param {number} chainId - 100 (Gnosis) or 1 (Ethereum)
- * @param {object} [options] - Optional parameters
- * @param {number} [options.endTimestamp] - Unix timestamp for TWAP window end (default: now)
- * @param {number} [options.days=5] - TWAP window in days
- * @param {string} [options.rpcUrl] - Override the default RPC URL for the chain
- * @returns {Promise<object>} TWAP result (same format as the /twap API endpoint)
+ * Market-implied probability that the proposal passes, from the prediction pool TWAPs.
+ *
+ * YES_CURRENCY and NO_CURRENCY each redeem for 1 base currency if their outcome
+ * happens, so their prices are the outcome probabilities. They rarely sum to exactly 1,
+ * so the probability is YES / (YES + NO). The expected company price weighs the
+ * conditional TWAPs by it: p × YES + (1 - p) × NO.
  */
-async function calculateTwap(proposalAddress, chainId, options = {}) {
-    const config = CHAIN_CONFIG[chainId];
-    if (!config) throw new Error(`Unsupported chain ${chainId}`);
+function probabilityMetrics(prediction, yesTwap, noTwap, precision) {
+    const yes = prediction.yes.priceRatio;
+    const no = prediction.no.priceRatio;
+    const probabilityRatio = {
+        num: yes.num * no.den,
+        den: yes.num * no.den + no.num * yes.den,
+    };
+    const probability = toNumber(probabilityRatio);
 
-    const now = Math.floor(Date.now() / 1000);
-    const provider = getProvider(chainId, options.rpcUrl);
-    const hasExplicitParams = options.days || options.endTimestamp;
+    const poolSummary = twap => ({
+        price: twap.normalizedPrice,
+        priceDecimal: formatRatio(twap.priceRatio, precision),
+        inverted: twap.inverted,
+        coverage: twap.coverage,
+    });
 
-    let days, endTimestamp, twapDurationSeconds, twapStartTimestamp, source;
+    return {
+        probability,
+        probabilityDecimal: formatRatio(probabilityRatio, precision),
+        yes: poolSummary(prediction.yes),
+        no: poolSummary(prediction.no),
+        priceSum: prediction.yes.normalizedPrice + prediction.no.normalizedPrice,
+        expectedPrice: probability * yesTwap.normalizedPrice + (1 - probability) * noTwap.normalizedPrice,
+    };
+}
+
+// ─── Spot Price ──────────────────────────────────────────────────────────────
+
+/**
+ * Current tick and Q64.96 sqrt price of a pool: globalState() on Algebra, slot0() on Uniswap V3
+ */
+async function getSpotPrice(provider, chainId, poolAddress, overrides = {}) {
+    const config = getChainConfig(chainId);
+    let tick, sqrtPriceX96;
+
+    if (config.mode === 'algebra') {
+        const pool = new ethers.Contract(poolAddress, ALGEBRA_TWAP_ABI, provider);
+        const state = await pool.globalState(overrides);
+        tick = state.tick;
+        sqrtPriceX96 = state.price;
+    } else {
+        const pool = new ethers.Contract(poolAddress, UNISWAP_TWAP_ABI, provider);
+        const slot0 = await pool.slot0(overrides);
+        tick = slot0.tick;
+        sqrtPriceX96 = slot0.sqrtPriceX96;
+    }
+
+    return { tick, sqrtPriceX96: BigInt(sqrtPriceX96.toString()) };
+}
+
+/**
+ * Spot price of a pool, normalized like its TWAP, and how far it is from the TWAP (%)
+ *
+ * @param {object} spot - From getSpotPrice
+ * @param {object} poolTwap - From calculatePoolTwap/applyInversion (for inversion, decimals and the TWAP)
+ */
+function spotMetrics(spot, poolTwap, precision) {
+    const priceRatio = normalizeRatio(sqrtPriceRatio(spot.sqrtPriceX96), poolTwap.inverted, poolTwap.decimals);
+    const divergence = subtractRatios(priceRatio, poolTwap.priceRatio);
+
+    return {
+        tick: spot.tick,
+        price: toNumber(priceRatio),
+        priceDecimal: formatRatio(priceRatio, precision),
+        priceRatio,
+        divergencePercent: toNumber({
+            num: divergence.num * 100n * poolTwap.priceRatio.den,
+            den: divergence.den * poolTwap.priceRatio.num,
+        }),
+    };
+}
+
+/**
+ * TWAP at the end of the window if the spot tick held for the remaining seconds
+ */
+function projectTwap(poolTwap, spotTick, remainingSeconds) {
+    const tickDelta = poolTwap.tickCumulativeDelta + BigInt(spotTick) * BigInt(remainingSeconds);
+    return twapToPrice(tickDelta, poolTwap.secondsWindow + remainingSeconds, poolTwap.inverted, poolTwap.decimals);
+}
+
+// ─── Reality.eth Question ────────────────────────────────────────────────────
+
+/**
+ * The proposal's Reality.eth question for a result (see ./reality): its state and answer,
+ * or { available: false, reason } / { error } when it can't be read
+ */
+async function describeQuestion(provider, chainId, proposalAddress) {
+    const unavailable = realityUnavailable(chainId);
+    if (unavailable) return { available: false, reason: unavailable };
+
+    try {
+        const question = await readQuestion(provider, chainId, proposalAddress);
+        return question
+            ? questionSummary(question)
+            : { available: false, reason: 'No Reality.eth question found for this proposal' };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
+
+/**
+ * Whether the oracle resolved the way the TWAP says — null until the question is final
+ */
+function withTwapAgreement(question, winner) {
+    if (!question.available) return question;
+    const agreesWithTwap = question.state === 'FINALIZED' && winner ? question.outcome === winner : null;
+    return { ...question, agreesWithTwap };
+}
+
+// ─── Liquidity ───────────────────────────────────────────────────────────────
+
+// Defaults for the liquidity metrics — both can be set per call
+const DEFAULT_MANIPULATION_PERCENT = 2;
+const DEFAULT_MIN_LIQUIDITY = Number.isNaN(parseFloat(process.env.TWAP_MIN_LIQUIDITY))
+    ? 1000
+    : parseFloat(process.env.TWAP_MIN_LIQUIDITY);
+
+function resolveLiquidityOptions(options) {
+    const manipulationPercent = options.manipulationPercent ?? DEFAULT_MANIPULATION_PERCENT;
+    const minLiquidity = options.minLiquidity ?? DEFAULT_MIN_LIQUIDITY;
+    if (!(manipulationPercent > 0 && manipulationPercent < 100)) {
+        throw new InvalidInputError('Invalid manipulationPercent: must be between 0 and 100');
+    }
+    if (!(minLiquidity >= 0)) {
+        throw new InvalidInputError('Invalid minLiquidity: must be a non-negative number');
+    }
+    return { manipulationPercent, minLiquidity };
+}
+
+/**
+ * Current in-range liquidity of a pool
+ */
+async function getPoolLiquidity(provider, poolAddress, overrides = {}) {
+    const pool = new ethers.Contract(poolAddress, POOL_TOKEN_ABI, provider);
+    const liquidity = await pool.liquidity(overrides);
+    return BigInt(liquidity.toString());
+}
+
+/**
+ * Liquidity and manipulation-resistance metrics for a pool TWAP.
+ *
+ * Depth is the pool's virtual currency reserve at the TWAP price (L·√P), in currency
+ * units. The manipulation cost is the currency a single trade needs to push the price
+ * `percent` up (buying company) or down (selling company, valued at the TWAP price)
+ * through the lower of the window's harmonic mean liquidity and the current liquidity.
+ * It's the cost of the move alone — keeping the price there while arbitrageurs trade it
+ * back costs more, and fees are ignored — so it's a lower bound.
+ *
+ * @param {object} poolTwap - From calculatePoolTwap/applyInversion
+ * @param {bigint} currentLiquidity - From getPoolLiquidity
+ * @param {object} options - { manipulationPercent, minLiquidity } (see resolveLiquidityOptions)
+ */
+function liquidityMetrics(poolTwap, currentLiquidity, options) {
+    const sqrtPrice = Math.sqrt(toNumber(normalizeRatio(poolTwap.rawRatio, poolTwap.inverted)));
+    const currencyUnit = 10 ** (poolTwap.decimals ? poolTwap.decimals.currency : 0);
+    const depthOf = liquidity => Number(liquidity) * sqrtPrice / currencyUnit;
+
+    const depth = depthOf(poolTwap.harmonicMeanLiquidity);
+    const currentDepth = depthOf(currentLiquidity);
+    const weakest = Math.min(depth, currentDepth);
+    const move = options.manipulationPercent / 100;
+
+    return {
+        harmonicMeanLiquidity: poolTwap.harmonicMeanLiquidity.toString(),
+        currentLiquidity: currentLiquidity.toString(),
+        depth,
+        currentDepth,
+        manipulationCost: {
+            percent: options.manipulationPercent,
+            up: weakest * (Math.sqrt(1 + move) - 1),
+            down: weakest * (1 / Math.sqrt(1 - move) - 1),
+        },
+        minLiquidity: options.minLiquidity,
+        lowLiquidity: weakest < options.minLiquidity,
+    };
+}
+
+// ─── TWAP Window ─────────────────────────────────────────────────────────────
+
+/**
+ * Proposal metadata for the window. Fixture providers (see ./replay) keep the answer
+ * alongside the RPC traffic, so a replay resolves the same window without asking again.
+ */
+async function fetchWindowMetadata(proposalAddress, chainId, provider, sources) {
+    const recorded = provider.replayMetadata?.(proposalAddress);
+    if (recorded) return recorded;
+    const answer = await fetchMetadata(proposalAddress, { chainId, provider }, sources);
+    provider.recordMetadata?.(proposalAddress, answer);
+    return answer;
+}
+
+/**
+ * Resolve the TWAP window from explicit options, falling back to proposal metadata
+ * (see ./metadata). Returns { days, startTimestamp, endTimestamp, durationSeconds, source, sources }.
+ * With a watch session, the metadata is fetched once and reused.
+ */
+async function resolveTwapWindow(proposalAddress, chainId, provider, options, now, session = null) {
+    const hasExplicitParams = options.days || options.endTimestamp || options.startTimestamp;
 
-    if (hasExplicitParams) {
+    let days, endTimestamp, twapDurationSeconds, twapStartTimestamp, source;
+    let sources = [];
+
+    if (options.startTimestamp && options.endTimestamp) {
+        // Caller provided the exact window
+        twapStartTimestamp = options.startTimestamp;
+        endTimestamp = options.endTimestamp;
+        twapDurationSeconds = endTimestamp - twapStartTimestamp;
+        days = twapDurationSeconds / 86400;
+        source = 'params';
+    } else if (options.startTimestamp) {
+        // Start + duration
+        days = options.days || 5;
+        twapStartTimestamp = options.startTimestamp;
+        twapDurationSeconds = days * 86400;
+        endTimestamp = twapStartTimestamp + twapDurationSeconds;
+        source = 'params';
+    } else if (hasExplicitParams) {
         // Caller provided explicit params — use them (backwards-compatible)
         days = options.days || 5;
         endTimestamp = options.endTimestamp || now;
@@ -328,91 +1009,336 @@ async function calculateTwap(proposalAddress, chainId, options = {}) {
         twapStartTimestamp = endTimestamp - twapDurationSeconds;
         source = 'params';
     } else {
-        // Try Registry metadata for the real TWAP window
-        console.log('  📡 Fetching Registry metadata...');
-        const meta = await fetchRegistryMetadata(proposalAddress);
+        // Ask the metadata providers (override file, registry, on-chain) for the real TWAP window
+        if (!session?.metadata) log.debug('  📡 Fetching proposal metadata...');
+        const { metadata: meta, source: answeredBy, sources: report } = session?.metadata || await fetchWindowMetadata(
+            proposalAddress, chainId, provider, options.metadataSources
+        );
+        if (session) session.metadata = { metadata: meta, source: answeredBy, sources: report };
+        sources = report;
+        for (const { provider: name, status, reason } of report) {
+            if (status === 'failed') log.warn(`  ⚠ Metadata from ${name} failed: ${reason}`);
+        }
 
         if (meta?.twapStartTimestamp && meta?.twapDurationHours) {
-            // Registry has full TWAP config
+            // Full TWAP config
             twapStartTimestamp = meta.twapStartTimestamp;
             twapDurationSeconds = meta.twapDurationHours * 3600;
             endTimestamp = twapStartTimestamp + twapDurationSeconds;
             days = meta.twapDurationHours / 24;
-            source = 'registry';
-            console.log(`  ✅ Registry: start=${new Date(twapStartTimestamp * 1000).toISOString()}, duration=${meta.twapDurationHours}h`);
+            source = answeredBy;
+            log.debug(`  ✅ ${answeredBy}: start=${new Date(twapStartTimestamp * 1000).toISOString()}, duration=${meta.twapDurationHours}h`);
         } else if (meta?.closeTimestamp) {
-            // Registry has closeTimestamp only — use it as end with default 5 days
+            // closeTimestamp only — use it as end with default 5 days
             days = 5;
             endTimestamp = meta.closeTimestamp;
             twapDurationSeconds = days * 86400;
             twapStartTimestamp = endTimestamp - twapDurationSeconds;
-            source = 'registry-close';
-            console.log(`  ✅ Registry: closeTimestamp=${new Date(endTimestamp * 1000).toISOString()}, using default ${days}d`);
+            source = `${answeredBy}-close`;
+            log.debug(`  ✅ ${answeredBy}: closeTimestamp=${new Date(endTimestamp * 1000).toISOString()}, using default ${days}d`);
         } else {
-            // No Registry data — fall back to defaults
+            // No metadata — fall back to defaults
             days = 5;
             endTimestamp = now;
             twapDurationSeconds = days * 86400;
             twapStartTimestamp = endTimestamp - twapDurationSeconds;
             source = 'defaults';
-            console.log('  ℹ No Registry metadata — using defaults (5d from now)');
+            log.debug('  ℹ No proposal metadata — using defaults (5d from now)');
         }
     }
 
+    if (!(twapDurationSeconds > 0)) {
+        throw new InvalidInputError('Invalid TWAP window: endTimestamp must be after startTimestamp');
+    }
+
+    return {
+        days,
+        startTimestamp: twapStartTimestamp,
+        endTimestamp,
+        durationSeconds: twapDurationSeconds,
+        source,
+        sources,
+    };
+}
+
+// ─── Public API ──────────────────────────────────────────────────────────────
+
+function formatDuration(seconds) {
+    const d = Math.floor(seconds / 86400);
+    const h = Math.floor((seconds % 86400) / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.floor(seconds % 60);
+    const parts = [];
+    if (d > 0) parts.push(`${d}d`);
+    if (h > 0) parts.push(`${h}h`);
+    if (m > 0) parts.push(`${m}m`);
+    if (s > 0) parts.push(`${s}s`);
+    return parts.join(' ') || '0s';
+}
+
+/**
+ * Calculate TWAP for a Futarchy proposal.
+ * 
+ * @param {string} proposalAddress - On-chain proposal contract address
+ * @param {number} chainId - A configured chain, e.g. 100 (Gnosis) or 1 (Ethereum)
+ * @param {object} [options] - Optional parameters
+ * @param {number} [options.startTimestamp] - Unix timestamp for TWAP window start
+ * @param {number} [options.endTimestamp] - Unix timestamp for TWAP window end (default: now)
+ * @param {number} [options.days=5] - TWAP window in days (ignored when both timestamps are given)
+ * @param {number} [options.endBlock] - For ENDED windows, pin the oracle read to this block — at or
+ *   after the window end (INVALID_INPUT otherwise, and for windows that haven't ended)
+ * @param {boolean} [options.allowPartial=false] - If a pool's oracle history doesn't cover the
+ *   whole window, compute the TWAP over the covered part instead of failing
+ * @param {string|string[]} [options.rpcUrl] - Override the chain's RPC URL(s)
+ * @param {object} [options.provider] - Read through this provider instead (e.g. a RecordingProvider or ReplayProvider)
+ * @param {number} [options.timeoutMs] - Deadline for the whole call (rejects with code DEADLINE_EXCEEDED)
+ * @param {AbortSignal} [options.signal] - Abort the call (rejects with code ABORTED)
+ * @param {object} [options.logger] - Logger for this call (default: the one from setLogger — silent)
+ * @param {number} [options.quorum=1] - Require eth_calls (incl. oracle reads) to match across N endpoints
+ * @param {boolean} [options.cache=true] - Set to false to ignore cached data (the cache is refreshed with what's read)
+ * @param {number} [options.precision=18] - Fractional digits in the decimal-string prices
+ * @param {number} [options.minLiquidity=1000] - Pools shallower than this (in currency) get a LOW_LIQUIDITY warning
+ * @param {number} [options.manipulationPercent=2] - Price move to estimate the manipulation cost for
+ * @param {boolean} [options.probability=false] - Also price the prediction pools and add the
+ *   market-implied probability and expected company price (`result.probability`)
+ * @param {Array<string|object>} [options.metadataSources] - Metadata providers to ask for the TWAP
+ *   window when it isn't given, in order (names or provider objects — see ./metadata)
+ * @returns {Promise<object>} TWAP result (same format as the /twap API endpoint)
+ * @throws {TwapError} With a stable code (see ./errors) — e.g. PROPOSAL_NOT_FOUND, POOLS_NOT_FOUND,
+ *   ORACLE_HISTORY_INSUFFICIENT, RPC_UNAVAILABLE
+ */
+async function calculateTwap(proposalAddress, chainId, options = {}) {
+    return instrumentedTwap(proposalAddress, chainId, () => withRpc(options, () => computeTwap(proposalAddress, chainId, options)));
+}
+
+/**
+ * Run a TWAP computation and report it (see ./instrumentation) — prices included, so
+ * metrics can show the latest TWAP of every proposal queried
+ */
+async function instrumentedTwap(proposalAddress, chainId, run) {
+    const started = Date.now();
+    const report = fields => instrument('twap', { chainId, proposalAddress, durationMs: Date.now() - started, ...fields });
+
+    let result;
+    try {
+        result = await run();
+    } catch (err) {
+        report({ status: null, cached: false, error: err.code || 'ERROR' });
+        throw err;
+    }
+
+    const { twap } = result;
+    report({
+        status: result.status || null,
+        cached: !!result.cached,
+        ...(twap ? { yes: twap.yes.price, no: twap.no.price, spread: twap.spread, percentDiff: Number(twap.percentDiff), winner: twap.winner } : {}),
+    });
+    return result;
+}
+
+function poolsNotFound(pools, tokens) {
+    return new PoolsNotFoundError('Could not find YES/NO conditional pools on-chain', {
+        pools: { yes: pools.yesPool, no: pools.noPool },
+        tokens: {
+            yesCompany: tokens.yesCompany,
+            noCompany: tokens.noCompany,
+            yesCurrency: tokens.yesCurrency,
+            noCurrency: tokens.noCurrency,
+            companyToken: tokens.companyToken,
+            currencyToken: tokens.currencyToken,
+        },
+    });
+}
+
+// A failed oracle read: known errors keep their code, a reverting oracle is ORACLE_READ_FAILED
+function oracleFailure(err) {
+    if (err instanceof TwapError || !(err.code === 'CALL_EXCEPTION' || isRevert(err))) return err;
+    return new TwapError('ORACLE_READ_FAILED', `TWAP calculation failed: ${err.reason || err.message}`);
+}
+
+/**
+ * @param {object} [session] - Reads to reuse between calls (see watchTwap): proposal
+ *   metadata, tokens and pools, filled in as they're found
+ */
+async function computeTwap(proposalAddress, chainId, options = {}, session = null) {
+    const config = getChainConfig(chainId);
+    const precision = resolvePrecision(options.precision);
+    const liquidityOptions = resolveLiquidityOptions(options);
+
+    const provider = providerFor(chainId, options);
+    const nowMs = currentTime(provider);
+    const now = Math.floor(nowMs / 1000);
+    const {
+        days, endTimestamp, source, sources,
+        startTimestamp: twapStartTimestamp,
+        durationSeconds: twapDurationSeconds,
+    } = await resolveTwapWindow(proposalAddress, chainId, provider, options, now, session);
+
     // Determine status
     let status;
     if (now < twapStartTimestamp) status = 'NOT_STARTED';
     else if (now >= endTimestamp) status = 'ENDED';
     else status = 'ACTIVE';
 
-    console.log(`\n[TWAP] ${proposalAddress} on ${config.name}`);
-    console.log(`  Window: ${new Date(twapStartTimestamp * 1000).toISOString()} → ${new Date(endTimestamp * 1000).toISOString()} (${days}d)`);
-    console.log(`  Status: ${status} (source: ${source})`);
-
-    // 1. Get tokens from proposal contract
-    console.log('  📦 Reading wrappedOutcome tokens...');
-    const tokens = await getProposalTokens(provider, proposalAddress);
+    log.info(`\n[TWAP] ${proposalAddress} on ${config.name}`, { proposalAddress, chainId });
+    log.info(`  Window: ${new Date(twapStartTimestamp * 1000).toISOString()} → ${new Date(endTimestamp * 1000).toISOString()} (${days}d)`);
+    log.info(`  Status: ${status} (source: ${source})`, { proposalAddress, status, source });
 
-    // 2. Discover pools on-chain
-    console.log('  🔍 Discovering conditional pools via factory...');
-    const pools = await discoverConditionalPools(provider, chainId, tokens);
+    // endBlock pins a settled window; a window still open has no block to pin to
+    if (options.endBlock !== undefined && status !== 'ENDED') {
+        throw new InvalidInputError(`endBlock only applies to ENDED windows — this one is ${status}`);
+    }
 
-    if (!pools.yesPool || !pools.noPool) {
-        return {
-            proposalAddress,
-            chainId,
-            chain: config.name,
-            marketName: tokens.marketName,
-            error: 'Could not find YES/NO conditional pools on-chain',
-            pools: { yes: pools.yesPool, no: pools.noPool },
-            tokens: {
-                yesCompany: tokens.yesCompany,
-                noCompany: tokens.noCompany,
-                yesCurrency: tokens.yesCurrency,
-                noCurrency: tokens.noCurrency,
-                companyToken: tokens.companyToken,
-                currencyToken: tokens.currencyToken,
-            },
-        };
+    // An ENDED window's TWAP never changes — serve it from cache if it was computed
+    // with at least the quorum asked for now. Windows that end "now" (days only)
+    // aren't settled, so they aren't cached.
+    let resultKey = status === 'ENDED' && endTimestamp < now
+        ? cacheKey(provider, 'twap', proposalAddress, twapStartTimestamp, endTimestamp, options.endBlock ?? 'latest', precision,
+            liquidityOptions.minLiquidity, liquidityOptions.manipulationPercent, !!options.probability)
+        : null;
+    const cachedResult = cacheLookup(resultKey);
+    if (cachedResult && cachedResult.quorum >= (options.quorum || 1)) {
+        log.debug('  💾 Using cached result');
+        const { result } = cachedResult;
+
+        // The TWAP is settled but its question may not be — re-read it until it's final
+        if (result.question?.state !== 'FINALIZED') {
+            result.question = withTwapAgreement(await describeQuestion(provider, chainId, proposalAddress), result.twap?.winner);
+            if (result.question.state === 'FINALIZED') cacheStore(resultKey, cachedResult);
+        }
+        return { ...result, cached: true };
     }
 
-    console.log(`  ✅ YES pool: ${pools.yesPool}`);
-    console.log(`  ✅ NO pool:  ${pools.noPool}`);
+    // 1. Get tokens from proposal contract. ENDED windows are read at a pinned block —
+    //    as are quorum reads, so every endpoint answers for the same block — so fetch
+    //    that alongside (a separate request, sent concurrently)
+    log.debug('  📦 Reading wrappedOutcome tokens...');
+    const pinBlock = status === 'ENDED' || (status === 'ACTIVE' && options.quorum > 1);
+    // The question's reads depend only on the proposal — start them now, so they share
+    // the multicall batches of the token and pool reads instead of adding their own
+    const questionRead = describeQuestion(provider, chainId, proposalAddress);
+    const [tokens, block] = await Promise.all([
+        session?.tokens || getProposalTokens(provider, proposalAddress),
+        pinBlock
+            ? provider.getBlock(status === 'ENDED' && options.endBlock !== undefined ? options.endBlock : 'latest')
+            : null,
+    ]);
 
-    // 3. Auto-detect inversion
-    console.log('  🔄 Detecting token ordering (inversion)...');
-    const [yesInversion, noInversion] = await Promise.all([
-        detectInversion(provider, pools.yesPool, tokens.yesCompany),
-        detectInversion(provider, pools.noPool, tokens.noCompany),
+    // 2. Discover pools on-chain (plus the prediction pools, for options.probability)
+    log.debug('  🔍 Discovering conditional pools via factory...');
+    const [pools, predictionPools] = await Promise.all([
+        session?.pools || discoverConditionalPools(provider, chainId, tokens),
+        options.probability ? session?.predictionPools || discoverPredictionPools(provider, chainId, tokens) : null,
     ]);
-    console.log(`  YES pool: company is token${yesInversion.shouldInvert ? '1' : '0'} → invert=${yesInversion.shouldInvert}`);
-    console.log(`  NO pool:  company is token${noInversion.shouldInvert ? '1' : '0'} → invert=${noInversion.shouldInvert}`);
 
-    // 4. Get token info for display
-    const [companyInfo, currencyInfo] = await Promise.all([
-        getTokenInfo(provider, tokens.companyToken),
-        getTokenInfo(provider, tokens.currencyToken),
+    // Pools can be created later on — only reuse them once both exist
+    if (session && pools.yesPool && pools.noPool) {
+        Object.assign(session, { tokens, pools });
+        if (predictionPools?.yesPool && predictionPools?.noPool) session.predictionPools = predictionPools;
+    }
+
+    if (!pools.yesPool || !pools.noPool) throw poolsNotFound(pools, tokens);
+
+    log.debug(`  ✅ YES pool: ${pools.yesPool}`);
+    log.debug(`  ✅ NO pool:  ${pools.noPool}`);
+
+    // 3. Plan the oracle read
+    //   ACTIVE → trailing read from the window start up to the latest block
+    //   ENDED  → the exact [start, end] window, read at a pinned block so the result
+    //            is reproducible: the latest block, or options.endBlock if given
+    let method = 'trailing';
+    let secondsAgo = Math.min(now - twapStartTimestamp, twapDurationSeconds);
+    let endSecondsAgo = 0;
+    // What the time left in an ACTIVE window is measured from
+    let windowNow = now;
+
+    if (status === 'ENDED') {
+        method = options.endBlock !== undefined ? 'block' : 'historical';
+        // An endBlock before the window end would silently cut the window short
+        if (method === 'block' && block.timestamp < endTimestamp) {
+            throw new InvalidInputError(
+                `Block ${block.number} (${new Date(block.timestamp * 1000).toISOString()}) is before the TWAP window end — endBlock must be at or after ${new Date(endTimestamp * 1000).toISOString()}`
+            );
+        }
+        secondsAgo = block.timestamp - twapStartTimestamp;
+        endSecondsAgo = block.timestamp - endTimestamp;
+
+        // The latest block is still inside the window (a lagging node, or a window that
+        // ended seconds ago) — it can't settle it yet, so read it as the ACTIVE window it
+        // still is on-chain, and don't cache it as final
+        if (endSecondsAgo < 0) {
+            log.warn(`  ⚠ Latest block ${block.number} is ${-endSecondsAgo}s before the window end — reading it as ACTIVE`);
+            status = 'ACTIVE';
+            method = 'trailing';
+            endSecondsAgo = 0;
+            windowNow = block.timestamp;
+            resultKey = null;
+        }
+    }
+
+    const twapOptions = {
+        endSecondsAgo,
+        blockTag: block ? block.number : undefined,
+        allowPartial: !!options.allowPartial,
+    };
+
+    const readOracles = async () => {
+        if (status === 'NOT_STARTED') return null;
+        if (secondsAgo <= 0) throw new InvalidInputError(`Block ${block.number} is before the TWAP window start`);
+
+        log.debug(`  📊 Reading TWAP oracles (${method}, secondsAgos=[${secondsAgo}, ${endSecondsAgo}]${block ? ` @ block ${block.number}` : ''})...`);
+        return Promise.all([
+            calculatePoolTwap(provider, chainId, pools.yesPool, secondsAgo, false, twapOptions),
+            calculatePoolTwap(provider, chainId, pools.noPool, secondsAgo, false, twapOptions),
+        ]);
+    };
+
+    const readPrediction = async () => {
+        if (!predictionPools || status === 'NOT_STARTED' || secondsAgo <= 0) return null;
+        if (!predictionPools.yesPool || !predictionPools.noPool) {
+            throw new PoolsNotFoundError('Could not find YES/NO prediction pools on-chain', {
+                pools: { yes: predictionPools.yesPool, no: predictionPools.noPool },
+                tokens: {
+                    yesCurrency: tokens.yesCurrency,
+                    noCurrency: tokens.noCurrency,
+                    currencyToken: tokens.currencyToken,
+                },
+            });
+        }
+        return calculatePredictionTwaps(provider, chainId, tokens, predictionPools, secondsAgo, twapOptions);
+    };
+
+    // 4. Inversion, token info and the oracle reads don't depend on each other —
+    //    issue them together (at the same block) so they share one multicall batch,
+    //    then apply inversion and the wrapped outcome tokens' decimals
+    log.debug('  🔄 Detecting token ordering (inversion)...');
+    const readOverrides = block ? { blockTag: block.number } : {};
+    const [
+        yesInversion, noInversion,
+        companyInfo, currencyInfo,
+        yesDecimals, noDecimals,
+        yesLiquidity, noLiquidity,
+        yesSpotState, noSpotState,
+        oracle,
+        prediction,
+        question,
+    ] = await Promise.all([
+        detectInversion(provider, pools.yesPool, tokens.yesCompany, readOverrides),
+        detectInversion(provider, pools.noPool, tokens.noCompany, readOverrides),
+        getTokenInfo(provider, tokens.companyToken, readOverrides),
+        getTokenInfo(provider, tokens.currencyToken, readOverrides),
+        getPairDecimals(provider, tokens.yesCompany, tokens.yesCurrency, readOverrides),
+        getPairDecimals(provider, tokens.noCompany, tokens.noCurrency, readOverrides),
+        getPoolLiquidity(provider, pools.yesPool, readOverrides),
+        getPoolLiquidity(provider, pools.noPool, readOverrides),
+        getSpotPrice(provider, chainId, pools.yesPool, readOverrides),
+        getSpotPrice(provider, chainId, pools.noPool, readOverrides),
+        readOracles().then(twaps => ({ twaps }), error => ({ error })),
+        readPrediction().then(twaps => ({ twaps }), error => ({ error })),
+        questionRead,
     ]);
+    log.debug(`  YES pool: company is token${yesInversion.shouldInvert ? '1' : '0'} → invert=${yesInversion.shouldInvert}`);
+    log.debug(`  NO pool:  company is token${noInversion.shouldInvert ? '1' : '0'} → invert=${noInversion.shouldInvert}`);
 
     // Build result
     const result = {
@@ -442,8 +1368,12 @@ async function calculateTwap(proposalAddress, chainId, options = {}) {
         },
         status,
         source,
-        timestamp: new Date().toISOString(),
+        sources,
+        question: withTwapAgreement(question, null),
+        timestamp: new Date(nowMs).toISOString(),
     };
+    if (question.error) log.warn(`  ⚠ Question unavailable: ${question.error}`);
+    else if (question.available) log.info(`  🔮 Question: ${question.state}${question.outcome ? ` (${question.outcome})` : ''}`);
 
     // If not started, show countdown
     if (status === 'NOT_STARTED') {
@@ -455,58 +1385,284 @@ async function calculateTwap(proposalAddress, chainId, options = {}) {
     }
 
     // 5. Calculate TWAP
-    const timeSinceStart = Math.min(now - twapStartTimestamp, twapDurationSeconds);
-    const secondsAgo = status === 'ENDED' ? twapDurationSeconds : timeSinceStart;
+    if (oracle.error) {
+        log.error(`  ❌ TWAP error: ${oracle.error.message}`, { proposalAddress });
+        throw oracleFailure(oracle.error);
+    }
 
-    console.log(`  📊 Calculating TWAP (${secondsAgo}s window)...`);
+    const yesTwap = applyInversion(oracle.twaps[0], yesInversion.shouldInvert, yesDecimals);
+    const noTwap = applyInversion(oracle.twaps[1], noInversion.shouldInvert, noDecimals);
+
+    // Compare the exact prices
+    const comparison = compareRatios(yesTwap.priceRatio, noTwap.priceRatio);
+    const winner = winnerOf(comparison);
+    const spreadRatio = subtractRatios(yesTwap.priceRatio, noTwap.priceRatio);
+    const spread = toNumber(spreadRatio);
+    const percentDiff = formatRatio(percentDiffRatio(yesTwap.priceRatio, noTwap.priceRatio), 4);
+
+    // Spot prices, and where the TWAPs would end up if they held for the rest of the window
+    const { priceRatio: yesSpotRatio, ...yesSpot } = spotMetrics(yesSpotState, yesTwap, precision);
+    const { priceRatio: noSpotRatio, ...noSpot } = spotMetrics(noSpotState, noTwap, precision);
+    const remainingSeconds = status === 'ACTIVE' ? endTimestamp - windowNow : 0;
+    const projectedYes = projectTwap(yesTwap, yesSpotState.tick, remainingSeconds);
+    const projectedNo = projectTwap(noTwap, noSpotState.tick, remainingSeconds);
+    const projectedWinner = winnerOf(compareRatios(projectedYes.priceRatio, projectedNo.priceRatio));
+
+    result.twap = {
+        yes: {
+            price: yesTwap.normalizedPrice,
+            priceDecimal: formatRatio(yesTwap.priceRatio, precision),
+            rawPrice: yesTwap.rawPrice,
+            rawPriceDecimal: formatRatio(yesTwap.rawRatio, precision),
+            averageTick: yesTwap.averageTick,
+            meanTick: yesTwap.meanTick,
+            meanTickPrice: yesTwap.meanTickPrice.normalizedPrice,
+            meanTickPriceDecimal: formatRatio(yesTwap.meanTickPrice.priceRatio, precision),
+            inverted: yesTwap.inverted,
+            decimals: yesTwap.decimals,
+            coverage: yesTwap.coverage,
+            liquidity: liquidityMetrics(yesTwap, yesLiquidity, liquidityOptions),
+            activity: yesTwap.activity,
+            spot: yesSpot,
+        },
+        no: {
+            price: noTwap.normalizedPrice,
+            priceDecimal: formatRatio(noTwap.priceRatio, precision),
+            rawPrice: noTwap.rawPrice,
+            rawPriceDecimal: formatRatio(noTwap.rawRatio, precision),
+            averageTick: noTwap.averageTick,
+            meanTick: noTwap.meanTick,
+            meanTickPrice: noTwap.meanTickPrice.normalizedPrice,
+            meanTickPriceDecimal: formatRatio(noTwap.meanTickPrice.priceRatio, precision),
+            inverted: noTwap.inverted,
+            decimals: noTwap.decimals,
+            coverage: noTwap.coverage,
+            liquidity: liquidityMetrics(noTwap, noLiquidity, liquidityOptions),
+            activity: noTwap.activity,
+            spot: noSpot,
+        },
+        spread,
+        spreadDecimal: formatRatio(spreadRatio, precision),
+        percentDiff,
+        winner,
+        precision,
+        windowSeconds: yesTwap.secondsWindow,
+        windowHours: (yesTwap.secondsWindow / 3600).toFixed(2),
+        method,
+        secondsAgos: yesTwap.secondsAgos,
+        block: block ? { number: block.number, timestamp: block.timestamp } : null,
+        partial: yesTwap.partial || noTwap.partial,
+        spot: {
+            winner: winnerOf(compareRatios(yesSpotRatio, noSpotRatio)),
+            projection: {
+                remainingSeconds,
+                yes: projectedYes.normalizedPrice,
+                no: projectedNo.normalizedPrice,
+                yesDecimal: formatRatio(projectedYes.priceRatio, precision),
+                noDecimal: formatRatio(projectedNo.priceRatio, precision),
+                winner: projectedWinner,
+            },
+            changesWinner: projectedWinner !== winner,
+        },
+    };
 
-    try {
-        const [yesTwap, noTwap] = await Promise.all([
-            calculatePoolTwap(provider, chainId, pools.yesPool, secondsAgo, yesInversion.shouldInvert),
-            calculatePoolTwap(provider, chainId, pools.noPool, secondsAgo, noInversion.shouldInvert),
-        ]);
+    result.question = withTwapAgreement(question, winner);
 
-        const spread = yesTwap.normalizedPrice - noTwap.normalizedPrice;
-        const winner = spread > 1e-8 ? 'YES' : spread < -1e-8 ? 'NO' : 'TIE';
-        const loser = Math.min(yesTwap.normalizedPrice, noTwap.normalizedPrice);
-        const percentDiff = loser > 0 ? (Math.abs(spread) / loser * 100) : 0;
-
-        result.twap = {
-            yes: {
-                price: yesTwap.normalizedPrice,
-                rawPrice: yesTwap.rawPrice,
-                averageTick: yesTwap.averageTick,
-                inverted: yesTwap.inverted,
-            },
-            no: {
-                price: noTwap.normalizedPrice,
-                rawPrice: noTwap.rawPrice,
-                averageTick: noTwap.averageTick,
-                inverted: noTwap.inverted,
-            },
-            spread,
-            percentDiff: percentDiff.toFixed(4),
-            winner,
-            windowSeconds: secondsAgo,
-            windowHours: (secondsAgo / 3600).toFixed(2),
+    if (status === 'ACTIVE') {
+        const remaining = endTimestamp - windowNow;
+        result.timeRemaining = {
+            seconds: remaining,
+            human: formatDuration(remaining),
         };
+    }
 
-        if (status === 'ACTIVE') {
-            const remaining = endTimestamp - now;
-            result.timeRemaining = {
-                seconds: remaining,
-                human: formatDuration(remaining),
-            };
+    if (predictionPools) {
+        const predictionAddresses = { yes: predictionPools.yesPool, no: predictionPools.noPool };
+        result.probability = prediction.error
+            ? { pools: predictionAddresses, error: prediction.error.message, code: errors.errorBody(prediction.error).code }
+            : { pools: predictionAddresses, ...probabilityMetrics(prediction.twaps, yesTwap, noTwap, precision) };
+        if (prediction.error) {
+            log.warn(`  ⚠ Probability unavailable: ${prediction.error.message}`);
+        } else {
+            log.info(`  🎲 P(pass): ${(result.probability.probability * 100).toFixed(2)}%, expected price: ${result.probability.expectedPrice.toFixed(6)}`);
         }
+    }
 
-        console.log(`  ✅ YES TWAP: ${yesTwap.normalizedPrice.toFixed(6)}, NO TWAP: ${noTwap.normalizedPrice.toFixed(6)}`);
-        console.log(`  🏆 Winner: ${winner} (spread: ${spread.toFixed(6)}, ${percentDiff.toFixed(2)}%)`);
+    const warnings = [['YES', result.twap.yes], ['NO', result.twap.no]]
+        .filter(([, pool]) => pool.liquidity.lowLiquidity)
+        .map(([side, pool]) => ({
+            code: 'LOW_LIQUIDITY',
+            pool: side,
+            message: `${side} pool depth ${Math.min(pool.liquidity.depth, pool.liquidity.currentDepth).toPrecision(4)} ` +
+                `${currencyInfo.symbol} is below the floor of ${pool.liquidity.minLiquidity} — the TWAP may be cheap to manipulate`,
+        }));
+    if (source === 'defaults') {
+        warnings.push({
+            code: 'METADATA_NOT_FOUND',
+            message: 'No metadata provider knows this proposal — the TWAP window is the default (last 5 days)',
+        });
+    }
+    if (warnings.length > 0) {
+        result.warnings = warnings;
+        for (const warning of warnings) log.warn(`  ⚠ ${warning.message}`);
+    }
 
-    } catch (err) {
-        result.error = `TWAP calculation failed: ${err.message}`;
-        console.error(`  ❌ TWAP error: ${err.message}`);
+    if (result.twap.partial) {
+        log.warn(`  ⚠ Partial TWAP: oracle history covers YES ${yesTwap.coverage.availableSeconds}s, NO ${noTwap.coverage.availableSeconds}s of ${yesTwap.coverage.requestedSeconds}s`);
+    }
+    log.info(`  ✅ YES TWAP: ${yesTwap.normalizedPrice.toFixed(6)}, NO TWAP: ${noTwap.normalizedPrice.toFixed(6)}`);
+    log.info(`  🏆 Winner: ${winner} (spread: ${spread.toFixed(6)}, ${Number(percentDiff).toFixed(2)}%)`, { proposalAddress, winner });
+
+    // Partial results aren't final: coverage depends on when the oracle was read
+    if (resultKey && !result.twap.partial) {
+        cacheStore(resultKey, { quorum: options.quorum || 1, result });
+    }
+
+    return result;
+}
+
+const MAX_SERIES_POINTS = 1000;
+
+/**
+ * Calculate a TWAP time series for a Futarchy proposal.
+ *
+ * Reads every step of the series in one getTimepoints/observe call per pool,
+ * pinned to the latest block. Each point carries the cumulative TWAP since `from`
+ * and the average price over the interval that ended at that point.
+ *
+ * @param {string} proposalAddress - On-chain proposal contract address
+ * @param {number} chainId - A configured chain, e.g. 100 (Gnosis) or 1 (Ethereum)
+ * @param {object} [options] - Optional parameters
+ * @param {number} [options.interval=3600] - Step between points, in seconds
+ * @param {number} [options.from] - Unix timestamp of the first point (default: TWAP window start)
+ * @param {number} [options.to] - Unix timestamp of the last point (default: TWAP window end, capped at now)
+ * @param {string|string[]} [options.rpcUrl] - Override the chain's RPC URL(s)
+ * @param {object} [options.provider] - Read through this provider instead (e.g. a RecordingProvider or ReplayProvider)
+ * @param {number} [options.timeoutMs] - Deadline for the whole call (rejects with code DEADLINE_EXCEEDED)
+ * @param {AbortSignal} [options.signal] - Abort the call (rejects with code ABORTED)
+ * @param {object} [options.logger] - Logger for this call (default: the one from setLogger — silent)
+ * @param {number} [options.quorum=1] - Require eth_calls (incl. oracle reads) to match across N endpoints
+ * @param {boolean} [options.cache=true] - Set to false to ignore cached data (the cache is refreshed with what's read)
+ * @param {number} [options.precision=18] - Fractional digits in the decimal-string prices
+ * @param {Array<string|object>} [options.metadataSources] - Metadata providers for the default window
+ * @returns {Promise<object>} Series result (same format as the /twap/.../series API endpoint)
+ */
+async function calculateTwapSeries(proposalAddress, chainId, options = {}) {
+    return withRpc(options, () => computeTwapSeries(proposalAddress, chainId, options));
+}
+
+async function computeTwapSeries(proposalAddress, chainId, options = {}) {
+    const config = getChainConfig(chainId);
+    const precision = resolvePrecision(options.precision);
+
+    const provider = providerFor(chainId, options);
+    const nowMs = currentTime(provider);
+    const now = Math.floor(nowMs / 1000);
+    const interval = Math.floor(options.interval || 3600);
+    if (!(interval > 0)) throw new InvalidInputError('Invalid interval: must be a positive number of seconds');
+
+    // Window defaults come from the same resolution as calculateTwap
+    let from = options.from;
+    let to = options.to;
+    let source = 'params';
+    let sources = [];
+    if (!from || !to) {
+        const window = await resolveTwapWindow(proposalAddress, chainId, provider, options, now);
+        from = from || window.startTimestamp;
+        to = to || window.endTimestamp;
+        source = window.source;
+        sources = window.sources;
+    }
+
+    const [tokens, block] = await Promise.all([
+        getProposalTokens(provider, proposalAddress),
+        provider.getBlock('latest'),
+    ]);
+    const pools = await discoverConditionalPools(provider, chainId, tokens);
+
+    const result = {
+        proposalAddress,
+        chainId,
+        chain: config.name,
+        marketName: tokens.marketName,
+        pools: { yes: pools.yesPool, no: pools.noPool },
+        source,
+        sources,
+        timestamp: new Date(nowMs).toISOString(),
+    };
+
+    if (!pools.yesPool || !pools.noPool) throw poolsNotFound(pools, tokens);
+
+    // Points can't be later than the block we read at
+    to = Math.min(to, block.timestamp);
+    if (to <= from) {
+        throw new TwapError('WINDOW_NOT_STARTED', `Series window has not started (from=${from}, to=${to})`);
+    }
+
+    const timestamps = [];
+    for (let t = from; t < to; t += interval) timestamps.push(t);
+    timestamps.push(to);
+    if (timestamps.length > MAX_SERIES_POINTS) {
+        throw new InvalidInputError(`Series too long: ${timestamps.length} points (max ${MAX_SERIES_POINTS}) — increase interval`);
+    }
+
+    const secondsAgos = timestamps.map(t => block.timestamp - t);
+    const overrides = { blockTag: block.number };
+
+    const [
+        yesInversion, noInversion,
+        yesDecimals, noDecimals,
+        yesCumulatives, noCumulatives,
+    ] = await Promise.all([
+        detectInversion(provider, pools.yesPool, tokens.yesCompany, overrides),
+        detectInversion(provider, pools.noPool, tokens.noCompany, overrides),
+        getPairDecimals(provider, tokens.yesCompany, tokens.yesCurrency, overrides),
+        getPairDecimals(provider, tokens.noCompany, tokens.noCurrency, overrides),
+        getTickCumulatives(provider, chainId, pools.yesPool, secondsAgos, overrides),
+        getTickCumulatives(provider, chainId, pools.noPool, secondsAgos, overrides),
+    ]);
+
+    result.pools = {
+        yes: { address: pools.yesPool, inverted: yesInversion.shouldInvert, decimals: yesDecimals },
+        no: { address: pools.noPool, inverted: noInversion.shouldInvert, decimals: noDecimals },
+    };
+
+    // Average ticks since `from` (cumulative TWAP) and over the preceding interval
+    const pricesAt = (cumulatives, shouldInvert, decimals, i) => ({
+        twap: twapToPrice(cumulatives[i] - cumulatives[0], timestamps[i] - timestamps[0], shouldInvert, decimals),
+        price: twapToPrice(cumulatives[i] - cumulatives[i - 1], timestamps[i] - timestamps[i - 1], shouldInvert, decimals),
+    });
+    const pointPrices = ({ twap, price }) => ({
+        twap: twap.normalizedPrice,
+        price: price.normalizedPrice,
+        twapDecimal: formatRatio(twap.priceRatio, precision),
+        priceDecimal: formatRatio(price.priceRatio, precision),
+    });
+
+    const points = [];
+    for (let i = 1; i < timestamps.length; i++) {
+        const yes = pricesAt(yesCumulatives, yesInversion.shouldInvert, yesDecimals, i);
+        const no = pricesAt(noCumulatives, noInversion.shouldInvert, noDecimals, i);
+        const comparison = compareRatios(yes.twap.priceRatio, no.twap.priceRatio);
+        points.push({
+            timestamp: timestamps[i],
+            date: new Date(timestamps[i] * 1000).toISOString(),
+            yes: pointPrices(yes),
+            no: pointPrices(no),
+            spread: toNumber(subtractRatios(yes.twap.priceRatio, no.twap.priceRatio)),
+            winner: winnerOf(comparison),
+        });
     }
 
+    result.series = {
+        from,
+        to,
+        interval,
+        precision,
+        block: { number: block.number, timestamp: block.timestamp },
+        points,
+    };
+
     return result;
 }
 
@@ -514,16 +1670,24 @@ async function calculateTwap(proposalAddress, chainId, options = {}) {
  * Discover all 6 pools for a Futarchy proposal on-chain.
  * 
  * @param {string} proposalAddress - On-chain proposal contract address
- * @param {number} chainId - 100 (Gnosis) or 1 (Ethereum)
+ * @param {number} chainId - A configured chain, e.g. 100 (Gnosis) or 1 (Ethereum)
  * @param {object} [options] - Optional parameters
- * @param {string} [options.rpcUrl] - Override the default RPC URL for the chain
+ * @param {string|string[]} [options.rpcUrl] - Override the chain's RPC URL(s)
+ * @param {object} [options.provider] - Read through this provider instead (e.g. a RecordingProvider or ReplayProvider)
+ * @param {number} [options.timeoutMs] - Deadline for the whole call (rejects with code DEADLINE_EXCEEDED)
+ * @param {AbortSignal} [options.signal] - Abort the call (rejects with code ABORTED)
+ * @param {object} [options.logger] - Logger for this call (default: the one from setLogger — silent)
+ * @param {boolean} [options.cache=true] - Set to false to ignore cached data (the cache is refreshed with what's read)
  * @returns {Promise<object>} Pool discovery result (same format as the /pools API endpoint)
  */
 async function discoverPools(proposalAddress, chainId, options = {}) {
-    const config = CHAIN_CONFIG[chainId];
-    if (!config) throw new Error(`Unsupported chain ${chainId}. Use 100 (Gnosis) or 1 (Ethereum)`);
+    return withRpc(options, () => computePools(proposalAddress, chainId, options));
+}
+
+async function computePools(proposalAddress, chainId, options = {}) {
+    const config = getChainConfig(chainId);
 
-    const provider = getProvider(chainId, options.rpcUrl);
+    const provider = providerFor(chainId, options);
 
     // 1. Tokens
     const tokens = await getProposalTokens(provider, proposalAddress);
@@ -538,31 +1702,31 @@ async function discoverPools(proposalAddress, chainId, options = {}) {
         { name: 'NO_CURRENCY/BASE_CURRENCY (Prediction)', t0: tokens.noCurrency, t1: tokens.currencyToken },
     ];
 
-    const poolResults = [];
-    for (const pair of pairs) {
-        const address = await findPool(provider, chainId, pair.t0, pair.t1);
-        let inversion = null;
-        if (address) {
-            // Check token ordering for the conditional pools (first two)
-            if (pair.name.includes('Conditional')) {
-                const companyToken = pair.name.startsWith('YES') ? tokens.yesCompany : tokens.noCompany;
-                inversion = await detectInversion(provider, address, companyToken);
-            }
-        }
-        poolResults.push({
-            name: pair.name,
-            address: address || null,
-            exists: !!address,
-            inverted: inversion?.shouldInvert ?? null,
-        });
-    }
-
-    // Token info
-    const [companyInfo, currencyInfo] = await Promise.all([
+    // All factory lookups go out in one multicall batch
+    const addresses = await Promise.all(
+        pairs.map(pair => findPool(provider, chainId, pair.t0, pair.t1))
+    );
+
+    // Check token ordering for every pool, alongside token info — each pool is priced
+    // as its second token per its first (currency per company, or base per outcome token,
+    // as calculatePredictionTwaps prices the prediction pools)
+    const detectPairInversion = (pair, address) => {
+        if (!address) return null;
+        return detectInversion(provider, address, pair.t0);
+    };
+    const [companyInfo, currencyInfo, ...inversions] = await Promise.all([
         getTokenInfo(provider, tokens.companyToken),
         getTokenInfo(provider, tokens.currencyToken),
+        ...pairs.map((pair, i) => detectPairInversion(pair, addresses[i])),
     ]);
 
+    const poolResults = pairs.map((pair, i) => ({
+        name: pair.name,
+        address: addresses[i] || null,
+        exists: !!addresses[i],
+        inverted: inversions[i]?.shouldInvert ?? null,
+    }));
+
     return {
         proposalAddress,
         chainId,
@@ -582,19 +1746,318 @@ async function discoverPools(proposalAddress, chainId, options = {}) {
     };
 }
 
+/**
+ * List the proposals created by a chain's futarchy proposal factory, oldest first,
+ * by scanning its NewProposal events.
+ *
+ * @param {number} chainId - A configured chain
+ * @param {object} [options] - Optional parameters
+ * @param {string} [options.factory] - Factory address (default: the chain's `proposalFactory`)
+ * @param {number} [options.fromBlock] - First block to scan (default: the chain's `proposalFactoryBlock`, or 0)
+ * @param {number} [options.toBlock] - Last block to scan (default: latest)
+ * @param {number} [options.chunkSize=10000] - Blocks per eth_getLogs request (halved if the node refuses)
+ * @param {string|string[]} [options.rpcUrl] - Override the chain's RPC URL(s)
+ * @param {object} [options.provider] - Read through this provider instead (e.g. a RecordingProvider or ReplayProvider)
+ * @param {number} [options.timeoutMs] - Deadline for the whole call
+ * @param {AbortSignal} [options.signal] - Abort the call
+ * @param {object} [options.logger] - Logger for this call (default: the one from setLogger — silent)
+ * @returns {Promise<object>} { chainId, chain, factory, fromBlock, toBlock, count, proposals }
+ */
+async function listProposals(chainId, options = {}) {
+    return withRpc(options, () => computeProposalList(chainId, options));
+}
+
+async function computeProposalList(chainId, options = {}) {
+    const config = getChainConfig(chainId);
+    const factory = options.factory || config.proposalFactory;
+    if (!factory) {
+        throw new InvalidInputError(`No proposal factory configured for ${config.name} — pass a factory address`);
+    }
+    if (!ethers.utils.isAddress(factory)) {
+        throw new InvalidInputError(`Invalid factory address: ${factory}`);
+    }
+
+    const provider = providerFor(chainId, options);
+    const latest = await provider.getBlockNumber();
+    const fromBlock = options.fromBlock ?? config.proposalFactoryBlock ?? 0;
+    const toBlock = Math.min(options.toBlock ?? latest, latest);
+
+    log.info(`\n[PROPOSALS] ${factory} on ${config.name}, blocks ${fromBlock} → ${toBlock}`);
+
+    const topic = new ethers.utils.Interface(FUTARCHY_FACTORY_ABI).getEventTopic('NewProposal');
+    const logs = await getLogsChunked(
+        provider,
+        { address: factory, topics: [topic] },
+        fromBlock,
+        toBlock,
+        options.chunkSize || config.logChunkSize,
+    );
+    log.info(`  📜 ${logs.length} proposal(s) created`);
+
+    // The proposal is the first indexed argument — a left-padded address in topics[1]
+    const created = logs.map(log => ({
+        address: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+        createdBlock: log.blockNumber,
+        transactionHash: log.transactionHash,
+    }));
+
+    // Proposal reads all go out together — a few multicall batches
+    const infos = await Promise.all(created.map(({ address }) => getProposalInfo(provider, address)));
+
+    return {
+        chainId,
+        chain: config.name,
+        factory,
+        fromBlock,
+        toBlock,
+        count: created.length,
+        proposals: created.map((entry, i) => ({ ...infos[i], ...entry })),
+    };
+}
+
+// ─── Batch ───────────────────────────────────────────────────────────────────
+
+const DEFAULT_BATCH_CONCURRENCY = 4;
+
+/**
+ * Run fn over items with at most `limit` calls in flight, keeping results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Calculate TWAPs for many proposals. Items run with bounded concurrency and share
+ * providers, multicall batches and token lookups (a read already in flight for one
+ * item is joined by the others). One item failing doesn't fail the batch.
+ *
+ * @param {object[]} items - [{ chainId, proposalAddress, options? }] — item options
+ *   override the batch's
+ * @param {object} [options] - Defaults for every item (see calculateTwap), plus:
+ * @param {number} [options.concurrency=4] - Proposals computed at once
+ * @param {number} [options.timeoutMs] - Deadline for the whole batch; items not done by
+ *   then fail with code DEADLINE_EXCEEDED
+ * @returns {Promise<object>} { results, succeeded, failed } — results in input order, each
+ *   { chainId, proposalAddress, result } or { chainId, proposalAddress, error, code, details? } (see ./errors)
+ */
+async function calculateTwapBatch(items, options = {}) {
+    const { concurrency = DEFAULT_BATCH_CONCURRENCY, timeoutMs, ...defaults } = options;
+    const limit = Math.max(1, Math.floor(concurrency) || 1);
+    const deadline = timeoutMs ? Date.now() + timeoutMs : null;
+
+    const logger = getLogger(options.logger);
+    logger.info(`\n[BATCH] ${items.length} proposal(s), ${limit} at a time`, { items: items.length });
+
+    const results = await mapWithConcurrency(items, limit, async item => {
+        const chainId = Number(item?.chainId) || null;
+        const proposalAddress = item?.proposalAddress ?? null;
+
+        try {
+            if (!/^0x[a-fA-F0-9]{40}$/.test(proposalAddress || '')) {
+                throw new InvalidInputError('Invalid proposal address');
+            }
+            if (!CHAIN_CONFIG[chainId]) {
+                throw new InvalidInputError(unsupportedChainMessage(item?.chainId), 'UNSUPPORTED_CHAIN');
+            }
+
+            const itemOptions = { ...defaults, ...item.options };
+            if (deadline) {
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    throw new RpcError('DEADLINE_EXCEEDED', `Deadline of ${timeoutMs}ms exceeded`);
+                }
+                itemOptions.timeoutMs = Math.min(remaining, itemOptions.timeoutMs || Infinity);
+            }
+
+            const result = await calculateTwap(proposalAddress, chainId, itemOptions);
+            return { chainId, proposalAddress, result };
+        } catch (err) {
+            logger.error(`  ❌ ${proposalAddress} on chain ${chainId}: ${err.message}`, { proposalAddress, chainId });
+            return { chainId, proposalAddress, ...errors.errorBody(err) };
+        }
+    });
+
+    const failed = results.filter(r => r.error).length;
+    return { results, succeeded: results.length - failed, failed };
+}
+
+// ─── Watch ───────────────────────────────────────────────────────────────────
+
+const DEFAULT_WATCH_POLL_MS = 4000;
+const WATCH_FATAL_CODES = ['INVALID_INPUT', 'UNSUPPORTED_CHAIN', 'PROPOSAL_NOT_FOUND'];
+
+// Resolves after ms, or as soon as the signal aborts
+function pause(ms, signal) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        signal?.addEventListener('abort', done, { once: true });
+    });
+}
+
+// The parts of a result an update has to change to be emitted
+function watchFingerprint(result) {
+    return JSON.stringify([
+        result.status,
+        result.twap?.yes.priceDecimal,
+        result.twap?.no.priceDecimal,
+        result.twap?.winner,
+        result.probability?.probability ?? null,
+        result.question?.state || null,
+    ]);
+}
+
+/**
+ * Stream a proposal's TWAP: recomputed on every new block, yielded whenever that changes
+ * the numbers (YES/NO TWAP, winner, status, probability or question state). The window
+ * metadata, tokens and pools are looked up once and reused between updates.
+ *
+ *   for await (const update of watchTwap('0x...', 100, { signal })) { ... }
+ *
+ * Ends after the first ENDED result, or when options.signal aborts. An update that fails
+ * (e.g. every RPC endpoint is down, or the pools don't exist yet) is logged and retried on
+ * the next block — except bad input and a missing proposal, which no retry fixes: those throw.
+ *
+ * @param {string} proposalAddress - On-chain proposal contract address
+ * @param {number} chainId - A configured chain
+ * @param {object} [options] - As for calculateTwap (timeoutMs applies to each update), plus:
+ * @param {number} [options.pollIntervalMs=4000] - How often to check for a new block
+ * @returns {AsyncGenerator<object>} TWAP results, each with watch: { block, update }
+ */
+async function* watchTwap(proposalAddress, chainId, options = {}) {
+    const { pollIntervalMs = DEFAULT_WATCH_POLL_MS, ...callOptions } = options;
+    const { signal } = callOptions;
+    const provider = providerFor(chainId, options);
+    const session = {};
+    let lastBlock = null;
+    let lastFingerprint = null;
+    let update = 0;
+
+    while (!signal?.aborted) {
+        try {
+            const blockNumber = await withRpcContext(
+                { signal, timeoutMs: callOptions.timeoutMs },
+                () => provider.getBlockNumber()
+            );
+
+            if (blockNumber !== lastBlock) {
+                lastBlock = blockNumber;
+                const result = await instrumentedTwap(proposalAddress, chainId,
+                    () => withRpc(callOptions, () => computeTwap(proposalAddress, chainId, callOptions, session)));
+
+                const fingerprint = watchFingerprint(result);
+                if (fingerprint !== lastFingerprint) {
+                    lastFingerprint = fingerprint;
+                    update++;
+                    yield { ...result, watch: { block: blockNumber, update } };
+                }
+                if (result.status === 'ENDED') return;
+            }
+        } catch (err) {
+            if (signal?.aborted) return;
+            // A replayed watch ends where its recording did
+            if (WATCH_FATAL_CODES.includes(err.code) || err instanceof FixtureExhaustedError) throw err;
+            getLogger(options.logger).warn(`  ⚠ Watch update failed, retrying: ${err.message}`, { proposalAddress });
+        }
+
+        await pause(pollIntervalMs, signal);
+    }
+}
+
+// ─── Alerts ──────────────────────────────────────────────────────────────────
+
+/**
+ * Webhook alerts for a store of subscriptions (see ./alerts) — each round recomputes
+ * the live subscriptions' TWAPs with calculateTwapBatch.
+ *
+ * @param {object} options - { store, intervalMs?, concurrency?, logger? }
+ * @returns {object} { start(), stop(), check() }
+ */
+function createAlertPoller(options) {
+    return alerts.createAlertPoller({ ...options, calculateBatch: calculateTwapBatch });
+}
+
 // ─── Exports ─────────────────────────────────────────────────────────────────
 
 module.exports = {
     calculateTwap,
+    calculateTwapBatch,
+    calculateTwapSeries,
+    watchTwap,
     discoverPools,
+    listProposals,
     CHAIN_CONFIG,
+    registerChain,
+    listChains,
+    unsupportedChainMessage,
     // Internal helpers exported for advanced use
     getProvider,
+    RecordingProvider,
+    ReplayProvider,
     getProposalTokens,
+    getProposalInfo,
     findPool,
     discoverConditionalPools,
+    discoverPredictionPools,
     detectInversion,
     calculatePoolTwap,
+    getTickCumulatives,
+    readOracle,
+    getOracleHistory,
+    getPoolLiquidity,
+    getSpotPrice,
     getTokenInfo,
+    normalizePrice,
     formatDuration,
+    // Errors
+    ERROR_STATUS: errors.ERROR_STATUS,
+    TwapError,
+    InvalidInputError,
+    ProposalNotFoundError,
+    PoolsNotFoundError,
+    OracleHistoryError,
+    RpcError,
+    httpStatus: errors.httpStatus,
+    errorBody: errors.errorBody,
+    // OpenAPI document and JSON Schemas of the HTTP API
+    openApiDocument,
+    schemas,
+    // Output formats (json, summary, table, csv, markdown)
+    formatResult,
+    FORMATS,
+    // Webhook alerts
+    createAlertPoller,
+    SubscriptionStore: alerts.SubscriptionStore,
+    ALERT_EVENTS: alerts.ALERT_EVENTS,
+    validateSubscription: alerts.validateSubscription,
+    publicSubscription: alerts.publicSubscription,
+    // Instrumentation and metrics
+    onInstrumentation,
+    createMetrics,
+    MetricsRegistry,
+    // Logging
+    setLogger,
+    createConsoleLogger,
+    createJsonLogger,
+    // Metadata providers
+    configureMetadata,
+    registerMetadataProvider,
+    // Caching
+    configureCache,
+    invalidateCache,
+    cacheHeaders,
+    etagMatches,
 };
@@ -0,0 +1,42 @@
+/**
+ * Instrumentation Hooks — what the library reports about its own work
+ *
+ * Listeners get one event per operation. ./metrics turns them into Prometheus series;
+ * anything else (log lines, tracing) can subscribe with onInstrumentation() too.
+ *
+ *   rpc       { chainId, method, durationMs, error? }    a JSON-RPC request, after retries and
+ *                                                        failover — error is its code (reverts are answers)
+ *   metadata  { provider, status, durationMs }           a metadata provider asked (answered/skipped/failed)
+ *   cache     { kind, hit }                              a cache lookup — kind is e.g. tokens, pool, twap
+ *   twap      { chainId, proposalAddress, status, durationMs, cached, error?,
+ *               yes?, no?, spread?, percentDiff?, winner? }   a TWAP computed (calculateTwap, watchTwap)
+ */
+
+const listeners = new Set();
+
+/**
+ * Subscribe to instrumentation events. Returns a function that unsubscribes.
+ *
+ * @param {function} listener - Called with { type, ...fields }
+ */
+function onInstrumentation(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function instrument(type, fields) {
+    if (listeners.size === 0) return;
+    const event = { type, ...fields };
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch {
+            // A broken listener mustn't fail the call it's observing
+        }
+    }
+}
+
+module.exports = {
+    onInstrumentation,
+    instrument,
+};
@@ -0,0 +1,114 @@
+/**
+ * Logging — silent by default, so the library doesn't write to an embedding app's stdout
+ *
+ * A logger is any object with debug/info/warn/error(message, data?) methods — `console`
+ * works as is. `data` carries structured fields (proposalAddress, status, ...) for log
+ * pipelines; messages read on their own. It's picked per call (options.logger, carried in the RPC context like
+ * deadlines and quorum — see ./rpc), falling back to the global one from setLogger().
+ *
+ *   setLogger(createConsoleLogger({ level: 'debug' }))   human-readable lines on stderr
+ *   setLogger(createJsonLogger({ level: 'info' }))       one JSON object per line on stdout
+ *
+ * Levels, from chattiest: debug (each step), info (window, status, winner), warn, error.
+ */
+
+const { rpcContext } = require('./rpc');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const METHODS = ['debug', 'info', 'warn', 'error'];
+
+function levelValue(level) {
+    const value = LEVELS[String(level || 'info').toLowerCase()];
+    if (value === undefined) {
+        throw new Error(`Unknown log level: ${level}. Use one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+    return value;
+}
+
+// ─── Loggers ─────────────────────────────────────────────────────────────────
+
+const silentLogger = {
+    debug() {},
+    info() {},
+    warn() {},
+    error() {},
+    child() {
+        return silentLogger;
+    },
+};
+
+/**
+ * Build a logger from a write(level, message, data) function, dropping entries below `level`
+ */
+function createLogger(write, level) {
+    const threshold = levelValue(level);
+    const logger = {};
+    for (const method of METHODS) {
+        logger[method] = LEVELS[method] >= threshold ? (message, data) => write(method, message, data) : () => {};
+    }
+    return logger;
+}
+
+/**
+ * Log lines as the library has always printed them (emoji progress lines), on stderr by
+ * default. Structured data is left out — the message already says it.
+ *
+ * @param {object} [options] - { level?: 'info', stream?: process.stderr }
+ */
+function createConsoleLogger(options = {}) {
+    const stream = options.stream || process.stderr;
+    return createLogger((level, message) => {
+        stream.write(`${message}\n`);
+    }, options.level);
+}
+
+/**
+ * Structured logs: one JSON object per line, with `fields` (e.g. a request ID) on every
+ * entry. child(fields) returns a logger that adds more.
+ *
+ * @param {object} [options] - { level?: 'info', stream?: process.stdout, fields?: {} }
+ */
+function createJsonLogger(options = {}) {
+    const stream = options.stream || process.stdout;
+    const fields = options.fields || {};
+    const logger = createLogger((level, message, data) => {
+        const entry = { time: new Date().toISOString(), level, msg: String(message).trim(), ...fields, ...data };
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }, options.level);
+    logger.child = extra => createJsonLogger({ ...options, fields: { ...fields, ...extra } });
+    return logger;
+}
+
+// ─── Current Logger ──────────────────────────────────────────────────────────
+
+let globalLogger = silentLogger;
+
+/**
+ * Set the logger used by calls that don't pass options.logger (null restores silence)
+ */
+function setLogger(logger) {
+    globalLogger = logger || silentLogger;
+}
+
+/**
+ * The logger for the current call: `override`, else the one in the RPC context, else the global one
+ */
+function getLogger(override) {
+    return override || rpcContext.getStore()?.logger || globalLogger;
+}
+
+// What the library logs through — resolves the call's logger at each entry
+const log = {};
+for (const method of METHODS) {
+    log[method] = (message, data) => getLogger()[method](message, data);
+}
+
+module.exports = {
+    LEVELS,
+    silentLogger,
+    createConsoleLogger,
+    createJsonLogger,
+    setLogger,
+    getLogger,
+    log,
+};
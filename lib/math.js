@@ -0,0 +1,217 @@
+/**
+ * Exact TWAP Math — BigInt fixed-point, matching the pools' on-chain libraries
+ *
+ * Prices are kept as exact ratios { num, den } of BigInts until they're formatted:
+ *   meanTick            floor(tickCumulativeDelta / seconds), as OracleLibrary.consult
+ *   getSqrtRatioAtTick  Q64.96 sqrt price, a port of TickMath (shared by Uniswap V3 and Algebra)
+ *   tick price          sqrtPriceX96² / 2^192 = token1 per token0, in raw token units
+ *   twapRatio           1.0001^(tickCumulativeDelta / seconds) — the fractional average tick's
+ *                       price: the tick price of meanTick × 1.0001^fraction, to 2^-128
+ *
+ * Floats are only produced at the edges (toNumber), for backwards-compatible fields.
+ */
+
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+const Q32 = 1n << 32n;
+const Q192 = 1n << 192n;
+const MAX_UINT256 = (1n << 256n) - 1n;
+const Q128 = 1n << 128n;
+
+// TickMath: sqrt(1.0001^-(2^i)) as Q128.128, for each bit i of |tick| above bit 0
+const TICK_BIT_RATIOS = [
+    [0x2n, 0xfff97272373d413259a46990580e213an],
+    [0x4n, 0xfff2e50f5f656932ef12357cf3c7fdccn],
+    [0x8n, 0xffe5caca7e10e4e61c3624eaa0941cd0n],
+    [0x10n, 0xffcb9843d60f6159c9db58835c926644n],
+    [0x20n, 0xff973b41fa98c081472e6896dfb254c0n],
+    [0x40n, 0xff2ea16466c96a3843ec78b326b52861n],
+    [0x80n, 0xfe5dee046a99a2a811c461f1969c3053n],
+    [0x100n, 0xfcbe86c7900a88aedcffc83b479aa3a4n],
+    [0x200n, 0xf987a7253ac413176f2b074cf7815e54n],
+    [0x400n, 0xf3392b0822b70005940c7a398e4b70f3n],
+    [0x800n, 0xe7159475a2c29b7443b29c7fa6e889d9n],
+    [0x1000n, 0xd097f3bdfd2022b8845ad8f792aa5825n],
+    [0x2000n, 0xa9f746462d870fdf8a65dc1f90e061e5n],
+    [0x4000n, 0x70d869a156d2a1b890bb3df62baf32f7n],
+    [0x8000n, 0x31be135f97d08fd981231505542fcfa6n],
+    [0x10000n, 0x9aa508b5b7a84e1c677de54f3e99bc9n],
+    [0x20000n, 0x5d6af8dedb81196699c329225ee604n],
+    [0x40000n, 0x2216e584f5fa1ea926041bedfe98n],
+    [0x80000n, 0x48a170391f7dc42444e8fa2n],
+];
+
+// ─── Ticks ───────────────────────────────────────────────────────────────────
+
+/**
+ * Q64.96 sqrt price at a tick — a port of TickMath.getSqrtRatioAtTick
+ */
+function getSqrtRatioAtTick(tick) {
+    if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+        throw new Error(`Tick out of range: ${tick}`);
+    }
+
+    const absTick = BigInt(Math.abs(tick));
+    let ratio = absTick & 0x1n ? 0xfffcb933bd6fad37aa2d162d1a594001n : 1n << 128n;
+    for (const [bit, multiplier] of TICK_BIT_RATIOS) {
+        if (absTick & bit) ratio = (ratio * multiplier) >> 128n;
+    }
+    if (tick > 0) ratio = MAX_UINT256 / ratio;
+
+    // Q128.128 → Q64.96, rounding up
+    return (ratio >> 32n) + (ratio % Q32 === 0n ? 0n : 1n);
+}
+
+/**
+ * Arithmetic mean tick over a window, rounded towards negative infinity (OracleLibrary.consult)
+ *
+ * @param {bigint} tickCumulativeDelta - tickCumulative(end) - tickCumulative(start)
+ * @param {number} seconds - Window length
+ */
+function meanTick(tickCumulativeDelta, seconds) {
+    const window = BigInt(seconds);
+    let tick = tickCumulativeDelta / window;
+    if (tickCumulativeDelta < 0n && tickCumulativeDelta % window !== 0n) tick--;
+    return Number(tick);
+}
+
+// ln(1.0001) as Q128.128: 2·atanh(1/20001) = 2·Σ 1 / ((2k+1)·20001^(2k+1)), 2^-128 after 5 terms
+const LN_TICK_BASE_X128 = (() => {
+    let sum = 0n;
+    for (let k = 0n; k < 5n; k++) sum += Q128 / ((2n * k + 1n) * 20001n ** (2n * k + 1n));
+    return 2n * sum;
+})();
+
+/**
+ * 1.0001^(remainder / seconds) as Q128.128, for 0 <= remainder < seconds: exp(x·ln(1.0001))
+ * by its Taylor series — x·ln(1.0001) < 1e-4, so each term is 10^4 times smaller
+ */
+function fractionalTickFactorX128(remainder, seconds) {
+    const exponent = (LN_TICK_BASE_X128 * remainder) / seconds;
+    let factor = Q128;
+    let term = Q128;
+    for (let n = 1n; term > 0n; n++) {
+        term = (term * exponent) / (Q128 * n);
+        factor += term;
+    }
+    return factor;
+}
+
+// ─── Ratios ──────────────────────────────────────────────────────────────────
+
+/**
+ * Price of a Q64.96 sqrt price as an exact ratio: token1 per token0, in raw token units
+ */
+function sqrtPriceRatio(sqrtPriceX96) {
+    return { num: sqrtPriceX96 * sqrtPriceX96, den: Q192 };
+}
+
+/**
+ * Tick price as an exact ratio: token1 per token0, in raw token units
+ */
+function tickRatio(tick) {
+    return sqrtPriceRatio(getSqrtRatioAtTick(tick));
+}
+
+/**
+ * Price at the fractional average tick tickCumulativeDelta / seconds, as a ratio: token1 per
+ * token0, in raw token units. Equals tickRatio(meanTick) when the average tick is an integer.
+ *
+ * @param {bigint} tickCumulativeDelta - tickCumulative(end) - tickCumulative(start)
+ * @param {number} seconds - Window length
+ */
+function twapRatio(tickCumulativeDelta, seconds) {
+    const tick = meanTick(tickCumulativeDelta, seconds);
+    const remainder = tickCumulativeDelta - BigInt(tick) * BigInt(seconds);
+    const ratio = tickRatio(tick);
+    if (remainder === 0n) return ratio;
+    const factor = fractionalTickFactorX128(remainder, BigInt(seconds));
+    return { num: ratio.num * factor, den: ratio.den * Q128 };
+}
+
+/**
+ * Currency per company in human units: invert if company is token1, then scale by
+ * 10^(companyDecimals - currencyDecimals)
+ *
+ * @param {object} [decimals] - { company, currency } — omitted means no scaling
+ */
+function normalizeRatio(ratio, shouldInvert, decimals) {
+    let { num, den } = shouldInvert ? { num: ratio.den, den: ratio.num } : ratio;
+    if (decimals) {
+        const shift = decimals.company - decimals.currency;
+        if (shift > 0) num *= 10n ** BigInt(shift);
+        if (shift < 0) den *= 10n ** BigInt(-shift);
+    }
+    return { num, den };
+}
+
+function subtractRatios(a, b) {
+    return { num: a.num * b.den - b.num * a.den, den: a.den * b.den };
+}
+
+/**
+ * -1, 0 or 1 as a is less than, equal to or greater than b (denominators are positive)
+ */
+function compareRatios(a, b) {
+    const left = a.num * b.den;
+    const right = b.num * a.den;
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * |a - b| / min(a, b) × 100 — the percentage the winner leads by
+ */
+function percentDiffRatio(a, b) {
+    const spread = subtractRatios(a, b);
+    const loser = compareRatios(a, b) < 0 ? a : b;
+    if (loser.num === 0n) return { num: 0n, den: 1n };
+    const absNum = spread.num < 0n ? -spread.num : spread.num;
+    return { num: absNum * 100n * loser.den, den: spread.den * loser.num };
+}
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+/**
+ * Decimal string with `precision` fractional digits, rounded half away from zero
+ */
+function formatRatio(ratio, precision = 18) {
+    const negative = (ratio.num < 0n) !== (ratio.den < 0n);
+    const num = ratio.num < 0n ? -ratio.num : ratio.num;
+    const den = ratio.den < 0n ? -ratio.den : ratio.den;
+
+    const scale = 10n ** BigInt(precision);
+    const scaled = (num * scale * 2n + den) / (den * 2n);
+    const integer = (scaled / scale).toString();
+    const fraction = precision > 0 ? `.${(scaled % scale).toString().padStart(precision, '0')}` : '';
+    const sign = negative && scaled !== 0n ? '-' : '';
+
+    return `${sign}${integer}${fraction}`;
+}
+
+/**
+ * Nearest float, for backwards-compatible numeric fields — 20 significant digits even for
+ * prices far below 1 (e.g. near MIN_TICK)
+ */
+function toNumber(ratio) {
+    const num = ratio.num < 0n ? -ratio.num : ratio.num;
+    const den = ratio.den < 0n ? -ratio.den : ratio.den;
+    if (num === 0n) return 0;
+    const leadingZeros = Math.max(0, den.toString().length - num.toString().length);
+    return Number(formatRatio(ratio, leadingZeros + 20));
+}
+
+module.exports = {
+    MIN_TICK,
+    MAX_TICK,
+    getSqrtRatioAtTick,
+    meanTick,
+    sqrtPriceRatio,
+    tickRatio,
+    twapRatio,
+    normalizeRatio,
+    subtractRatios,
+    compareRatios,
+    percentDiffRatio,
+    formatRatio,
+    toNumber,
+};
@@ -0,0 +1,226 @@
+/**
+ * Proposal Metadata — where the TWAP window comes from when the caller doesn't give one
+ *
+ * Providers are asked in order until one answers:
+ *   file      local JSON/YAML overrides, keyed by proposal address (TWAP_METADATA_FILE)
+ *   registry  the futarchy registry's GraphQL API (TWAP_REGISTRY_URL, default: api.futarchy.fi)
+ *   onchain   the proposal's Reality.eth question — it opens for answers when the market closes
+ *
+ *   TWAP_METADATA_SOURCES=file,registry,onchain    which providers to ask, in order
+ *
+ * A provider is { name, fetch(proposalAddress, context), unavailable?(context) }, where
+ * context is { chainId, provider }. fetch resolves to { twapStartTimestamp?, twapDurationHours?,
+ * closeTimestamp? }, or null when it has nothing for the proposal; throwing marks it as
+ * failed. unavailable returns why the provider can't be used (e.g. not configured), if so.
+ *
+ * An override file looks like:
+ *   0x45e1064348fd8a407d6d1f59fc64b05f633b28fc:
+ *     twapStartTimestamp: 1738454400
+ *     twapDurationHours: 120
+ */
+
+const fs = require('fs');
+const fetch = require('node-fetch');
+const YAML = require('yaml');
+const { rpcContext, redactUrl } = require('./rpc');
+const { realityUnavailable, readQuestion } = require('./reality');
+const { instrument } = require('./instrumentation');
+
+const DEFAULT_REGISTRY_URL = 'https://api.futarchy.fi/registry/graphql';
+const REGISTRY_TIMEOUT_MS = 5000;
+const DEFAULT_SOURCES = ['file', 'registry', 'onchain'];
+
+const REGISTRY_QUERY = `query ProposalMetadata($proposalAddress: String!) {
+    proposalentities(where: { proposalAddress: $proposalAddress }) {
+        metadata
+    }
+}`;
+
+// ─── Providers ───────────────────────────────────────────────────────────────
+
+/**
+ * Overrides from a local file — .yaml/.yml or JSON. Read on every lookup, so edits
+ * apply without a restart.
+ */
+function createFileProvider(file) {
+    return {
+        name: 'file',
+        unavailable: () => (file ? null : 'no override file configured (TWAP_METADATA_FILE)'),
+        async fetch(proposalAddress) {
+            const raw = fs.readFileSync(file, 'utf8');
+            // failsafe: every scalar stays a string, so 0x... keys aren't read as hex numbers
+            const entries = /\.ya?ml$/i.test(file) ? YAML.parse(raw, { schema: 'failsafe' }) : JSON.parse(raw);
+            if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+                throw new Error(`${file}: expected an object keyed by proposal address`);
+            }
+
+            const key = Object.keys(entries).find(k => k.toLowerCase() === proposalAddress.toLowerCase());
+            return key ? entries[key] : null;
+        },
+    };
+}
+
+/**
+ * The futarchy registry — a GraphQL API whose proposal entities carry a JSON metadata blob
+ */
+function createRegistryProvider(url = DEFAULT_REGISTRY_URL) {
+    return {
+        name: 'registry',
+        async fetch(proposalAddress) {
+            const res = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    query: REGISTRY_QUERY,
+                    variables: { proposalAddress: proposalAddress.toLowerCase() },
+                }),
+                timeout: REGISTRY_TIMEOUT_MS,
+                signal: rpcContext.getStore()?.signal,
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status} from ${redactUrl(url)}`);
+
+            const data = await res.json();
+            if (data?.errors?.length) throw new Error(`GraphQL: ${data.errors[0].message}`);
+
+            const entity = data?.data?.proposalentities?.[0];
+            return entity?.metadata ? JSON.parse(entity.metadata) : null;
+        },
+    };
+}
+
+/**
+ * The proposal's Reality.eth question (see ./reality): its opening time is when answers
+ * are accepted, i.e. when the market closes
+ */
+function createOnchainProvider() {
+    return {
+        name: 'onchain',
+        unavailable: ({ chainId }) => realityUnavailable(chainId),
+        async fetch(proposalAddress, { chainId, provider }) {
+            const question = await readQuestion(provider, chainId, proposalAddress);
+            return question ? { closeTimestamp: question.openingTimestamp } : null;
+        },
+    };
+}
+
+// ─── Registration ────────────────────────────────────────────────────────────
+
+const PROVIDERS = new Map();
+let sources = [];
+
+/**
+ * Add (or replace) a metadata provider. New providers are asked after the current ones.
+ *
+ * @param {object} provider - { name, fetch(proposalAddress, context), unavailable?(context) }
+ */
+function registerMetadataProvider(provider) {
+    if (!provider?.name || typeof provider.fetch !== 'function') {
+        throw new Error('A metadata provider needs a name and a fetch(proposalAddress, context) function');
+    }
+    PROVIDERS.set(provider.name, provider);
+    if (!sources.includes(provider.name)) sources.push(provider.name);
+}
+
+/**
+ * Reconfigure the built-in providers and/or the order providers are asked in.
+ *
+ * @param {object} [options] - { file?, registryUrl?, sources? } — sources is a list of provider names
+ */
+function configureMetadata(options = {}) {
+    if (options.file !== undefined) registerMetadataProvider(createFileProvider(options.file));
+    if (options.registryUrl !== undefined) registerMetadataProvider(createRegistryProvider(options.registryUrl || undefined));
+    if (options.sources) {
+        const unknown = options.sources.filter(name => !PROVIDERS.has(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown metadata provider(s): ${unknown.join(', ')}. Use one of: ${[...PROVIDERS.keys()].join(', ')}`);
+        }
+        sources = [...options.sources];
+    }
+}
+
+function configureMetadataFromEnv(env = process.env) {
+    registerMetadataProvider(createFileProvider(env.TWAP_METADATA_FILE || null));
+    registerMetadataProvider(createRegistryProvider(env.TWAP_REGISTRY_URL || DEFAULT_REGISTRY_URL));
+    registerMetadataProvider(createOnchainProvider());
+
+    const names = (env.TWAP_METADATA_SOURCES || '').split(',').map(name => name.trim()).filter(Boolean);
+    configureMetadata({ sources: names.length > 0 ? names : DEFAULT_SOURCES });
+}
+
+// ─── Lookup ──────────────────────────────────────────────────────────────────
+
+// Positive numbers only — missing, zero and unparseable values become null
+function metadataNumber(value) {
+    const number = Number(value);
+    return number > 0 ? number : null;
+}
+
+/**
+ * Ask the providers in order until one has a usable TWAP window (start + duration)
+ * or close time for the proposal.
+ *
+ * @param {string} proposalAddress - Proposal contract address
+ * @param {object} context - { chainId, provider } — passed to each provider
+ * @param {Array<string|object>} [list] - Provider names or provider objects (default: configured order)
+ * @returns {Promise<object>} { metadata, source, sources } — metadata and source are null if
+ *   nobody answered; sources says, per provider, whether it answered and why not
+ */
+async function fetchMetadata(proposalAddress, context, list = sources) {
+    let answer = null;
+    const report = [];
+
+    for (const entry of list) {
+        const provider = typeof entry === 'string' ? PROVIDERS.get(entry) : entry;
+        const name = provider?.name || String(entry);
+
+        if (!provider) {
+            report.push({ provider: name, status: 'skipped', reason: 'unknown provider' });
+            continue;
+        }
+        if (answer) {
+            report.push({ provider: name, status: 'skipped', reason: `not needed — ${answer.source} answered` });
+            continue;
+        }
+        const unavailable = provider.unavailable?.(context);
+        if (unavailable) {
+            report.push({ provider: name, status: 'skipped', reason: unavailable });
+            continue;
+        }
+
+        const started = Date.now();
+        try {
+            const raw = await provider.fetch(proposalAddress, context);
+            const metadata = raw && {
+                twapStartTimestamp: metadataNumber(raw.twapStartTimestamp),
+                twapDurationHours: metadataNumber(raw.twapDurationHours),
+                closeTimestamp: metadataNumber(raw.closeTimestamp),
+            };
+
+            if (!metadata) {
+                report.push({ provider: name, status: 'skipped', reason: 'no metadata for this proposal' });
+            } else if (!(metadata.twapStartTimestamp && metadata.twapDurationHours) && !metadata.closeTimestamp) {
+                report.push({ provider: name, status: 'skipped', reason: 'metadata has no TWAP window or close time' });
+            } else {
+                answer = { metadata, source: name };
+                report.push({ provider: name, status: 'answered' });
+            }
+        } catch (err) {
+            report.push({ provider: name, status: 'failed', reason: err.message });
+        }
+        instrument('metadata', { provider: name, status: report[report.length - 1].status, durationMs: Date.now() - started });
+    }
+
+    return { metadata: answer?.metadata || null, source: answer?.source || null, sources: report };
+}
+
+configureMetadataFromEnv();
+
+module.exports = {
+    DEFAULT_REGISTRY_URL,
+    createFileProvider,
+    createRegistryProvider,
+    createOnchainProvider,
+    registerMetadataProvider,
+    configureMetadata,
+    fetchMetadata,
+};
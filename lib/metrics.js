@@ -0,0 +1,200 @@
+/**
+ * Metrics — Prometheus counters, histograms and gauges fed by the instrumentation hooks
+ *
+ * createMetrics() subscribes to ./instrumentation and keeps:
+ *   twap_http_requests_total / _duration_seconds      per route, method and status (observeRequest)
+ *   twap_rpc_requests_total / _errors_total / _duration_seconds    per chain and JSON-RPC method
+ *   twap_metadata_fetches_total                       per metadata provider and outcome
+ *   twap_cache_lookups_total                          per entry kind, hit or miss
+ *   twap_calculations_total / _duration_seconds       per chain and status
+ *   twap_price, twap_spread, twap_percent_diff        latest TWAP of each proposal queried
+ *
+ * render() gives the Prometheus text format (for GET /metrics); snapshot() the same
+ * samples as JSON, e.g. to log them where there's nothing to scrape (Lambda).
+ */
+
+const { onInstrumentation } = require('./instrumentation');
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(type, name, help, buckets) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.series = new Map();  // label set → { labels, value } or { labels, counts, sum, count }
+    }
+
+    seriesFor(labels) {
+        const key = JSON.stringify(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = this.type === 'histogram'
+                ? { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+                : { labels, value: 0 };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            if (this.type !== 'histogram') {
+                lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+                continue;
+            }
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        }
+        return lines.join('\n');
+    }
+
+    snapshot() {
+        return [...this.series.values()].map(series => (this.type === 'histogram'
+            ? { name: this.name, labels: series.labels, count: series.count, sum: series.sum }
+            : { name: this.name, labels: series.labels, value: series.value }));
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    add(type, name, help, buckets) {
+        const metric = new Metric(type, name, help, buckets);
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.add('counter', name, help);
+    }
+
+    gauge(name, help) {
+        return this.add('gauge', name, help);
+    }
+
+    histogram(name, help, buckets = DURATION_BUCKETS) {
+        return this.add('histogram', name, help, buckets);
+    }
+
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+    }
+
+    snapshot() {
+        return this.metrics.flatMap(metric => metric.snapshot());
+    }
+
+    reset() {
+        for (const metric of this.metrics) metric.series.clear();
+    }
+}
+
+// ─── TWAP Metrics ────────────────────────────────────────────────────────────
+
+/**
+ * The service's metrics, recorded from the library's instrumentation events
+ *
+ * @returns {object} { observeRequest(route, method, status, seconds), render(), snapshot(), reset(), close() }
+ */
+function createMetrics() {
+    const registry = new MetricsRegistry();
+    const m = {
+        httpRequests: registry.counter('twap_http_requests_total', 'HTTP requests by route, method and status'),
+        httpDuration: registry.histogram('twap_http_request_duration_seconds', 'HTTP request latency'),
+        rpcRequests: registry.counter('twap_rpc_requests_total', 'JSON-RPC requests by chain and method (after retries and failover)'),
+        rpcErrors: registry.counter('twap_rpc_errors_total', 'Failed JSON-RPC requests by chain, method and error code'),
+        rpcDuration: registry.histogram('twap_rpc_request_duration_seconds', 'JSON-RPC request latency'),
+        metadataFetches: registry.counter('twap_metadata_fetches_total', 'Metadata provider lookups by provider and outcome'),
+        cacheLookups: registry.counter('twap_cache_lookups_total', 'Cache lookups by entry kind and result (hit/miss)'),
+        calculations: registry.counter('twap_calculations_total', 'TWAP calculations by chain, status and result'),
+        calculationDuration: registry.histogram('twap_calculation_duration_seconds', 'TWAP calculation latency'),
+        price: registry.gauge('twap_price', 'Latest TWAP of each proposal queried, by outcome pool (yes/no)'),
+        spread: registry.gauge('twap_spread', 'Latest YES - NO TWAP spread of each proposal queried'),
+        percentDiff: registry.gauge('twap_percent_diff', 'Latest YES/NO TWAP difference in percent of each proposal queried'),
+        updated: registry.gauge('twap_last_update_timestamp_seconds', 'When each proposal\'s TWAP gauges were last set'),
+    };
+
+    const record = {
+        rpc(event) {
+            const labels = { chain_id: event.chainId, method: event.method };
+            m.rpcRequests.inc(labels);
+            m.rpcDuration.observe(labels, event.durationMs / 1000);
+            if (event.error) m.rpcErrors.inc({ ...labels, code: event.error });
+        },
+        metadata(event) {
+            m.metadataFetches.inc({ provider: event.provider, status: event.status });
+        },
+        cache(event) {
+            m.cacheLookups.inc({ kind: event.kind, result: event.hit ? 'hit' : 'miss' });
+        },
+        twap(event) {
+            const labels = { chain_id: event.chainId, status: event.status || 'none', result: event.error ? 'error' : event.cached ? 'cached' : 'ok' };
+            m.calculations.inc(labels);
+            m.calculationDuration.observe({ chain_id: event.chainId }, event.durationMs / 1000);
+            if (event.yes === undefined) return;
+
+            const proposal = { chain_id: event.chainId, proposal: event.proposalAddress.toLowerCase() };
+            m.price.set({ ...proposal, outcome: 'yes' }, event.yes);
+            m.price.set({ ...proposal, outcome: 'no' }, event.no);
+            m.spread.set(proposal, event.spread);
+            m.percentDiff.set(proposal, event.percentDiff);
+            m.updated.set(proposal, Math.floor(Date.now() / 1000));
+        },
+    };
+    const close = onInstrumentation(event => record[event.type]?.(event));
+
+    return {
+        observeRequest(route, method, status, seconds) {
+            const labels = { route, method, status };
+            m.httpRequests.inc(labels);
+            m.httpDuration.observe(labels, seconds);
+        },
+        render: () => registry.render(),
+        snapshot: () => registry.snapshot(),
+        reset: () => registry.reset(),
+        close,
+    };
+}
+
+module.exports = {
+    MetricsRegistry,
+    createMetrics,
+};
@@ -0,0 +1,149 @@
+/**
+ * Multicall Read Layer
+ *
+ * A JSON-RPC provider that coalesces concurrent eth_call requests into a single
+ * Multicall3 aggregate3() call per block tag. Callers keep using ethers.Contract
+ * as usual — any reads started in the same tick (e.g. inside one Promise.all)
+ * go out as one RPC request.
+ *
+ * Individual call failures come back as normal reverts, so `.catch()` fallbacks
+ * and revert reasons (e.g. the oracle's 'OLD') behave exactly as without batching.
+ *
+ * Batches are sent through FailoverProvider (see ./rpc). A batch can mix calls from
+ * several concurrent requests, so it runs in its own RPC context and the endpoints
+ * that served it are copied back to each caller's context.
+ */
+
+const { ethers } = require('ethers');
+const { FailoverProvider, rpcContext } = require('./rpc');
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+
+// Keep aggregate calls well under typical eth_call gas / payload limits
+const MAX_BATCH_SIZE = 100;
+
+/**
+ * Only plain reads ({ to, data }) are batched — anything with from/value/gas goes out as is
+ */
+function isBatchable(tx, multicallAddress) {
+    if (!tx || !tx.to || !tx.data) return false;
+    if (tx.to.toLowerCase() === multicallAddress.toLowerCase()) return false;
+    return Object.keys(tx).every(key => key === 'to' || key === 'data');
+}
+
+/**
+ * Shape a failed sub-call like a node's revert error, so ethers decodes the reason
+ */
+function revertError(returnData) {
+    const error = new Error('execution reverted');
+    error.code = 3;
+    error.data = returnData;
+    return error;
+}
+
+class MulticallProvider extends FailoverProvider {
+    /**
+     * @param {string|string[]} urls - JSON-RPC URLs, in order of preference
+     * @param {number} chainId - Chain ID (static, so no eth_chainId round-trip per request)
+     * @param {object} [options] - { multicall, timeoutMs?, retries? } — batching is off without `multicall`
+     */
+    constructor(urls, chainId, options = {}) {
+        super(urls, chainId, options);
+        this.multicallAddress = options.multicall || null;
+        this._pendingCalls = new Map();  // blockTag → [{ tx, context, resolve, reject }]
+        this._flushTimer = null;
+    }
+
+    send(method, params) {
+        if (method === 'eth_call' && this.multicallAddress && isBatchable(params[0], this.multicallAddress)) {
+            return this._queueCall(params[0], params[1] || 'latest');
+        }
+        return super.send(method, params);
+    }
+
+    _queueCall(tx, blockTag) {
+        const context = rpcContext.getStore();
+        return new Promise((resolve, reject) => {
+            if (!this._pendingCalls.has(blockTag)) this._pendingCalls.set(blockTag, []);
+            this._pendingCalls.get(blockTag).push({ tx, context, resolve, reject });
+
+            if (!this._flushTimer) {
+                this._flushTimer = setTimeout(() => this._flush(), 0);
+            }
+        });
+    }
+
+    _flush() {
+        const pending = this._pendingCalls;
+        this._pendingCalls = new Map();
+        this._flushTimer = null;
+
+        for (const [blockTag, calls] of pending) {
+            for (let i = 0; i < calls.length; i += MAX_BATCH_SIZE) {
+                this._sendBatch(calls.slice(i, i + MAX_BATCH_SIZE), blockTag);
+            }
+        }
+    }
+
+    async _sendBatch(calls, blockTag) {
+        // Nothing to aggregate — send in the caller's own context
+        if (calls.length === 1) {
+            const [{ tx, context, resolve, reject }] = calls;
+            const send = () => super.send('eth_call', [tx, blockTag]);
+            return (context ? rpcContext.run(context, send) : send()).then(resolve, reject);
+        }
+
+        // The batch serves every caller in it: use the strictest quorum among them
+        const batchContext = {
+            signal: null,
+            quorum: Math.max(1, ...calls.map(({ context }) => context?.quorum || 1)),
+            endpoints: new Set(),
+        };
+        const sendInBatchContext = (method, params) => rpcContext.run(batchContext, () => super.send(method, params));
+        const reportEndpoints = () => {
+            for (const { context } of calls) {
+                for (const endpoint of batchContext.endpoints) context?.endpoints.add(endpoint);
+            }
+        };
+
+        let results;
+        try {
+            const data = multicallInterface.encodeFunctionData('aggregate3', [
+                calls.map(({ tx }) => ({ target: tx.to, allowFailure: true, callData: tx.data })),
+            ]);
+            const raw = await sendInBatchContext('eth_call', [{ to: this.multicallAddress, data }, blockTag]);
+            [results] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+        } catch (err) {
+            // Every endpoint is down (or they disagree) — retrying call by call won't help
+            if (err.code === 'RPC_UNAVAILABLE' || err.code === 'RPC_QUORUM_FAILED') {
+                reportEndpoints();
+                for (const { reject } of calls) reject(err);
+                return;
+            }
+            // Multicall unavailable at this block (or the aggregate itself failed) —
+            // fall back to individual calls so each gets its own result or error
+            for (const { tx, context, resolve, reject } of calls) {
+                const send = () => super.send('eth_call', [tx, blockTag]);
+                (context ? rpcContext.run(context, send) : send()).then(resolve, reject);
+            }
+            return;
+        }
+
+        reportEndpoints();
+
+        calls.forEach(({ resolve, reject }, i) => {
+            const { success, returnData } = results[i];
+            if (success) resolve(returnData);
+            else reject(revertError(returnData));
+        });
+    }
+}
+
+module.exports = {
+    MulticallProvider,
+    MULTICALL3_ABI,
+};
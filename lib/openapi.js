@@ -0,0 +1,477 @@
+/**
+ * OpenAPI Document — the HTTP API (server.js and lambda.js), served at GET /openapi.json
+ *
+ * OpenAPI 3.1, so everything under components.schemas is plain JSON Schema (2020-12):
+ * TwapResult and PoolsResult describe the /twap and /pools responses, Error every
+ * non-2xx body. The error codes and their statuses come from ./errors.
+ */
+
+const { ERROR_STATUS } = require('./errors');
+const { version } = require('../package.json');
+
+// ─── Schemas ─────────────────────────────────────────────────────────────────
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const address = { type: 'string', pattern: '^0x[a-fA-F0-9]{40}$' };
+const decimal = { type: 'string', pattern: '^-?\\d+(\\.\\d+)?$', description: 'Exact decimal string' };
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const winner = { enum: ['YES', 'NO', 'TIE'] };
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error', 'code'],
+        properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { enum: Object.keys(ERROR_STATUS), description: 'Stable error code — see the README for the status each maps to' },
+            details: { type: 'object', description: 'Extra context, e.g. coverage for ORACLE_HISTORY_INSUFFICIENT or pools for POOLS_NOT_FOUND' },
+        },
+    },
+
+    Token: {
+        type: 'object',
+        required: ['address', 'symbol', 'decimals'],
+        properties: {
+            address,
+            symbol: { type: 'string' },
+            decimals: { type: 'integer' },
+        },
+    },
+
+    Tokens: {
+        type: 'object',
+        required: ['company', 'currency', 'yesCompany', 'noCompany', 'yesCurrency', 'noCurrency'],
+        properties: {
+            company: ref('Token'),
+            currency: ref('Token'),
+            yesCompany: address,
+            noCompany: address,
+            yesCurrency: address,
+            noCurrency: address,
+        },
+    },
+
+    Coverage: {
+        type: 'object',
+        required: ['requestedSeconds', 'availableSeconds', 'complete'],
+        properties: {
+            requestedSeconds: { type: 'integer' },
+            availableSeconds: { type: 'integer' },
+            complete: { type: 'boolean' },
+            oldestTimestamp: { type: 'integer' },
+        },
+    },
+
+    Rpc: {
+        type: 'object',
+        description: 'The RPC endpoints (hosts only) that answered, and the quorum if one was asked for',
+        properties: {
+            endpoints: { type: 'array', items: { type: 'string' } },
+            quorum: { type: 'integer' },
+        },
+    },
+
+    PredictionTwap: {
+        type: 'object',
+        properties: {
+            price: { type: 'number' },
+            priceDecimal: decimal,
+            inverted: { type: 'boolean' },
+            coverage: ref('Coverage'),
+        },
+    },
+
+    Question: {
+        type: 'object',
+        description: 'The proposal\'s Reality.eth question — { available: false, reason } or { error } when it can\'t be read',
+        properties: {
+            available: { type: 'boolean' },
+            reason: { type: 'string' },
+            error: { type: 'string' },
+            questionId: { type: 'string' },
+            realityEth: address,
+            state: { enum: ['UNANSWERED', 'ANSWERED', 'FINALIZED'] },
+            answer: nullable({ type: 'string' }),
+            outcome: nullable({ enum: ['YES', 'NO'] }),
+            openingTimestamp: { type: 'integer' },
+            openingDate: nullable({ type: 'string', format: 'date-time' }),
+            timeout: { type: 'integer' },
+            finalizeTimestamp: nullable({ type: 'integer' }),
+            finalizeDate: nullable({ type: 'string', format: 'date-time' }),
+            pendingArbitration: { type: 'boolean' },
+            agreesWithTwap: nullable({ type: 'boolean' }),
+        },
+    },
+
+    PoolTwap: {
+        type: 'object',
+        required: ['price', 'priceDecimal', 'averageTick', 'meanTick', 'inverted', 'coverage', 'liquidity'],
+        properties: {
+            price: { type: 'number', description: 'Currency per company token' },
+            priceDecimal: decimal,
+            rawPrice: { type: 'number' },
+            rawPriceDecimal: decimal,
+            averageTick: { type: 'number' },
+            meanTick: { type: 'integer' },
+            meanTickPrice: { type: 'number', description: 'Price at the integer meanTick, as on-chain consumers read it — not used for the verdict' },
+            meanTickPriceDecimal: decimal,
+            inverted: { type: 'boolean' },
+            decimals: nullable({ type: 'object', properties: { company: { type: 'integer' }, currency: { type: 'integer' } } }),
+            coverage: ref('Coverage'),
+            liquidity: {
+                type: 'object',
+                properties: {
+                    harmonicMeanLiquidity: { type: 'string' },
+                    currentLiquidity: { type: 'string' },
+                    depth: { type: 'number' },
+                    currentDepth: { type: 'number' },
+                    manipulationCost: {
+                        type: 'object',
+                        properties: { percent: { type: 'number' }, up: { type: 'number' }, down: { type: 'number' } },
+                    },
+                    minLiquidity: { type: 'number' },
+                    lowLiquidity: { type: 'boolean' },
+                },
+            },
+            activity: {
+                type: 'object',
+                properties: {
+                    available: { type: 'boolean' },
+                    reason: { type: 'string' },
+                    averageVolatility: { type: 'number' },
+                    volatilityTicks: { type: 'number' },
+                    volumePerLiquidity: { type: 'number' },
+                },
+            },
+            spot: {
+                type: 'object',
+                properties: {
+                    tick: { type: 'integer' },
+                    price: { type: 'number' },
+                    priceDecimal: decimal,
+                    divergencePercent: { type: 'number' },
+                },
+            },
+        },
+    },
+
+    TwapResult: {
+        type: 'object',
+        required: ['proposalAddress', 'chainId', 'chain', 'marketName', 'tokens', 'pools', 'twapWindow', 'status', 'source', 'timestamp'],
+        properties: {
+            proposalAddress: address,
+            chainId: { type: 'integer' },
+            chain: { type: 'string' },
+            marketName: { type: 'string' },
+            tokens: ref('Tokens'),
+            pools: {
+                type: 'object',
+                properties: {
+                    yes: { type: 'object', properties: { address, inverted: { type: 'boolean' } } },
+                    no: { type: 'object', properties: { address, inverted: { type: 'boolean' } } },
+                },
+            },
+            twapWindow: {
+                type: 'object',
+                required: ['startTimestamp', 'endTimestamp', 'durationSeconds'],
+                properties: {
+                    startTimestamp: { type: 'integer' },
+                    startDate: { type: 'string', format: 'date-time' },
+                    endTimestamp: { type: 'integer' },
+                    endDate: { type: 'string', format: 'date-time' },
+                    days: { type: 'number' },
+                    durationSeconds: { type: 'integer' },
+                },
+            },
+            status: { enum: ['NOT_STARTED', 'ACTIVE', 'ENDED'] },
+            source: { type: 'string', description: 'Where the window came from: params, defaults, or the metadata provider that answered' },
+            sources: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        provider: { type: 'string' },
+                        status: { enum: ['answered', 'skipped', 'failed'] },
+                        reason: { type: 'string' },
+                    },
+                },
+            },
+            question: ref('Question'),
+            twap: {
+                type: 'object',
+                description: 'Absent while the window is NOT_STARTED',
+                required: ['yes', 'no', 'spread', 'percentDiff', 'winner'],
+                properties: {
+                    yes: ref('PoolTwap'),
+                    no: ref('PoolTwap'),
+                    spread: { type: 'number' },
+                    spreadDecimal: decimal,
+                    percentDiff: decimal,
+                    winner,
+                    precision: { type: 'integer' },
+                    windowSeconds: { type: 'integer' },
+                    windowHours: { type: 'string' },
+                    method: { enum: ['trailing', 'historical', 'block'] },
+                    secondsAgos: { type: 'array', items: { type: 'integer' } },
+                    block: nullable({ type: 'object', properties: { number: { type: 'integer' }, timestamp: { type: 'integer' } } }),
+                    partial: { type: 'boolean' },
+                    spot: {
+                        type: 'object',
+                        properties: {
+                            winner,
+                            projection: {
+                                type: 'object',
+                                properties: {
+                                    remainingSeconds: { type: 'integer' },
+                                    yes: { type: 'number' },
+                                    no: { type: 'number' },
+                                    yesDecimal: decimal,
+                                    noDecimal: decimal,
+                                    winner,
+                                },
+                            },
+                            changesWinner: { type: 'boolean' },
+                        },
+                    },
+                },
+            },
+            probability: {
+                type: 'object',
+                description: 'With ?probability=true — { pools, error, code } if the prediction pools can\'t be priced',
+                properties: {
+                    pools: { type: 'object', properties: { yes: nullable(address), no: nullable(address) } },
+                    error: { type: 'string' },
+                    code: { type: 'string', description: 'e.g. POOLS_NOT_FOUND' },
+                    probability: { type: 'number', minimum: 0, maximum: 1 },
+                    probabilityDecimal: decimal,
+                    yes: ref('PredictionTwap'),
+                    no: ref('PredictionTwap'),
+                    priceSum: { type: 'number' },
+                    expectedPrice: { type: 'number' },
+                },
+            },
+            warnings: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['code', 'message'],
+                    properties: {
+                        code: { enum: ['LOW_LIQUIDITY', 'METADATA_NOT_FOUND'] },
+                        pool: { enum: ['YES', 'NO'] },
+                        message: { type: 'string' },
+                    },
+                },
+            },
+            timeUntilStart: { type: 'object', properties: { seconds: { type: 'integer' }, human: { type: 'string' } } },
+            timeRemaining: { type: 'object', properties: { seconds: { type: 'integer' }, human: { type: 'string' } } },
+            cached: { type: 'boolean', description: 'Served from the cache of ENDED windows' },
+            rpc: ref('Rpc'),
+            timestamp: { type: 'string', format: 'date-time' },
+        },
+    },
+
+    PoolsResult: {
+        type: 'object',
+        required: ['proposalAddress', 'chainId', 'chain', 'marketName', 'tokens', 'pools', 'found', 'total'],
+        properties: {
+            proposalAddress: address,
+            chainId: { type: 'integer' },
+            chain: { type: 'string' },
+            marketName: { type: 'string' },
+            tokens: ref('Tokens'),
+            pools: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'address', 'exists', 'inverted'],
+                    properties: {
+                        name: { type: 'string' },
+                        address: nullable(address),
+                        exists: { type: 'boolean' },
+                        inverted: nullable({ type: 'boolean' }),
+                    },
+                },
+            },
+            found: { type: 'integer' },
+            total: { type: 'integer' },
+            rpc: ref('Rpc'),
+        },
+    },
+};
+
+// ─── Document ────────────────────────────────────────────────────────────────
+
+const errorResponse = description => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const query = (name, type, description) => ({ name, in: 'query', required: false, schema: { type }, description });
+
+const proposalParams = [
+    { name: 'chainId', in: 'path', required: true, schema: { type: 'integer' }, description: 'A configured chain (see /chains)' },
+    { name: 'proposalAddress', in: 'path', required: true, schema: address },
+];
+
+// The errors a computation can end in, besides its own 404/422s
+const computeErrors = {
+    400: errorResponse('INVALID_INPUT or UNSUPPORTED_CHAIN'),
+    499: errorResponse('ABORTED — the client went away'),
+    500: errorResponse('INTERNAL_ERROR'),
+    502: errorResponse('RPC_QUORUM_FAILED or ORACLE_READ_FAILED'),
+    503: errorResponse('RPC_UNAVAILABLE — no RPC endpoint answered'),
+    504: errorResponse('DEADLINE_EXCEEDED'),
+};
+
+/**
+ * The OpenAPI document for the HTTP API
+ *
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - Base URL to list under `servers`
+ */
+function openApiDocument(options = {}) {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Futarchy TWAP API',
+            version,
+            description: 'On-chain TWAP of futarchy proposals\' YES/NO conditional pools. ' +
+                'Errors are { error, code, details? } with a stable code.',
+        },
+        ...(options.serverUrl ? { servers: [{ url: options.serverUrl }] } : {}),
+        paths: {
+            '/twap/{chainId}/{proposalAddress}': {
+                get: {
+                    summary: 'TWAP of a proposal\'s YES and NO pools',
+                    parameters: [
+                        ...proposalParams,
+                        query('startTimestamp', 'integer', 'Window start (unix)'),
+                        query('endTimestamp', 'integer', 'Window end (unix, default: now)'),
+                        query('days', 'number', 'Window length in days (default: 5)'),
+                        query('endBlock', 'integer', 'Pin an ENDED window\'s read to this block, at or after the window end'),
+                        query('allowPartial', 'boolean', 'Use the covered part of the window if oracle history is short'),
+                        query('quorum', 'integer', 'Require eth_calls to match across N RPC endpoints'),
+                        query('precision', 'integer', 'Fractional digits in decimal-string prices'),
+                        query('minLiquidity', 'number', 'Pool depth (currency) below which to warn'),
+                        query('manipulationPercent', 'number', 'Price move to estimate the manipulation cost for'),
+                        query('probability', 'boolean', 'Add the prediction-pool probability and expected price'),
+                        query('cache', 'boolean', 'false to bypass cached data'),
+                    ],
+                    responses: {
+                        200: json('TWAP result', ref('TwapResult')),
+                        304: { description: 'Not modified (If-None-Match)' },
+                        404: errorResponse('PROPOSAL_NOT_FOUND or POOLS_NOT_FOUND'),
+                        422: errorResponse('ORACLE_HISTORY_INSUFFICIENT — details.coverage says how much of the window the oracle holds'),
+                        ...computeErrors,
+                    },
+                },
+            },
+            '/twap/{chainId}/{proposalAddress}/series': {
+                get: {
+                    summary: 'TWAP time series',
+                    parameters: [
+                        ...proposalParams,
+                        query('interval', 'integer', 'Step between points, in seconds (default: 3600)'),
+                        query('from', 'integer', 'First point (unix, default: window start)'),
+                        query('to', 'integer', 'Last point (unix, default: window end, capped at now)'),
+                        query('precision', 'integer', 'Fractional digits in decimal-string prices'),
+                    ],
+                    responses: {
+                        200: json('Series result', { type: 'object' }),
+                        404: errorResponse('PROPOSAL_NOT_FOUND or POOLS_NOT_FOUND'),
+                        422: errorResponse('WINDOW_NOT_STARTED'),
+                        ...computeErrors,
+                    },
+                },
+            },
+            '/twap/batch': {
+                post: {
+                    summary: 'TWAP of many proposals — per-item errors carry the same { error, code }',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['items'],
+                                    properties: {
+                                        items: {
+                                            type: 'array',
+                                            items: {
+                                                type: 'object',
+                                                required: ['chainId', 'proposalAddress'],
+                                                properties: { chainId: { type: 'integer' }, proposalAddress: address, options: { type: 'object' } },
+                                            },
+                                        },
+                                        options: { type: 'object' },
+                                        concurrency: { type: 'integer' },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    responses: {
+                        200: json('Results in request order', {
+                            type: 'object',
+                            properties: {
+                                results: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            chainId: nullable({ type: 'integer' }),
+                                            proposalAddress: nullable({ type: 'string' }),
+                                            result: ref('TwapResult'),
+                                            error: { type: 'string' },
+                                            code: { enum: Object.keys(ERROR_STATUS) },
+                                            details: { type: 'object' },
+                                        },
+                                    },
+                                },
+                                succeeded: { type: 'integer' },
+                                failed: { type: 'integer' },
+                            },
+                        }),
+                        400: errorResponse('INVALID_INPUT'),
+                    },
+                },
+            },
+            '/pools/{chainId}/{proposalAddress}': {
+                get: {
+                    summary: 'All six pools of a proposal (conditional and prediction)',
+                    parameters: [...proposalParams, query('cache', 'boolean', 'false to bypass cached data')],
+                    responses: {
+                        200: json('Pools result', ref('PoolsResult')),
+                        304: { description: 'Not modified (If-None-Match)' },
+                        404: errorResponse('PROPOSAL_NOT_FOUND'),
+                        ...computeErrors,
+                    },
+                },
+            },
+            '/proposals/{chainId}': {
+                get: {
+                    summary: 'Proposals created by the chain\'s proposal factory',
+                    parameters: [
+                        proposalParams[0],
+                        query('factory', 'string', 'Factory address (default: the chain\'s)'),
+                        query('fromBlock', 'integer', 'First block to scan'),
+                        query('toBlock', 'integer', 'Last block to scan'),
+                    ],
+                    responses: {
+                        200: json('Proposal list', { type: 'object' }),
+                        ...computeErrors,
+                    },
+                },
+            },
+            '/chains': {
+                get: { summary: 'Configured chains', responses: { 200: json('Chains', { type: 'object' }) } },
+            },
+            '/health': {
+                get: { summary: 'Health check', responses: { 200: json('OK', { type: 'object' }) } },
+            },
+        },
+        components: { schemas },
+    };
+}
+
+module.exports = {
+    schemas,
+    openApiDocument,
+};
@@ -0,0 +1,139 @@
+/**
+ * Reality.eth Question — the oracle that resolves a futarchy proposal
+ *
+ * Each proposal links a Reality.eth question (proposal.questionId()). The Reality.eth
+ * contract is the chain's `realityEth`, or the one its `proposalFactory` uses (realitio()).
+ *
+ *   opening time   answers are accepted from then on — the market's close
+ *   timeout        seconds an answer must stand unchallenged to become final
+ *   finalize time  when the current answer becomes final (0 while unanswered)
+ *
+ * Futarchy questions are single-select over [Yes, No]: answer 0 is YES, 1 is NO and
+ * 0xff…ff is Reality.eth's INVALID.
+ */
+
+const { ethers } = require('ethers');
+const { getChainConfig } = require('./chains');
+const { rpcContext } = require('./rpc');
+
+const PROPOSAL_QUESTION_ABI = ['function questionId() view returns (bytes32)'];
+const FACTORY_REALITY_ABI = ['function realitio() view returns (address)'];
+const REALITY_ETH_ABI = [
+    'function getOpeningTS(bytes32 questionId) view returns (uint32)',
+    'function getTimeout(bytes32 questionId) view returns (uint32)',
+    'function getFinalizeTS(bytes32 questionId) view returns (uint32)',
+    'function isFinalized(bytes32 questionId) view returns (bool)',
+    'function isPendingArbitration(bytes32 questionId) view returns (bool)',
+    'function getBestAnswer(bytes32 questionId) view returns (bytes32)',
+];
+
+const INVALID_ANSWER = ethers.constants.MaxUint256.toHexString();
+const OUTCOMES = ['YES', 'NO'];
+
+/**
+ * Why a chain's questions can't be read (no Reality.eth to ask), or null if they can
+ */
+function realityUnavailable(chainId) {
+    const config = getChainConfig(chainId);
+    return config.realityEth || config.proposalFactory
+        ? null
+        : `no realityEth or proposalFactory configured for ${config.name}`;
+}
+
+// Questions already read in a library call (keyed by its RPC context) — the onchain
+// metadata provider and the result's `question` share one read
+const questionReads = new WeakMap();
+
+/**
+ * Read a proposal's question: two rounds of calls (question ID and Reality.eth address,
+ * then the question itself), each a single multicall batch. Read once per library call.
+ * Resolves to null if the question doesn't exist.
+ */
+function readQuestion(provider, chainId, proposalAddress) {
+    const context = rpcContext.getStore();
+    if (!context) return fetchQuestion(provider, chainId, proposalAddress);
+
+    if (!questionReads.has(context)) questionReads.set(context, new Map());
+    const reads = questionReads.get(context);
+    const key = `${chainId}:${proposalAddress.toLowerCase()}`;
+    if (!reads.has(key)) reads.set(key, fetchQuestion(provider, chainId, proposalAddress));
+    return reads.get(key);
+}
+
+async function fetchQuestion(provider, chainId, proposalAddress) {
+    const config = getChainConfig(chainId);
+    const proposal = new ethers.Contract(proposalAddress, PROPOSAL_QUESTION_ABI, provider);
+    const [questionId, realityEth] = await Promise.all([
+        proposal.questionId(),
+        config.realityEth || new ethers.Contract(config.proposalFactory, FACTORY_REALITY_ABI, provider).realitio(),
+    ]);
+
+    const reality = new ethers.Contract(realityEth, REALITY_ETH_ABI, provider);
+    const [openingTimestamp, timeout, finalizeTimestamp, finalized, pendingArbitration, bestAnswer] = await Promise.all([
+        reality.getOpeningTS(questionId),
+        reality.getTimeout(questionId),
+        reality.getFinalizeTS(questionId),
+        reality.isFinalized(questionId),
+        reality.isPendingArbitration(questionId),
+        reality.getBestAnswer(questionId),
+    ]);
+
+    // Unknown questions read as all zeros
+    if (openingTimestamp === 0 && timeout === 0) return null;
+
+    return {
+        questionId,
+        realityEth,
+        openingTimestamp,
+        timeout,
+        finalizeTimestamp,
+        finalized,
+        pendingArbitration,
+        bestAnswer,
+    };
+}
+
+/**
+ * The outcome an answer stands for: YES, NO, INVALID, or null for anything else
+ */
+function answerOutcome(answer) {
+    if (answer.toLowerCase() === INVALID_ANSWER) return 'INVALID';
+    const index = ethers.BigNumber.from(answer);
+    return index.lt(OUTCOMES.length) ? OUTCOMES[index.toNumber()] : null;
+}
+
+/**
+ * Question state for an API result: UNANSWERED, ANSWERED (the answer may still be
+ * challenged until finalizeTimestamp) or FINALIZED
+ */
+function questionSummary(question) {
+    let state = 'UNANSWERED';
+    if (question.finalized) state = 'FINALIZED';
+    else if (question.finalizeTimestamp > 0) state = 'ANSWERED';
+
+    const answered = state !== 'UNANSWERED';
+    const toDate = timestamp => (timestamp > 0 ? new Date(timestamp * 1000).toISOString() : null);
+
+    return {
+        available: true,
+        questionId: question.questionId,
+        realityEth: question.realityEth,
+        state,
+        answer: answered ? question.bestAnswer : null,
+        outcome: answered ? answerOutcome(question.bestAnswer) : null,
+        openingTimestamp: question.openingTimestamp,
+        openingDate: toDate(question.openingTimestamp),
+        timeout: question.timeout,
+        finalizeTimestamp: question.finalizeTimestamp || null,
+        finalizeDate: toDate(question.finalizeTimestamp),
+        pendingArbitration: question.pendingArbitration,
+    };
+}
+
+module.exports = {
+    REALITY_ETH_ABI,
+    realityUnavailable,
+    readQuestion,
+    answerOutcome,
+    questionSummary,
+};
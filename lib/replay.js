@@ -0,0 +1,226 @@
+/**
+ * Record / Replay — JSON-RPC fixtures for offline, deterministic runs
+ *
+ * RecordingProvider wraps a live provider and keeps every JSON-RPC request it serves,
+ * with its response (or error), in a fixture file. ReplayProvider answers from that
+ * file with no network at all. Pass either as `options.provider`:
+ *
+ *   const recorder = new RecordingProvider(getProvider(100));
+ *   await calculateTwap('0x...', 100, { provider: recorder, startTimestamp, endTimestamp });
+ *   recorder.save('twap.fixture.json');
+ *
+ *   const replay = ReplayProvider.fromFile('twap.fixture.json');
+ *   await calculateTwap('0x...', 100, { provider: replay, startTimestamp, endTimestamp });
+ *
+ * Calls through either never use the data cache, whatever their `cache` option says.
+ *
+ * Requests are matched by method and params, in the order they were recorded (the last
+ * answer repeats once a request's recordings run out), so multicall batching and timing
+ * don't matter. Reads of the chain head are the exception: once they run out the recording
+ * is over, and a replay that asks for more (e.g. a watch) fails with FixtureExhaustedError.
+ *
+ * Fixtures also keep what isn't JSON-RPC but shapes the result — the clock readings and
+ * the metadata providers' answers — so a replay returns the same result, byte for byte,
+ * as the recorded run.
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { rpcContext } = require('./rpc');
+const { RpcError } = require('./errors');
+
+const FIXTURE_VERSION = 1;
+
+// ─── Base ────────────────────────────────────────────────────────────────────
+
+class FixtureProvider extends ethers.providers.StaticJsonRpcProvider {
+    /**
+     * @param {number} chainId - Chain the fixture is for (static — no eth_chainId round-trip)
+     */
+    constructor(chainId) {
+        // The URL is never used: send() is answered by the subclass
+        super('http://fixture.invalid', Number(chainId));
+        this.chainId = Number(chainId);
+        // The library's data cache is bypassed for fixture providers (see cacheKey)
+        this.isFixture = true;
+    }
+
+    /**
+     * Like FailoverProvider: ethers reports any failed eth_call as CALL_EXCEPTION —
+     * surface transport failures as themselves
+     */
+    async perform(method, params) {
+        try {
+            return await super.perform(method, params);
+        } catch (err) {
+            if (err.error instanceof RpcError) throw err.error;
+            throw err;
+        }
+    }
+}
+
+// What a failed request is kept as — enough for reverts to still decode
+function serializeError(err) {
+    return {
+        ...(err.code !== undefined ? { code: err.code } : {}),
+        message: err.message,
+        ...(err.data !== undefined ? { data: err.data } : {}),
+        ...(err instanceof RpcError ? { transport: true } : {}),
+    };
+}
+
+// Only the fields the error had — ethers quotes them in the messages of errors it wraps
+function deserializeError(saved) {
+    if (saved.transport) return new RpcError(saved.code, saved.message);
+    return Object.assign(new Error(saved.message), {
+        ...(saved.code !== undefined ? { code: saved.code } : {}),
+        ...(saved.data !== undefined ? { data: saved.data } : {}),
+    });
+}
+
+const requestKey = (method, params) => `${method}:${JSON.stringify(params ?? [])}`;
+
+// Requests for the latest block — repeating their last answer would replay a chain that stopped
+const isHeadRead = (method, params) => method === 'eth_blockNumber'
+    || (method === 'eth_getBlockByNumber' && params?.[0] === 'latest');
+
+/**
+ * A replay asked for the chain head more often than the recording did — there's nothing
+ * more to replay
+ */
+class FixtureExhaustedError extends RpcError {
+    constructor(method) {
+        super('RPC_UNAVAILABLE', `Fixture exhausted: no more recorded ${method} responses — the replay has reached the end of the recording`);
+    }
+}
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+class RecordingProvider extends FixtureProvider {
+    /**
+     * @param {object} provider - The live provider to record (e.g. getProvider(chainId))
+     */
+    constructor(provider) {
+        const chainId = provider.chainId ?? provider._network?.chainId;
+        if (!chainId) throw new Error('RecordingProvider needs a provider with a static network');
+        super(chainId);
+        this.provider = provider;
+        this.requests = [];
+        this.endpoints = new Set();
+        this.clock = [];
+        this.metadata = {};
+    }
+
+    send(method, params) {
+        const context = rpcContext.getStore();
+        const entry = { method, params };
+        this.requests.push(entry);
+
+        const recordEndpoints = () => {
+            for (const endpoint of context?.endpoints || []) this.endpoints.add(endpoint);
+        };
+        return this.provider.send(method, params).then(result => {
+            entry.result = result;
+            recordEndpoints();
+            return result;
+        }, err => {
+            entry.error = serializeError(err);
+            recordEndpoints();
+            throw err;
+        });
+    }
+
+    now() {
+        const time = Date.now();
+        this.clock.push(time);
+        return time;
+    }
+
+    recordMetadata(proposalAddress, answer) {
+        this.metadata[proposalAddress.toLowerCase()] = answer;
+    }
+
+    toJSON() {
+        return {
+            version: FIXTURE_VERSION,
+            chainId: this.chainId,
+            recordedAt: new Date(this.clock[0] ?? Date.now()).toISOString(),
+            endpoints: [...this.endpoints],
+            clock: this.clock,
+            metadata: this.metadata,
+            // Requests still in flight (e.g. cut off by a deadline) had no answer to record
+            requests: this.requests.filter(entry => 'result' in entry || 'error' in entry),
+        };
+    }
+
+    /**
+     * Write the fixture to a file
+     */
+    save(file) {
+        fs.writeFileSync(file, JSON.stringify(this, null, 2) + '\n');
+    }
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+class ReplayProvider extends FixtureProvider {
+    /**
+     * @param {object} fixture - What RecordingProvider saved
+     */
+    constructor(fixture) {
+        if (fixture?.version !== FIXTURE_VERSION || !Array.isArray(fixture.requests)) {
+            throw new Error(`Not a version ${FIXTURE_VERSION} RPC fixture`);
+        }
+        super(fixture.chainId);
+        this.fixture = fixture;
+        this.clockIndex = 0;
+
+        // Each request's recordings, in order — consumed one per matching send
+        this.answers = new Map();
+        for (const entry of fixture.requests) {
+            const key = requestKey(entry.method, entry.params);
+            if (!this.answers.has(key)) this.answers.set(key, { entries: [], next: 0 });
+            this.answers.get(key).entries.push(entry);
+        }
+    }
+
+    static fromFile(file) {
+        return new ReplayProvider(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    async send(method, params) {
+        const answers = this.answers.get(requestKey(method, params));
+        if (!answers) {
+            throw new RpcError('RPC_UNAVAILABLE', `No recorded response for ${method} ${JSON.stringify(params ?? [])}`);
+        }
+        if (answers.next >= answers.entries.length && isHeadRead(method, params)) {
+            throw new FixtureExhaustedError(method);
+        }
+        const entry = answers.entries[Math.min(answers.next, answers.entries.length - 1)];
+        answers.next++;
+
+        // Report the endpoints that answered when this was recorded
+        const context = rpcContext.getStore();
+        for (const endpoint of this.fixture.endpoints || []) context?.endpoints.add(endpoint);
+
+        if (entry.error) throw deserializeError(entry.error);
+        return entry.result;
+    }
+
+    // The recorded run's clock readings, in order; the last one repeats
+    now() {
+        const { clock = [] } = this.fixture;
+        if (clock.length === 0) return Date.parse(this.fixture.recordedAt) || Date.now();
+        return clock[Math.min(this.clockIndex++, clock.length - 1)];
+    }
+
+    replayMetadata(proposalAddress) {
+        return this.fixture.metadata?.[proposalAddress.toLowerCase()] || null;
+    }
+}
+
+module.exports = {
+    RecordingProvider,
+    ReplayProvider,
+    FixtureExhaustedError,
+};
@@ -0,0 +1,463 @@
+/**
+ * HTTP Router — every route of the API, defined once for every deployment target
+ *
+ * The router works on plain request/response objects; ./adapters turns them into an
+ * Express/Node handler, an API Gateway (v1/v2) Lambda handler and a fetch handler:
+ *
+ *   request   { method, path, query, headers, body?, signal?, timeoutMs?, requestId?, streaming? }
+ *             headers keyed in lowercase; body a JSON string or an already-parsed object;
+ *             streaming says whether the target can hold a response open (SSE)
+ *   response  { status, headers, body? } — body is JSON-serialized unless it's a string —
+ *             or { status, headers, stream: async write => ... } for an event stream
+ *
+ * Each request gets an ID (the caller's X-Request-Id, or a generated one), a child logger,
+ * CORS headers, and one log line and metrics sample once answered. Errors are
+ * { error, code, details? } with a status per code (see ./errors).
+ *
+ *   GET  /health, /chains, /metrics, /openapi.json
+ *   GET  /twap/:chainId/:proposalAddress[/series|/stream]
+ *   POST /twap/batch
+ *   GET  /pools/:chainId/:proposalAddress
+ *   GET  /proposals/:chainId
+ *   DELETE /cache[/:proposalAddress]                                (CACHE_ADMIN_TOKEN)
+ *   POST /subscriptions, GET /subscriptions[/:id], DELETE /subscriptions/:id   (WEBHOOK_ADMIN_TOKEN)
+ */
+
+const crypto = require('crypto');
+const {
+    calculateTwap,
+    calculateTwapBatch,
+    calculateTwapSeries,
+    watchTwap,
+    discoverPools,
+    listProposals,
+    CHAIN_CONFIG,
+    listChains,
+    unsupportedChainMessage,
+    invalidateCache,
+    cacheHeaders,
+    etagMatches,
+    validateSubscription,
+    publicSubscription,
+    httpStatus,
+    errorBody,
+    openApiDocument,
+} = require('./index');
+const { silentLogger } = require('./logger');
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 25000;
+const DEFAULT_BATCH_MAX_ITEMS = 50;
+const BATCH_MAX_CONCURRENCY = 8;
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_MIN_POLL_MS = 1000;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Cache-Control, If-None-Match, X-Request-Id',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Expose-Headers': 'ETag, X-Request-Id',
+};
+
+const ADDRESS = /^0x[a-fA-F0-9]{40}$/;
+
+// ─── Responses ───────────────────────────────────────────────────────────────
+
+function json(status, body, headers = {}) {
+    return { status, headers: { 'Content-Type': 'application/json', ...headers }, body };
+}
+
+function fail(status, code, error) {
+    return json(status, { error, code }, { 'Cache-Control': 'no-store' });
+}
+
+// A result with Cache-Control/ETag headers; 304 if the client already has it
+function resultResponse(request, result) {
+    const headers = cacheHeaders(result);
+    if (etagMatches(request.headers['if-none-match'], headers.ETag)) {
+        return { status: 304, headers };
+    }
+    return json(200, result, headers);
+}
+
+// ─── Request Parsing ─────────────────────────────────────────────────────────
+
+const isTrue = value => [true, 1, '1', 'true'].includes(value);
+
+// TWAP options from /twap query params or a batch body — the same names either way
+function twapOptions(raw) {
+    const options = {};
+    if (!raw || typeof raw !== 'object') return options;
+    const has = key => raw[key] !== undefined && raw[key] !== null && raw[key] !== '';
+    if (has('days')) options.days = parseFloat(raw.days);
+    if (has('startTimestamp')) options.startTimestamp = parseInt(raw.startTimestamp);
+    if (has('endTimestamp')) options.endTimestamp = parseInt(raw.endTimestamp);
+    if (has('endBlock')) options.endBlock = parseInt(raw.endBlock);
+    if (has('allowPartial')) options.allowPartial = isTrue(raw.allowPartial);
+    if (has('quorum')) options.quorum = parseInt(raw.quorum);
+    if (has('precision')) options.precision = parseInt(raw.precision);
+    if (has('minLiquidity')) options.minLiquidity = parseFloat(raw.minLiquidity);
+    if (has('manipulationPercent')) options.manipulationPercent = parseFloat(raw.manipulationPercent);
+    if (has('probability')) options.probability = isTrue(raw.probability);
+    if (has('cache')) options.cache = ![false, 0, '0', 'false'].includes(raw.cache);
+    return options;
+}
+
+// JSON body — undefined if there's none, throws on malformed JSON
+function parseBody(request) {
+    const { body } = request;
+    if (body === undefined || body === null || body === '') return undefined;
+    return typeof body === 'string' ? JSON.parse(body) : body;
+}
+
+// ?cache=false or Cache-Control: no-cache → re-read everything (and refresh the cache)
+function bypassCache(request) {
+    return request.query.cache === 'false' || /no-cache/i.test(request.headers['cache-control'] || '');
+}
+
+// Authorization: Bearer <token>, compared in constant time so response timing doesn't
+// reveal how much of the token matched
+function bearerMatches(header, token) {
+    const given = Buffer.from(String(header || ''));
+    const expected = Buffer.from(`Bearer ${token}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Compile '/twap/:chainId/:proposalAddress' into a regex and its parameter names
+function compilePattern(pattern) {
+    const names = [];
+    const source = pattern.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+// ─── Router ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create the API's router. Every option falls back to the environment variable in brackets.
+ *
+ * @param {object} [options]
+ * @param {string} [options.service='futarchy-twap'] - Name reported by /health
+ * @param {object} [options.logger] - Logger; each request logs through a child of it (default: silent)
+ * @param {object} [options.metrics] - From createMetrics() — counts requests and serves /metrics
+ * @param {boolean} [options.exposeMetrics=true] - Serve /metrics (off when metrics only last one request)
+ * @param {number} [options.requestTimeoutMs=25000] - Deadline per request [REQUEST_TIMEOUT_MS]
+ * @param {number} [options.batchMaxItems=50] - Items per POST /twap/batch [BATCH_MAX_ITEMS]
+ * @param {string} [options.cacheAdminToken] - Enables DELETE /cache [CACHE_ADMIN_TOKEN]
+ * @param {string} [options.webhookAdminToken] - Guards /subscriptions [WEBHOOK_ADMIN_TOKEN]
+ * @param {SubscriptionStore} [options.subscriptions] - Enables /subscriptions
+ * @param {object} [options.alertPoller] - From createAlertPoller(), checked when a subscription is added
+ * @returns {object} { handle(request) → Promise<response>, routes }
+ */
+function createRouter(options = {}) {
+    const service = options.service || 'futarchy-twap';
+    const logger = options.logger || silentLogger;
+    const { metrics, subscriptions, alertPoller } = options;
+    const exposeMetrics = options.exposeMetrics !== false;
+    const requestTimeoutMs = options.requestTimeoutMs || parseInt(process.env.REQUEST_TIMEOUT_MS) || DEFAULT_REQUEST_TIMEOUT_MS;
+    const batchMaxItems = options.batchMaxItems || parseInt(process.env.BATCH_MAX_ITEMS) || DEFAULT_BATCH_MAX_ITEMS;
+    const cacheAdminToken = options.cacheAdminToken ?? process.env.CACHE_ADMIN_TOKEN ?? '';
+    const webhookAdminToken = options.webhookAdminToken ?? process.env.WEBHOOK_ADMIN_TOKEN ?? '';
+
+    const routes = [];
+    const route = (method, pattern, handler) => routes.push({ method, pattern, handler, ...compilePattern(pattern) });
+
+    // Library options for a request: its deadline, its client's abort signal and its logger
+    const callOptions = ctx => ({
+        signal: ctx.request.signal,
+        timeoutMs: ctx.request.timeoutMs || requestTimeoutMs,
+        logger: ctx.log,
+        ...(bypassCache(ctx.request) ? { cache: false } : {}),
+    });
+
+    // ── Basics ───────────────────────────────────────────────────────────────
+
+    route('GET', '/health', () => json(200, { status: 'ok', service, uptime: process.uptime() }));
+
+    route('GET', '/chains', () => json(200, { chains: listChains() }));
+
+    // Prometheus metrics — requests, RPC calls, metadata fetches, cache lookups and the
+    // latest TWAP of every proposal queried
+    route('GET', '/metrics', () => {
+        if (!metrics || !exposeMetrics) return fail(404, 'NOT_FOUND', 'Metrics are not enabled');
+        return { status: 200, headers: { 'Content-Type': 'text/plain; version=0.0.4' }, body: metrics.render() };
+    });
+
+    // OpenAPI document for this API, with JSON Schemas of the /twap and /pools results
+    route('GET', '/openapi.json', () => json(200, openApiDocument(), { 'Cache-Control': 'public, max-age=300' }));
+
+    // ── TWAP ─────────────────────────────────────────────────────────────────
+
+    // GET /twap/:chainId/:proposalAddress?endTimestamp=1234567890&days=5
+    // If endTimestamp is omitted, defaults to "now" (TWAP looking back N days from now);
+    // endBlock pins the read of an ENDED window to a specific block
+    route('GET', '/twap/:chainId/:proposalAddress', async ctx => {
+        const { chainId, proposalAddress } = ctx.params;
+        const result = await calculateTwap(proposalAddress, chainId, { ...twapOptions(ctx.query), ...callOptions(ctx) });
+        return resultResponse(ctx.request, result);
+    });
+
+    // TWAP time series — cumulative TWAP + per-interval average price at each step
+    // GET /twap/:chainId/:proposalAddress/series?interval=3600&from=1234000000&to=1234567890
+    route('GET', '/twap/:chainId/:proposalAddress/series', async ctx => {
+        const { chainId, proposalAddress } = ctx.params;
+        const seriesOptions = callOptions(ctx);
+        if (ctx.query.interval) seriesOptions.interval = parseInt(ctx.query.interval);
+        if (ctx.query.from) seriesOptions.from = parseInt(ctx.query.from);
+        if (ctx.query.to) seriesOptions.to = parseInt(ctx.query.to);
+        if (ctx.query.precision) seriesOptions.precision = parseInt(ctx.query.precision);
+
+        const result = await calculateTwapSeries(proposalAddress, chainId, seriesOptions);
+        return resultResponse(ctx.request, result);
+    });
+
+    // Live TWAP as Server-Sent Events — a `twap` event whenever a new block changes the
+    // numbers, then `end` once the window has ENDED
+    // GET /twap/:chainId/:proposalAddress/stream?poll=4000 (plus the /twap query params)
+    route('GET', '/twap/:chainId/:proposalAddress/stream', ctx => {
+        if (!ctx.request.streaming) {
+            return fail(501, 'NOT_IMPLEMENTED', 'Streaming isn\'t supported by this deployment (e.g. API Gateway buffers responses) — poll /twap instead');
+        }
+        const { chainId, proposalAddress } = ctx.params;
+
+        // The deadline applies to each update; the stream runs until the client leaves
+        const { endBlock, allowPartial, cache, ...watchOptions } = twapOptions(ctx.query);
+        Object.assign(watchOptions, callOptions(ctx));
+        if (ctx.query.poll) watchOptions.pollIntervalMs = Math.max(parseInt(ctx.query.poll) || 0, STREAM_MIN_POLL_MS);
+
+        const stream = async write => {
+            const send = (event, data, id) => write(`event: ${event}\n${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+            // Comment lines keep proxies from closing a quiet stream
+            const heartbeat = setInterval(() => write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+            try {
+                for await (const update of watchTwap(proposalAddress, chainId, watchOptions)) {
+                    send('twap', update, update.watch.block);
+                }
+                if (!ctx.request.signal?.aborted) send('end', { reason: 'TWAP window ended' });
+            } catch (err) {
+                ctx.log[httpStatus(err) >= 500 ? 'error' : 'warn'](`[/twap/stream] Error: ${err.message}`, { code: err.code });
+                send('error', errorBody(err));
+            } finally {
+                clearInterval(heartbeat);
+            }
+        };
+
+        return {
+            status: 200,
+            headers: {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-store',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no',
+            },
+            stream,
+        };
+    });
+
+    // TWAP for many proposals at once — results (or per-item errors) in request order
+    // POST /twap/batch  { "items": [{ "chainId": 100, "proposalAddress": "0x...", "options": { "days": 5 } }],
+    //                     "options": { ...defaults for every item }, "concurrency": 4 }
+    route('POST', '/twap/batch', async ctx => {
+        const body = ctx.body || {};
+        const items = Array.isArray(body) ? body : body.items;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return fail(400, 'INVALID_INPUT', 'Body must have a non-empty "items" array');
+        }
+        if (items.length > batchMaxItems) {
+            return fail(400, 'INVALID_INPUT', `Too many items: ${items.length} (max ${batchMaxItems})`);
+        }
+
+        const batchOptions = { ...twapOptions(body.options), ...callOptions(ctx) };
+        if (body.concurrency) batchOptions.concurrency = Math.min(parseInt(body.concurrency) || 1, BATCH_MAX_CONCURRENCY);
+
+        const batch = await calculateTwapBatch(items.map(item => ({
+            chainId: item?.chainId,
+            proposalAddress: item?.proposalAddress,
+            options: twapOptions(item?.options),
+        })), batchOptions);
+        return json(200, batch, { 'Cache-Control': 'no-store' });
+    });
+
+    // ── Pools and Proposals ──────────────────────────────────────────────────
+
+    // Discover pools only (no TWAP calculation)
+    route('GET', '/pools/:chainId/:proposalAddress', async ctx => {
+        const { chainId, proposalAddress } = ctx.params;
+        const result = await discoverPools(proposalAddress, chainId, callOptions(ctx));
+        return resultResponse(ctx.request, result);
+    });
+
+    // List proposals created by the chain's futarchy proposal factory
+    // GET /proposals/:chainId?factory=0x...&fromBlock=38000000&toBlock=39000000
+    route('GET', '/proposals/:chainId', async ctx => {
+        const { chainId } = ctx.params;
+        const { factory, fromBlock, toBlock } = ctx.query;
+
+        if (factory && !ADDRESS.test(factory)) {
+            return fail(400, 'INVALID_INPUT', 'Invalid factory address');
+        }
+        if (!factory && !CHAIN_CONFIG[chainId].proposalFactory) {
+            return fail(400, 'INVALID_INPUT', `No proposal factory configured for ${CHAIN_CONFIG[chainId].name} — pass ?factory=0x...`);
+        }
+
+        const listOptions = callOptions(ctx);
+        if (factory) listOptions.factory = factory;
+        if (fromBlock) listOptions.fromBlock = parseInt(fromBlock);
+        if (toBlock) listOptions.toBlock = parseInt(toBlock);
+
+        const result = await listProposals(chainId, listOptions);
+        return json(200, result, { 'Cache-Control': 'public, max-age=60' });
+    });
+
+    // ── Admin ────────────────────────────────────────────────────────────────
+
+    const authorized = (ctx, token) => bearerMatches(ctx.request.headers.authorization, token);
+
+    // Invalidate cached data — for one proposal, or everything
+    // DELETE /cache/:proposalAddress   (Authorization: Bearer $CACHE_ADMIN_TOKEN)
+    const deleteCache = ctx => {
+        if (!cacheAdminToken) return fail(403, 'FORBIDDEN', 'Cache invalidation is disabled (set CACHE_ADMIN_TOKEN)');
+        if (!authorized(ctx, cacheAdminToken)) return fail(401, 'UNAUTHORIZED', 'Unauthorized');
+        return json(200, { invalidated: invalidateCache(ctx.params.proposalAddress) });
+    };
+    route('DELETE', '/cache', deleteCache);
+    route('DELETE', '/cache/:proposalAddress', deleteCache);
+
+    // Webhook subscriptions — off unless a store and an admin token are configured
+    const webhookAdmin = handler => ctx => {
+        if (!subscriptions || !webhookAdminToken) {
+            return fail(403, 'FORBIDDEN', 'Webhook alerts are disabled (set WEBHOOK_ADMIN_TOKEN)');
+        }
+        if (!authorized(ctx, webhookAdminToken)) return fail(401, 'UNAUTHORIZED', 'Unauthorized');
+        return handler(ctx);
+    };
+
+    // POST /subscriptions  { "chainId": 100, "proposalAddress": "0x...", "url": "https://...", "secret": "...",
+    //                        "events": ["status_changed", "winner_flipped", "threshold_crossed"],
+    //                        "percentDiffThreshold": 2, "options": { ...as for /twap } }
+    route('POST', '/subscriptions', webhookAdmin(ctx => {
+        const body = ctx.body || {};
+        const subscription = subscriptions.add(validateSubscription({ ...body, options: twapOptions(body.options) }));
+        // Record the current state straight away, so the first change already alerts
+        alertPoller?.check();
+        return json(201, publicSubscription(subscription));
+    }));
+
+    route('GET', '/subscriptions', webhookAdmin(() => json(200, { subscriptions: subscriptions.list().map(publicSubscription) })));
+
+    route('GET', '/subscriptions/:id', webhookAdmin(ctx => {
+        const subscription = subscriptions.get(ctx.params.id);
+        if (!subscription) return fail(404, 'NOT_FOUND', 'Subscription not found');
+        return json(200, publicSubscription(subscription));
+    }));
+
+    route('DELETE', '/subscriptions/:id', webhookAdmin(ctx => {
+        if (!subscriptions.remove(ctx.params.id)) return fail(404, 'NOT_FOUND', 'Subscription not found');
+        return json(200, { deleted: ctx.params.id });
+    }));
+
+    // ── Dispatch ─────────────────────────────────────────────────────────────
+
+    // Path parameters every route validates the same way
+    function validateParams(params) {
+        if (params.proposalAddress !== undefined && !ADDRESS.test(params.proposalAddress)) {
+            return fail(400, 'INVALID_INPUT', 'Invalid proposal address');
+        }
+        if (params.chainId !== undefined) {
+            params.chainId = parseInt(params.chainId);
+            if (!CHAIN_CONFIG[params.chainId]) return fail(400, 'UNSUPPORTED_CHAIN', unsupportedChainMessage(params.chainId));
+        }
+        return null;
+    }
+
+    function match(method, path) {
+        let allowed = false;
+        for (const candidate of routes) {
+            const found = candidate.regex.exec(path);
+            if (!found) continue;
+            if (candidate.method !== method) {
+                allowed = true;
+                continue;
+            }
+            const params = {};
+            candidate.names.forEach((name, i) => {
+                params[name] = found[i + 1];
+            });
+            return { route: candidate, params };
+        }
+        return { allowed };
+    }
+
+    async function dispatch(request, log) {
+        if (request.method === 'OPTIONS') return { status: 204, headers: {} };
+
+        const { route: matched, params, allowed } = match(request.method, request.path);
+        if (!matched) {
+            return allowed
+                ? fail(405, 'METHOD_NOT_ALLOWED', `${request.method} is not supported on ${request.path}`)
+                : fail(404, 'NOT_FOUND', `Route not found: ${request.path}`);
+        }
+
+        const invalid = validateParams(params);
+        if (invalid) return { ...invalid, pattern: matched.pattern };
+
+        let body;
+        try {
+            body = parseBody(request);
+        } catch {
+            return { ...fail(400, 'INVALID_INPUT', 'Invalid JSON body'), pattern: matched.pattern };
+        }
+
+        const ctx = { request, params, query: request.query, body, log };
+        try {
+            return { ...await matched.handler(ctx), pattern: matched.pattern };
+        } catch (err) {
+            const status = httpStatus(err);
+            log[status >= 500 ? 'error' : 'warn'](`[${matched.pattern}] Error: ${err.message}`, { code: err.code });
+            return { ...json(status, errorBody(err), { 'Cache-Control': 'no-store' }), pattern: matched.pattern };
+        }
+    }
+
+    /**
+     * Answer a request — never throws; failures become error responses
+     */
+    async function handle(request) {
+        const started = Date.now();
+        const header = request.headers['x-request-id'] || '';
+        const requestId = request.requestId || (/^[\w.:-]{1,128}$/.test(header) ? header : crypto.randomUUID());
+        const log = logger.child ? logger.child({ requestId }) : logger;
+
+        const { pattern, ...response } = await dispatch({ ...request, query: request.query || {} }, log);
+        response.headers = { ...CORS_HEADERS, ...response.headers, 'X-Request-Id': requestId };
+
+        // One log line and metrics sample per request — for a stream, once it ends
+        const finish = () => {
+            const durationMs = Date.now() - started;
+            // The route pattern, not the path — one series per route, not per proposal
+            metrics?.observeRequest(pattern || 'unmatched', request.method, response.status, durationMs / 1000);
+            log.info(`${request.method} ${request.path} ${response.status}`, {
+                method: request.method,
+                path: request.path,
+                status: response.status,
+                durationMs,
+            });
+        };
+
+        if (!response.stream) {
+            finish();
+            return response;
+        }
+        const { stream } = response;
+        response.stream = write => stream(write).finally(finish);
+        return response;
+    }
+
+    return { handle, routes };
+}
+
+module.exports = {
+    createRouter,
+    twapOptions,
+};
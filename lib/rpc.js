@@ -0,0 +1,275 @@
+/**
+ * RPC Transport — failover, retries, quorum and per-call deadlines
+ *
+ * FailoverProvider holds every RPC URL configured for a chain. Each request goes to the
+ * healthiest endpoint first, is retried with exponential backoff on transport errors
+ * (timeouts, 5xx, rate limits, ...) and then falls over to the next endpoint. Reverts
+ * are answers, not failures — they're returned straight away.
+ *
+ * Per-call settings travel in an async context (see withRpcContext), since providers
+ * are cached and shared between calls:
+ *   signal / timeoutMs → abort the call (and its pending retries)
+ *   quorum             → eth_calls must return identical results from N endpoints
+ *   endpoints          → records which endpoints served the call, for the response
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { ethers } = require('ethers');
+const { instrument } = require('./instrumentation');
+const { RpcError } = require('./errors');
+
+const DEFAULT_TIMEOUT_MS = 10000;   // per HTTP request
+const DEFAULT_RETRIES = 2;          // per endpoint, after the first attempt
+const RETRY_DELAY_MS = 250;         // doubled on each retry
+const FAILURE_COOLDOWN_MS = 30000;  // endpoints that just failed are tried last
+
+const rpcContext = new AsyncLocalStorage();
+
+// Errors raised by this transport (as opposed to by the node)
+const TRANSPORT_ERROR_CODES = ['RPC_UNAVAILABLE', 'RPC_QUORUM_FAILED', 'DEADLINE_EXCEEDED', 'ABORTED'];
+
+// ─── Errors ──────────────────────────────────────────────────────────────────
+
+function rpcError(code, message) {
+    return new RpcError(code, message);
+}
+
+/**
+ * A revert is the node's answer, so retrying or asking another endpoint won't change it
+ */
+function isRevert(err) {
+    return err?.code === 3 || /revert/i.test(err?.message || '');
+}
+
+/**
+ * Strip paths and query strings — RPC URLs often carry API keys
+ */
+function redactUrl(url) {
+    try {
+        const { protocol, host } = new URL(url);
+        return `${protocol}//${host}`;
+    } catch {
+        return 'unknown';
+    }
+}
+
+// ─── Per-call Context ────────────────────────────────────────────────────────
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.abortError);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function throwIfAborted(signal) {
+    if (signal?.aborted) throw signal.abortError;
+}
+
+/**
+ * Run fn inside a per-call RPC context. Rejects with DEADLINE_EXCEEDED after
+ * options.timeoutMs, or ABORTED when options.signal fires — without waiting for
+ * requests already in flight.
+ *
+ * @param {object} options - { signal?, timeoutMs?, quorum? }
+ * @param {function} fn - Called with the context; `context.report()` describes the endpoints used
+ */
+async function withRpcContext(options, fn) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const abort = error => {
+        if (signal.aborted) return;
+        signal.abortError = error;
+        controller.abort();
+    };
+
+    const context = {
+        signal,
+        quorum: Math.max(1, Math.floor(options.quorum || 1)),
+        endpoints: new Set(),
+        report() {
+            return {
+                endpoints: [...this.endpoints],
+                ...(this.quorum > 1 ? { quorum: this.quorum } : {}),
+            };
+        },
+    };
+
+    const onExternalAbort = () => abort(rpcError('ABORTED', 'Request aborted'));
+    if (options.signal?.aborted) onExternalAbort();
+    options.signal?.addEventListener('abort', onExternalAbort, { once: true });
+
+    const timer = options.timeoutMs
+        ? setTimeout(() => abort(rpcError('DEADLINE_EXCEEDED', `Deadline of ${options.timeoutMs}ms exceeded`)), options.timeoutMs)
+        : null;
+
+    const aborted = new Promise((_, reject) => {
+        if (signal.aborted) return reject(signal.abortError);
+        signal.addEventListener('abort', () => reject(signal.abortError), { once: true });
+    });
+    aborted.catch(() => {});
+
+    try {
+        return await Promise.race([rpcContext.run(context, () => fn(context)), aborted]);
+    } finally {
+        clearTimeout(timer);
+        options.signal?.removeEventListener('abort', onExternalAbort);
+    }
+}
+
+// ─── Failover Provider ───────────────────────────────────────────────────────
+
+class FailoverProvider extends ethers.providers.StaticJsonRpcProvider {
+    /**
+     * @param {string|string[]} urls - RPC URLs, in order of preference
+     * @param {number} chainId - Chain ID (static, so no eth_chainId round-trip per request)
+     * @param {object} [options] - { timeoutMs?, retries? }
+     */
+    constructor(urls, chainId, options = {}) {
+        const list = [].concat(urls).filter(Boolean);
+        const timeout = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+        super({ url: list[0], timeout }, chainId);
+
+        this.chainId = Number(chainId);
+        this.retries = options.retries ?? DEFAULT_RETRIES;
+        this.endpoints = list.map(url => ({
+            url,
+            label: redactUrl(url),
+            provider: new ethers.providers.StaticJsonRpcProvider({ url, timeout }, chainId),
+            failedAt: 0,
+        }));
+    }
+
+    /**
+     * ethers reports any failed eth_call as CALL_EXCEPTION — surface transport
+     * failures as themselves so callers can tell an outage from a revert
+     */
+    async perform(method, params) {
+        try {
+            return await super.perform(method, params);
+        } catch (err) {
+            if (TRANSPORT_ERROR_CODES.includes(err.error?.code)) throw err.error;
+            throw err;
+        }
+    }
+
+    send(method, params) {
+        const context = rpcContext.getStore();
+        const started = Date.now();
+        const request = context?.quorum > 1 && method === 'eth_call'
+            ? this._sendQuorum(method, params, context)
+            : this._sendFailover(method, params, context);
+
+        const report = error => instrument('rpc', {
+            chainId: this.chainId,
+            method,
+            durationMs: Date.now() - started,
+            ...(error && !isRevert(error) ? { error: error.code || 'ERROR' } : {}),
+        });
+        request.then(() => report(), report);
+        return request;
+    }
+
+    /**
+     * Healthy endpoints first, in configured order; recently failed ones last
+     */
+    _orderedEndpoints() {
+        const now = Date.now();
+        const cooling = e => now - e.failedAt < FAILURE_COOLDOWN_MS;
+        return [
+            ...this.endpoints.filter(e => !cooling(e)),
+            ...this.endpoints.filter(cooling),
+        ];
+    }
+
+    /**
+     * Send to one endpoint, retrying transport errors with backoff
+     */
+    async _sendWithRetries(endpoint, method, params, signal) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            throwIfAborted(signal);
+            if (attempt > 0) await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1), signal);
+
+            try {
+                const result = await endpoint.provider.send(method, params);
+                endpoint.failedAt = 0;
+                return result;
+            } catch (err) {
+                if (isRevert(err)) throw err;
+                lastError = err;
+            }
+        }
+        endpoint.failedAt = Date.now();
+        throw lastError;
+    }
+
+    async _sendFailover(method, params, context) {
+        const failures = [];
+
+        for (const endpoint of this._orderedEndpoints()) {
+            try {
+                const result = await this._sendWithRetries(endpoint, method, params, context?.signal);
+                context?.endpoints.add(endpoint.label);
+                return result;
+            } catch (err) {
+                if (isRevert(err)) {
+                    context?.endpoints.add(endpoint.label);
+                    throw err;
+                }
+                if (err === context?.signal?.abortError) throw err;
+                failures.push(`${endpoint.label}: ${err.message}`);
+            }
+        }
+
+        throw rpcError('RPC_UNAVAILABLE', `All RPC endpoints failed for ${method} — ${failures.join('; ')}`);
+    }
+
+    /**
+     * Send to every endpoint and require `quorum` of them to agree (reverts included)
+     */
+    async _sendQuorum(method, params, context) {
+        const outcomes = await Promise.all(this.endpoints.map(endpoint =>
+            this._sendWithRetries(endpoint, method, params, context.signal).then(
+                result => ({ endpoint, result, key: `ok:${JSON.stringify(result)}` }),
+                error => ({ endpoint, error, key: isRevert(error) ? `revert:${error.data}` : null }),
+            )
+        ));
+        throwIfAborted(context.signal);
+
+        const groups = new Map();
+        for (const outcome of outcomes) {
+            if (!outcome.key) continue;
+            if (!groups.has(outcome.key)) groups.set(outcome.key, []);
+            groups.get(outcome.key).push(outcome);
+        }
+
+        const agreeing = [...groups.values()].sort((a, b) => b.length - a.length)[0] || [];
+        if (agreeing.length < context.quorum) {
+            throw rpcError(
+                'RPC_QUORUM_FAILED',
+                `RPC quorum not reached for ${method}: ${agreeing.length}/${context.quorum} endpoints agree ` +
+                `(${groups.size} distinct answers, ${outcomes.filter(o => !o.key).length} failed)`
+            );
+        }
+
+        for (const outcome of agreeing) context.endpoints.add(outcome.endpoint.label);
+        if (agreeing[0].error) throw agreeing[0].error;
+        return agreeing[0].result;
+    }
+}
+
+module.exports = {
+    FailoverProvider,
+    withRpcContext,
+    rpcContext,
+    redactUrl,
+    isRevert,
+};
@@ -1,92 +1,108 @@
 /**
- * Express TWAP Server — thin HTTP wrapper around lib/index.js
+ * Express TWAP Server — the router (lib/router.js) served by Express
  * 
- * All core logic lives in ./lib — this file just maps HTTP routes to library functions.
+ * All routes and their validation live in ./lib/router — this file just configures it
+ * from the environment and starts listening.
  * 
  * Endpoints:
- *   GET /twap/:chainId/:proposalAddress?endTimestamp=...&days=5
+ *   GET /twap/:chainId/:proposalAddress?startTimestamp=...&endTimestamp=...&days=5&endBlock=...
+ *   GET /twap/:chainId/:proposalAddress/series?interval=3600&from=...&to=...
+ *   GET /twap/:chainId/:proposalAddress/stream   (Server-Sent Events, one per changed result)
+ *   POST /twap/batch   { items: [{ chainId, proposalAddress, options? }], options?, concurrency? }
  *   GET /pools/:chainId/:proposalAddress
+ *   GET /proposals/:chainId?factory=...&fromBlock=...&toBlock=...
+ *   GET /chains
  *   GET /health
+ *   GET /metrics   (Prometheus text format)
+ *   GET /openapi.json
+ *   DELETE /cache[/:proposalAddress]   (requires CACHE_ADMIN_TOKEN)
+ *   POST /subscriptions, GET /subscriptions[/:id], DELETE /subscriptions/:id   (requires WEBHOOK_ADMIN_TOKEN)
+ *
+ * Errors are { error, code, details? } with a status per code (see lib/errors.js).
+ * Results carry Cache-Control/ETag headers based on their status. `?cache=false` or
+ * `Cache-Control: no-cache` bypasses the library's data cache.
+ *
+ * Logs are JSON lines on stdout (LOG_LEVEL, default info), each tagged with the request's
+ * ID — the caller's X-Request-Id header, or a generated one, echoed back in the response.
  */
 
 const express = require('express');
-const cors = require('cors');
-const { calculateTwap, discoverPools, CHAIN_CONFIG } = require('./lib');
-
-const app = express();
-app.use(cors());
-app.use(express.json());
+const {
+    createJsonLogger,
+    createAlertPoller,
+    SubscriptionStore,
+    createMetrics,
+} = require('./lib');
+const { createRouter } = require('./lib/router');
+const { createExpressHandler } = require('./lib/adapters');
 
 const PORT = process.env.PORT || 3005;
-
-// ─── Routes ──────────────────────────────────────────────────────────────────
-
-// Health check
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', service: 'express-twap', uptime: process.uptime() });
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+const WEBHOOK_ADMIN_TOKEN = process.env.WEBHOOK_ADMIN_TOKEN || '';
+const WEBHOOK_STORE = process.env.WEBHOOK_STORE || './webhooks.json';
+const WEBHOOK_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS) || 60000;
+
+const logger = createJsonLogger({ level: process.env.LOG_LEVEL || 'info', fields: { service: 'express-twap' } });
+const metrics = createMetrics();
+
+// Webhook alerts are off unless an admin token is set — subscribers choose where the server POSTs
+const subscriptions = WEBHOOK_ADMIN_TOKEN ? new SubscriptionStore(WEBHOOK_STORE) : null;
+const alertPoller = subscriptions
+    ? createAlertPoller({ store: subscriptions, intervalMs: WEBHOOK_POLL_MS, logger: logger.child({ component: 'alerts' }) })
+    : null;
+
+// REQUEST_TIMEOUT_MS, BATCH_MAX_ITEMS and CACHE_ADMIN_TOKEN are read by the router itself
+const router = createRouter({
+    service: 'express-twap',
+    logger,
+    metrics,
+    subscriptions,
+    alertPoller,
 });
 
-// Calculate TWAP for a proposal
-// GET /twap/:chainId/:proposalAddress?endTimestamp=1234567890&days=5
-// If endTimestamp is omitted, defaults to "now" (calculates TWAP looking back N days from now)
-app.get('/twap/:chainId/:proposalAddress', async (req, res) => {
-    try {
-        const { chainId: chainIdStr, proposalAddress } = req.params;
-        const chainId = parseInt(chainIdStr);
-
-        if (!/^0x[a-fA-F0-9]{40}$/.test(proposalAddress)) {
-            return res.status(400).json({ error: 'Invalid proposal address' });
-        }
-        if (!CHAIN_CONFIG[chainId]) {
-            return res.status(400).json({ error: `Unsupported chain ${chainId}. Use 100 (Gnosis) or 1 (Ethereum)` });
-        }
-
-        const options = {};
-        if (req.query.days) options.days = parseFloat(req.query.days);
-        if (req.query.endTimestamp) options.endTimestamp = parseInt(req.query.endTimestamp);
-
-        const result = await calculateTwap(proposalAddress, chainId, options);
-        res.json(result);
-
-    } catch (err) {
-        console.error('[/twap] Error:', err.message);
-        res.status(500).json({ error: err.message });
-    }
-});
-
-// Discover pools only (no TWAP calculation)
-// GET /pools/:chainId/:proposalAddress
-app.get('/pools/:chainId/:proposalAddress', async (req, res) => {
-    try {
-        const { chainId: chainIdStr, proposalAddress } = req.params;
-        const chainId = parseInt(chainIdStr);
-
-        if (!/^0x[a-fA-F0-9]{40}$/.test(proposalAddress)) {
-            return res.status(400).json({ error: 'Invalid proposal address' });
-        }
-        if (!CHAIN_CONFIG[chainId]) {
-            return res.status(400).json({ error: `Unsupported chain ${chainId}. Use 100 (Gnosis) or 1 (Ethereum)` });
-        }
-
-        const result = await discoverPools(proposalAddress, chainId);
-        res.json(result);
-
-    } catch (err) {
-        console.error('[/pools] Error:', err.message);
-        res.status(500).json({ error: err.message });
-    }
-});
+const app = express();
+app.use(createExpressHandler(router));
 
 // ─── Start Server ────────────────────────────────────────────────────────────
 
 app.listen(PORT, () => {
+    logger.info(`Express TWAP Server running on port ${PORT}`, { port: Number(PORT) });
+    if (alertPoller) {
+        alertPoller.start();
+        logger.info(`Webhook alerts: ${subscriptions.list().length} subscription(s), checked every ${WEBHOOK_POLL_MS}ms`, { store: WEBHOOK_STORE });
+    }
+
+    // The endpoint overview is for people at a terminal — keep piped logs pure JSON
+    if (!process.stdout.isTTY) return;
     console.log(`\n🕐 Express TWAP Server running on http://localhost:${PORT}`);
     console.log(`\n  Endpoints:`);
     console.log(`    GET /health                                             - Health check`);
+    console.log(`    GET /metrics                                            - Prometheus metrics`);
+    console.log(`    GET /openapi.json                                       - OpenAPI document (JSON Schemas of the results)`);
+    console.log(`    GET /chains                                             - List configured chains`);
     console.log(`    GET /pools/:chainId/:proposalAddress                    - Discover all 6 pools on-chain`);
+    console.log(`    GET /proposals/:chainId                                 - List proposals from the factory's events`);
+    console.log(`        ?factory=0x...&fromBlock=38000000&toBlock=...       - Factory (default: chain config) and block range`);
     console.log(`    GET /twap/:chainId/:proposalAddress                     - Calculate TWAP`);
     console.log(`        ?endTimestamp=1234567890                            - Market close time (unix, default: now)`);
     console.log(`        &days=5                                             - TWAP window in days (default: 5)`);
+    console.log(`        &startTimestamp=1234567890                          - Window start (unix, with endTimestamp: exact window)`);
+    console.log(`        &endBlock=12345678                                  - Pin an ENDED window read to this block`);
+    console.log(`        &allowPartial=true                                  - Use the covered part if oracle history is short`);
+    console.log(`        &quorum=2                                           - Cross-check reads across N RPC endpoints`);
+    console.log(`        &precision=18                                       - Fractional digits in decimal-string prices`);
+    console.log(`        &minLiquidity=1000                                  - Pool depth (currency) below which to warn`);
+    console.log(`        &manipulationPercent=2                              - Price move to estimate manipulation cost for`);
+    console.log(`        &probability=true                                   - Add prediction-pool probability + expected price`);
+    console.log(`        &cache=false                                        - Bypass cached data`);
+    console.log(`    GET /twap/:chainId/:proposalAddress/series              - TWAP time series`);
+    console.log(`        ?interval=3600&from=1234567890&to=1234567890        - Step (s) and range (unix, default: TWAP window)`);
+    console.log(`    GET /twap/:chainId/:proposalAddress/stream              - Live TWAP as Server-Sent Events (new block → update)`);
+    console.log(`        ?poll=4000                                          - How often to check for a new block (ms)`);
+    console.log(`    POST /twap/batch                                        - TWAP for many proposals (JSON body, max ${BATCH_MAX_ITEMS})`);
+    console.log(`    DELETE /cache[/:proposalAddress]                        - Invalidate cached data (needs CACHE_ADMIN_TOKEN)`);
+    console.log(`    POST /subscriptions                                     - Webhook alerts for a proposal (needs WEBHOOK_ADMIN_TOKEN)`);
+    console.log(`    GET /subscriptions[/:id], DELETE /subscriptions/:id     - List / remove webhook subscriptions`);
     console.log(`\n  Example:`);
     console.log(`    curl "http://localhost:${PORT}/pools/100/0x45e1064348fd8a407d6d1f59fc64b05f633b28fc"`);
     console.log(`    curl "http://localhost:${PORT}/twap/100/0x45e1064348fd8a407d6d1f59fc64b05f633b28fc?endTimestamp=1738886400&days=5"`);
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createMetrics } = require('../lib');
+const { createRouter } = require('../lib/router');
+const { createExpressHandler, createLambdaHandler, createFetchHandler } = require('../lib/adapters');
+const { ERROR_STATUS, TwapError, httpStatus, errorBody } = require('../lib/errors');
+
+const PROPOSAL = `0x${'1'.repeat(40)}`;
+const OVERSIZED = 'x'.repeat(1024 * 1024 + 1);
+
+// A Node http server running the Express handler, on a free port
+async function startServer(router = createRouter()) {
+    const server = http.createServer(createExpressHandler(router));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    return { server, url: `http://127.0.0.1:${port}`, port };
+}
+
+function stopServer(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+// ─── Error Mapping ───────────────────────────────────────────────────────────
+
+test('httpStatus and errorBody map every known code to its status', () => {
+    for (const [code, status] of Object.entries(ERROR_STATUS)) {
+        const err = new TwapError(code, `failed with ${code}`, { code });
+        assert.equal(httpStatus(err), status);
+        assert.deepEqual(errorBody(err), { error: `failed with ${code}`, code, details: { code } });
+    }
+});
+
+test('unknown errors are 500 INTERNAL_ERROR and keep their message', () => {
+    const err = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    assert.equal(httpStatus(err), 500);
+    assert.deepEqual(errorBody(err), { error: 'socket hang up', code: 'INTERNAL_ERROR' });
+    assert.equal(httpStatus(undefined), 500);
+});
+
+// ─── Router ──────────────────────────────────────────────────────────────────
+
+test('the router answers bad requests with their status and code', async () => {
+    const router = createRouter({ metrics: createMetrics(), exposeMetrics: false });
+    const cases = [
+        [{ method: 'GET', path: '/nowhere' }, 404, 'NOT_FOUND'],
+        [{ method: 'POST', path: '/health' }, 405, 'METHOD_NOT_ALLOWED'],
+        [{ method: 'POST', path: '/twap/batch', body: '{"items": [' }, 400, 'INVALID_INPUT'],
+        [{ method: 'GET', path: '/twap/100/0x1234' }, 400, 'INVALID_INPUT'],
+        [{ method: 'GET', path: `/twap/999999/${PROPOSAL}` }, 400, 'UNSUPPORTED_CHAIN'],
+        [{ method: 'GET', path: `/twap/100/${PROPOSAL}`, query: { precision: '99' } }, 400, 'INVALID_INPUT'],
+        [{ method: 'GET', path: '/metrics' }, 404, 'NOT_FOUND'],
+    ];
+    for (const [request, status, code] of cases) {
+        const response = await router.handle({ headers: {}, ...request });
+        assert.equal(response.status, status, `${request.method} ${request.path}`);
+        assert.equal(response.body.code, code, `${request.method} ${request.path}`);
+        assert.equal(response.headers['Cache-Control'], 'no-store');
+    }
+});
+
+test('cache invalidation needs the exact admin token', async () => {
+    const router = createRouter({ cacheAdminToken: 's3cret' });
+    const invalidate = authorization => router.handle({ method: 'DELETE', path: '/cache', headers: authorization ? { authorization } : {} });
+
+    for (const authorization of [undefined, 'Bearer s3crex', 'Bearer s3cret2', 'Bearer ', 's3cret']) {
+        const response = await invalidate(authorization);
+        assert.equal(response.status, 401, String(authorization));
+        assert.equal(response.body.code, 'UNAUTHORIZED');
+    }
+    assert.equal((await invalidate('Bearer s3cret')).status, 200);
+    assert.equal((await createRouter({ cacheAdminToken: '' }).handle({ method: 'DELETE', path: '/cache', headers: {} })).status, 403);
+});
+
+test('the Lambda handler refuses event streams with 501', async () => {
+    const handler = createLambdaHandler(createRouter());
+    const response = await handler({ httpMethod: 'GET', path: `/twap/100/${PROPOSAL}/stream`, headers: {} }, {});
+    assert.equal(response.statusCode, 501);
+    assert.equal(JSON.parse(response.body).code, 'NOT_IMPLEMENTED');
+});
+
+// ─── Express / Node http ─────────────────────────────────────────────────────
+
+test('a body over the limit gets 413 from the Node handler', async () => {
+    const { server, url } = await startServer();
+    try {
+        const response = await fetch(`${url}/twap/batch`, { method: 'POST', body: OVERSIZED });
+        assert.equal(response.status, 413);
+        assert.equal((await response.json()).code, 'PAYLOAD_TOO_LARGE');
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('a client hanging up mid-upload leaves the server serving', async () => {
+    const { server, url, port } = await startServer();
+    try {
+        await new Promise((resolve, reject) => {
+            const socket = net.connect(port, '127.0.0.1', () => {
+                socket.write('POST /twap/batch HTTP/1.1\r\nHost: localhost\r\nContent-Type: application/json\r\nContent-Length: 100000\r\n\r\n{"items": [');
+                // Let the server start reading the body before the connection drops
+                setTimeout(() => {
+                    socket.destroy();
+                    resolve();
+                }, 50);
+            });
+            socket.on('error', reject);
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const response = await fetch(`${url}/health`);
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).status, 'ok');
+    } finally {
+        await stopServer(server);
+    }
+});
+
+test('unexpected handler failures go to next(err), or become a 500', async () => {
+    const broken = { handle: async () => { throw new Error('boom'); } };
+    const handler = createExpressHandler(broken);
+
+    let passed;
+    await handler({ method: 'GET', url: '/health', headers: {} }, { on() {}, headersSent: false }, err => {
+        passed = err;
+    });
+    assert.equal(passed?.message, 'boom');
+
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/health`);
+        assert.equal(response.status, 500);
+        assert.deepEqual(await response.json(), { error: 'boom', code: 'INTERNAL_ERROR' });
+    } finally {
+        await stopServer(server);
+    }
+});
+
+// ─── Fetch ───────────────────────────────────────────────────────────────────
+
+test('the fetch handler counts the body in bytes, not characters', async () => {
+    const handler = createFetchHandler(createRouter());
+    // 600k two-byte characters: under the limit as a string, over it on the wire
+    const request = new Request('http://localhost/twap/batch', { method: 'POST', body: 'é'.repeat(600 * 1024) });
+    const response = await handler(request);
+    assert.equal(response.status, 413);
+    assert.equal((await response.json()).code, 'PAYLOAD_TOO_LARGE');
+});
+
+test('the fetch handler rejects a declared Content-Length over the limit without reading', async () => {
+    const handler = createFetchHandler(createRouter());
+    const request = new Request('http://localhost/twap/batch', {
+        method: 'POST',
+        headers: { 'Content-Length': String(OVERSIZED.length) },
+        body: OVERSIZED,
+    });
+    const response = await handler(request);
+    assert.equal(response.status, 413);
+    assert.equal(request.bodyUsed, false);
+});
+
+test('the fetch handler parses a body under the limit', async () => {
+    const handler = createFetchHandler(createRouter());
+    const response = await handler(new Request('http://localhost/twap/batch', { method: 'POST', body: '{"items": []}' }));
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /non-empty "items"/);
+});
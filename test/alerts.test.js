@@ -0,0 +1,211 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const { validateSubscription, detectAlerts, signPayload, deliverWebhook, ALERT_EVENTS } = require('../lib/alerts');
+
+const PROPOSAL = `0x${'1'.repeat(40)}`;
+
+// Run fn with WEBHOOK_ALLOWED_HOSTS set, restoring it after
+async function withAllowedHosts(hosts, fn) {
+    const previous = process.env.WEBHOOK_ALLOWED_HOSTS;
+    process.env.WEBHOOK_ALLOWED_HOSTS = hosts;
+    try {
+        return await fn();
+    } finally {
+        if (previous === undefined) delete process.env.WEBHOOK_ALLOWED_HOSTS;
+        else process.env.WEBHOOK_ALLOWED_HOSTS = previous;
+    }
+}
+
+// A local webhook receiver answering every request with respond(req, res)
+async function startReceiver(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+            requests.push({ headers: req.headers, body });
+            respond(req, res, requests.length);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+// ─── Webhook Hosts ───────────────────────────────────────────────────────────
+
+test('webhook urls on local or private addresses are rejected', () => {
+    const urls = [
+        'http://localhost:3000/hook',
+        'http://api.localhost/hook',
+        'http://127.0.0.1/hook',
+        'http://2130706433/hook', // 127.0.0.1, as WHATWG URL normalizes it
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.1/hook',
+        'http://172.16.5.4/hook',
+        'http://192.168.1.10/hook',
+        'http://100.64.0.1/hook',
+        'http://0.0.0.0/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fd00::1]/hook',
+        'http://[fe80::1]/hook',
+    ];
+    for (const url of urls) {
+        assert.throws(() => validateSubscription({ chainId: 100, proposalAddress: PROPOSAL, url }),
+            err => err.code === 'INVALID_INPUT' && /private or local address/.test(err.message), url);
+    }
+    for (const url of ['https://hooks.example.com/futarchy', 'http://8.8.8.8/hook', 'http://[2001:4860:4860::8888]/hook']) {
+        assert.equal(validateSubscription({ chainId: 100, proposalAddress: PROPOSAL, url }).url, new URL(url).toString());
+    }
+});
+
+test('WEBHOOK_ALLOWED_HOSTS lets listed private hosts through', async () => {
+    await withAllowedHosts('127.0.0.1, receiver.internal', () => {
+        assert.ok(validateSubscription({ chainId: 100, proposalAddress: PROPOSAL, url: 'http://127.0.0.1:8080/hook' }));
+        assert.throws(() => validateSubscription({ chainId: 100, proposalAddress: PROPOSAL, url: 'http://10.0.0.1/hook' }));
+    });
+});
+
+test('a host name resolving to a private address is refused at delivery, without retries', async t => {
+    const lookups = [];
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        lookups.push(hostname);
+        if (options.all) callback(null, [{ address: '169.254.169.254', family: 4 }]);
+        else callback(null, '169.254.169.254', 4);
+    });
+
+    const delivery = await deliverWebhook({ url: 'http://rebound.example.com/hook' }, { event: 'status_changed' });
+    assert.match(delivery.error, /rebound\.example\.com resolves to 169\.254\.169\.254/);
+    assert.deepEqual(lookups, ['rebound.example.com']);
+});
+
+test('deliveries don\'t follow redirects', async () => {
+    const receiver = await startReceiver((req, res) => {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+        res.end();
+    });
+    try {
+        const delivery = await withAllowedHosts('127.0.0.1', () => deliverWebhook({ url: receiver.url }, { event: 'status_changed' }));
+        assert.match(delivery.error, /^HTTP 302/);
+        assert.equal(receiver.requests.length, 1);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
+
+// ─── Alerts ──────────────────────────────────────────────────────────────────
+
+const state = (status, winner, percentDiff) => ({ status, winner, percentDiff, checkedAt: '2026-01-01T00:00:00.000Z' });
+const everything = { events: ALERT_EVENTS, percentDiffThreshold: 5 };
+
+test('the first check of a subscription raises nothing', () => {
+    assert.deepEqual(detectAlerts(everything, null, state('ACTIVE', 'YES', 10)), []);
+});
+
+test('status changes and winner flips are alerted', () => {
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'YES', 10), state('ENDED', 'NO', 10)), [
+        { event: 'status_changed', from: 'ACTIVE', to: 'ENDED' },
+        { event: 'winner_flipped', from: 'YES', to: 'NO' },
+    ]);
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'YES', 10), state('ACTIVE', 'YES', 12)), []);
+});
+
+test('a winner only flips between YES and NO', () => {
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'TIE', 10), state('ACTIVE', 'NO', 10)), []);
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'YES', 10), state('ACTIVE', 'TIE', 10)), []);
+    assert.deepEqual(detectAlerts(everything, state('NOT_STARTED', null, null), state('ACTIVE', 'YES', 10)), [
+        { event: 'status_changed', from: 'NOT_STARTED', to: 'ACTIVE' },
+    ]);
+});
+
+test('crossing the percentDiff threshold is alerted each way, the threshold itself counting as above', () => {
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'YES', 4.99), state('ACTIVE', 'YES', 5)), [
+        { event: 'threshold_crossed', direction: 'above', threshold: 5 },
+    ]);
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'YES', 7), state('ACTIVE', 'YES', 3)), [
+        { event: 'threshold_crossed', direction: 'below', threshold: 5 },
+    ]);
+    assert.deepEqual(detectAlerts(everything, state('ACTIVE', 'YES', 6), state('ACTIVE', 'YES', 9)), []);
+    assert.deepEqual(detectAlerts(everything, state('NOT_STARTED', null, null), state('NOT_STARTED', null, null)), []);
+    assert.deepEqual(detectAlerts({ events: ALERT_EVENTS }, state('ACTIVE', 'YES', 1), state('ACTIVE', 'YES', 50)), []);
+});
+
+test('only the events a subscription asked for are alerted', () => {
+    const flips = { events: ['winner_flipped'], percentDiffThreshold: 5 };
+    assert.deepEqual(detectAlerts(flips, state('ACTIVE', 'YES', 1), state('ENDED', 'NO', 50)), [
+        { event: 'winner_flipped', from: 'YES', to: 'NO' },
+    ]);
+});
+
+// ─── Delivery ────────────────────────────────────────────────────────────────
+
+test('a delivery is signed as HMAC-SHA256 of "<timestamp>.<body>"', async () => {
+    const receiver = await startReceiver((req, res) => res.end());
+    try {
+        const payload = { event: 'winner_flipped', from: 'YES', to: 'NO' };
+        const delivery = await withAllowedHosts('127.0.0.1', () => deliverWebhook({ url: receiver.url, secret: 's3cret' }, payload));
+        assert.deepEqual(delivery, { status: 200 });
+
+        const [{ headers, body }] = receiver.requests;
+        assert.deepEqual(JSON.parse(body), payload);
+        assert.equal(headers['x-futarchy-event'], 'winner_flipped');
+        const timestamp = headers['x-futarchy-timestamp'];
+        assert.match(timestamp, /^\d+$/);
+
+        const expected = crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex');
+        assert.equal(headers['x-futarchy-signature'], `sha256=${expected}`);
+        assert.equal(signPayload('s3cret', timestamp, body), expected);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
+
+test('a delivery without a secret is unsigned', async () => {
+    const receiver = await startReceiver((req, res) => res.end());
+    try {
+        await withAllowedHosts('127.0.0.1', () => deliverWebhook({ url: receiver.url }, { event: 'status_changed' }));
+        assert.equal(receiver.requests[0].headers['x-futarchy-signature'], undefined);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
+
+test('5xx responses are retried with backoff, 4xx ones aren\'t', async () => {
+    const statuses = [500, 503, 200];
+    const receiver = await startReceiver((req, res, count) => {
+        res.writeHead(statuses[count - 1] ?? 400);
+        res.end();
+    });
+    try {
+        const started = Date.now();
+        const delivery = await withAllowedHosts('127.0.0.1', () => deliverWebhook({ url: receiver.url, secret: 'k' }, { event: 'status_changed' }));
+        assert.deepEqual(delivery, { status: 200 });
+        assert.equal(receiver.requests.length, 3);
+        assert.ok(Date.now() - started >= 2900, 'waits 1s, then 2s');
+        // Each attempt carries the same signed body
+        assert.equal(new Set(receiver.requests.map(request => request.headers['x-futarchy-signature'])).size, 1);
+
+        const rejected = await withAllowedHosts('127.0.0.1', () => deliverWebhook({ url: receiver.url }, { event: 'status_changed' }));
+        assert.match(rejected.error, /^HTTP 400 from http:\/\/127\.0\.0\.1/);
+        assert.equal(receiver.requests.length, 4);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
+
+test('a delivery gives up after three failed attempts', async () => {
+    const receiver = await startReceiver((req, res) => {
+        res.writeHead(502);
+        res.end();
+    });
+    try {
+        const delivery = await withAllowedHosts('127.0.0.1', () => deliverWebhook({ url: receiver.url }, { event: 'status_changed' }));
+        assert.match(delivery.error, /^HTTP 502/);
+        assert.equal(receiver.requests.length, 3);
+    } finally {
+        await new Promise(resolve => receiver.server.close(resolve));
+    }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTwapBatch, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL } = require('./helpers/mock-chain');
+
+const now = () => Math.floor(Date.now() / 1000);
+const endTimestamp = now() - 600;
+const window = { startTimestamp: endTimestamp - 3600, endTimestamp, cache: false };
+
+test.beforeEach(() => configureCache());
+
+// A mock chain per item, answering after a delay — `inFlight` tracks how many of the
+// chains have a request pending, and `peak` the most there ever were at once
+function trackedChains(count, { delayMs = 10 } = {}) {
+    const tracker = { inFlight: 0, peak: 0 };
+    const chains = Array.from({ length: count }, () => {
+        const chain = createMockChain();
+        const send = chain.send.bind(chain);
+        let pending = 0;
+        chain.send = async (method, params) => {
+            if (pending++ === 0) tracker.peak = Math.max(tracker.peak, ++tracker.inFlight);
+            try {
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+                return await send(method, params);
+            } finally {
+                if (--pending === 0) tracker.inFlight--;
+            }
+        };
+        return chain;
+    });
+    return { chains, tracker };
+}
+
+// ─── Concurrency ─────────────────────────────────────────────────────────────
+
+test('a batch computes at most `concurrency` proposals at once', async () => {
+    const { chains, tracker } = trackedChains(6);
+    const items = chains.map(provider => ({ chainId: 100, proposalAddress: PROPOSAL, options: { provider } }));
+
+    const batch = await calculateTwapBatch(items, { ...window, concurrency: 2 });
+
+    assert.equal(batch.succeeded, 6);
+    assert.equal(tracker.peak, 2);
+});
+
+test('concurrency below 1 runs items one at a time', async () => {
+    const { chains, tracker } = trackedChains(3);
+    const items = chains.map(provider => ({ chainId: 100, proposalAddress: PROPOSAL, options: { provider } }));
+
+    const batch = await calculateTwapBatch(items, { ...window, concurrency: 0 });
+
+    assert.equal(batch.succeeded, 3);
+    assert.equal(tracker.peak, 1);
+});
+
+// ─── Error Isolation ─────────────────────────────────────────────────────────
+
+test('a failing item is reported in place without failing the others', async () => {
+    const provider = createMockChain();
+    const items = [
+        { chainId: 100, proposalAddress: PROPOSAL, options: { provider } },
+        { chainId: 100, proposalAddress: '0x1234' },
+        { chainId: 999999, proposalAddress: PROPOSAL },
+        { chainId: 100, proposalAddress: PROPOSAL, options: { provider, startTimestamp: endTimestamp, endTimestamp: endTimestamp - 3600 } },
+        null,
+        { chainId: 100, proposalAddress: PROPOSAL, options: { provider } },
+    ];
+
+    const batch = await calculateTwapBatch(items, { ...window, concurrency: 3 });
+
+    assert.equal(batch.results.length, 6);
+    assert.equal(batch.succeeded, 2);
+    assert.equal(batch.failed, 4);
+    assert.deepEqual(batch.results.map(entry => entry.code ?? 'OK'), [
+        'OK', 'INVALID_INPUT', 'UNSUPPORTED_CHAIN', 'INVALID_INPUT', 'INVALID_INPUT', 'OK',
+    ]);
+    assert.equal(batch.results[0].result.twap.winner, batch.results[5].result.twap.winner);
+    assert.equal(batch.results[2].chainId, 999999);
+    assert.equal(batch.results[2].proposalAddress, PROPOSAL);
+    assert.equal(typeof batch.results[1].error, 'string');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cache, LruCache, cacheHeaders, etagMatches } = require('../lib/cache');
+
+const PROPOSAL = `0x${'ab'.repeat(20)}`;
+const OTHER = `0x${'ab'.repeat(19)}cd`; // shares a long prefix with PROPOSAL
+
+// A temporary cache directory, removed after the test
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// File writes are asynchronous — wait until the directory holds `count` finished entries
+async function settle(dir, count) {
+    for (let i = 0; i < 100; i++) {
+        const names = fs.readdirSync(dir);
+        if (names.filter(name => name.endsWith('.json')).length >= count && !names.some(name => name.endsWith('.tmp'))) return names;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Cache directory never settled at ${count} entries`);
+}
+
+// ─── LRU ─────────────────────────────────────────────────────────────────────
+
+test('the LRU evicts the least recently used entry', () => {
+    const lru = new LruCache(2);
+    lru.set('a', 1);
+    lru.set('b', 2);
+    assert.equal(lru.get('a'), 1); // a is now the most recent
+    lru.set('c', 3);
+
+    assert.deepEqual(lru.keys(), ['a', 'c']);
+    assert.equal(lru.get('b'), undefined);
+});
+
+test('cached values are copies', () => {
+    const cache = new Cache({ maxEntries: 10 });
+    const value = { twap: { winner: 'YES' } };
+    cache.set('k', value);
+    value.twap.winner = 'NO';
+    cache.get('k').twap.winner = 'TIE';
+    assert.equal(cache.get('k').twap.winner, 'YES');
+});
+
+test('maxEntries 0 disables the cache', () => {
+    const cache = new Cache({ maxEntries: 0 });
+    cache.set('k', 1);
+    assert.equal(cache.get('k'), undefined);
+});
+
+// ─── File Store ──────────────────────────────────────────────────────────────
+
+test('entries are written to files by rename, and survive a new cache', async t => {
+    const dir = tempDir(t);
+    const key = `100:tokens:${PROPOSAL}`;
+    new Cache({ dir }).set(key, { marketName: 'Mock market' });
+
+    const names = await settle(dir, 1);
+    assert.deepEqual(names, [`100_tokens_${PROPOSAL}.json`]);
+
+    // A restarted process reads it from disk
+    const restarted = new Cache({ dir });
+    assert.deepEqual(restarted.get(key), { marketName: 'Mock market' });
+    assert.deepEqual(restarted.memory.keys(), [key]);
+});
+
+// ─── Invalidation ────────────────────────────────────────────────────────────
+
+test('invalidate drops a proposal\'s entries — whole key parts only', async t => {
+    const dir = tempDir(t);
+    const cache = new Cache({ dir });
+    cache.set(`100:tokens:${PROPOSAL}`, 1);
+    cache.set(`100:twap:${PROPOSAL}:1700000000:1700432000:latest:18`, 2);
+    cache.set(`100:tokens:${OTHER}`, 3);
+    await settle(dir, 3);
+
+    // Neither a fragment of the address nor the other proposal's keys match
+    assert.equal(cache.invalidate(PROPOSAL.slice(0, 20)), 0);
+    assert.equal(cache.invalidate(PROPOSAL.toUpperCase().replace('0X', '0x')), 4); // 2 in memory, 2 files
+
+    assert.equal(cache.get(`100:tokens:${PROPOSAL}`), undefined);
+    assert.equal(new Cache({ dir }).get(`100:twap:${PROPOSAL}:1700000000:1700432000:latest:18`), undefined);
+    assert.equal(cache.get(`100:tokens:${OTHER}`), 3);
+
+    assert.equal(cache.invalidate(), 2);
+    assert.equal(cache.get(`100:tokens:${OTHER}`), undefined);
+});
+
+// ─── HTTP Caching ────────────────────────────────────────────────────────────
+
+test('the ETag ignores per-request fields', () => {
+    const result = {
+        status: 'ENDED',
+        twap: { winner: 'YES', percentDiff: '1.2000' },
+        question: { available: true, state: 'FINALIZED' },
+        timestamp: '2026-01-01T00:00:00.000Z',
+        rpc: { endpoints: ['https://a.invalid'] },
+    };
+    const { ETag } = cacheHeaders(result);
+
+    const later = { ...result, timestamp: '2026-01-02T00:00:00.000Z', rpc: { endpoints: ['https://b.invalid'] }, cached: true };
+    assert.equal(cacheHeaders(later).ETag, ETag);
+
+    const changed = { ...result, twap: { winner: 'YES', percentDiff: '1.2001' } };
+    assert.notEqual(cacheHeaders(changed).ETag, ETag);
+});
+
+test('Cache-Control follows the status and the question', () => {
+    const finalized = { available: true, state: 'FINALIZED' };
+    const answered = { available: true, state: 'ANSWERED' };
+    assert.equal(cacheHeaders({ status: 'ENDED', question: finalized })['Cache-Control'], 'public, max-age=31536000, immutable');
+    assert.equal(cacheHeaders({ status: 'ENDED', question: { available: false } })['Cache-Control'], 'public, max-age=31536000, immutable');
+    assert.equal(cacheHeaders({ status: 'ENDED', question: answered })['Cache-Control'], 'public, max-age=60');
+    assert.equal(cacheHeaders({ status: 'NOT_STARTED' })['Cache-Control'], 'public, max-age=60');
+    assert.equal(cacheHeaders({ status: 'ACTIVE' })['Cache-Control'], 'public, max-age=15');
+    assert.deepEqual(cacheHeaders({ error: 'failed' }), { 'Cache-Control': 'no-store' });
+});
+
+test('etagMatches reads If-None-Match lists, weak tags and *', () => {
+    assert.ok(etagMatches('"a", "b"', '"b"'));
+    assert.ok(etagMatches('W/"b"', '"b"'));
+    assert.ok(etagMatches('*', '"b"'));
+    assert.ok(!etagMatches('"a"', '"b"'));
+    assert.ok(!etagMatches(undefined, '"b"'));
+});
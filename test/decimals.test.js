@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRatio, toNumber } = require('../lib/math');
+const { calculateTwap, normalizePrice, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL, TOKENS } = require('./helpers/mock-chain');
+
+const now = () => Math.floor(Date.now() / 1000);
+const close = (actual, expected) => assert.ok(Math.abs(actual / expected - 1) < 1e-6, `${actual} ≉ ${expected}`);
+
+// The tick at which a pool's raw price (token1 per token0, in base units) is `raw`
+const tickOf = raw => Math.log(raw) / Math.log(1.0001);
+
+test.beforeEach(() => configureCache());
+
+// ─── Scaling ─────────────────────────────────────────────────────────────────
+
+// 100 currency per company: an 18-decimal company token against a 6-decimal currency
+// is 100e6 / 1e18 = 1e-10 in base units, or 1e10 the other way round
+test('normalizeRatio scales a raw price by the decimals difference, inverted or not', () => {
+    const decimals = { company: 18, currency: 6 };
+    assert.equal(toNumber(normalizeRatio({ num: 1n, den: 10n ** 10n }, false, decimals)), 100);
+    assert.equal(toNumber(normalizeRatio({ num: 10n ** 10n, den: 1n }, true, decimals)), 100);
+
+    // A 6-decimal company against an 18-decimal currency: 100e18 / 1e6 = 1e14
+    const reversed = { company: 6, currency: 18 };
+    assert.equal(toNumber(normalizeRatio({ num: 10n ** 14n, den: 1n }, false, reversed)), 100);
+    assert.equal(toNumber(normalizeRatio({ num: 1n, den: 10n ** 14n }, true, reversed)), 100);
+
+    // Without decimals nothing is scaled
+    assert.equal(toNumber(normalizeRatio({ num: 1n, den: 10n ** 10n }, false)), 1e-10);
+});
+
+test('normalizePrice agrees with normalizeRatio', () => {
+    close(normalizePrice(1e-10, false, { company: 18, currency: 6 }), 100);
+    close(normalizePrice(1e10, true, { company: 18, currency: 6 }), 100);
+    close(normalizePrice(1e14, false, { company: 6, currency: 18 }), 100);
+    close(normalizePrice(1e-14, true, { company: 6, currency: 18 }), 100);
+});
+
+// ─── Proposals ───────────────────────────────────────────────────────────────
+
+// YES: 18-decimal company, 6-decimal currency, at 100. NO: 6-decimal company, 18-decimal currency, at 99.
+for (const currencyFirst of [false, true]) {
+    test(`a TWAP reads each pool's token decimals${currencyFirst ? ', with the pools inverted' : ''}`, async () => {
+        const yesRaw = 100e6 / 1e18;
+        const noRaw = 99e18 / 1e6;
+        const chain = createMockChain({
+            currencyFirst,
+            yesTick: tickOf(currencyFirst ? 1 / yesRaw : yesRaw),
+            noTick: tickOf(currencyFirst ? 1 / noRaw : noRaw),
+            decimals: { [TOKENS.yesCurrency]: 6, [TOKENS.noCompany]: 6 },
+        });
+        const endTimestamp = now() - 600;
+
+        const { twap } = await calculateTwap(PROPOSAL, 100, { provider: chain, startTimestamp: endTimestamp - 3600, endTimestamp });
+
+        assert.equal(twap.yes.inverted, currencyFirst);
+        assert.equal(twap.no.inverted, currencyFirst);
+        assert.deepEqual(twap.yes.decimals, { company: 18, currency: 6 });
+        assert.deepEqual(twap.no.decimals, { company: 6, currency: 18 });
+        close(twap.yes.price, 100);
+        close(twap.no.price, 99);
+        close(Number(twap.yes.priceDecimal), 100);
+        close(Number(twap.no.priceDecimal), 99);
+        assert.equal(twap.winner, 'YES');
+    });
+}
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatResult, toRows } = require('../lib/format');
+const { calculateTwap, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL, POOLS, TOKENS } = require('./helpers/mock-chain');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test.beforeEach(() => configureCache());
+
+async function twapResult() {
+    const endTimestamp = now() - 600;
+    return calculateTwap(PROPOSAL, 100, {
+        provider: createMockChain({ yesTick: 100.9, noTick: 100.1 }),
+        startTimestamp: endTimestamp - 3600,
+        endTimestamp,
+    });
+}
+
+const proposals = marketName => ({
+    chain: 'Gnosis',
+    proposals: [{ address: PROPOSAL, marketName, companyToken: TOKENS.company, currencyToken: TOKENS.currency, createdBlock: 1050 }],
+});
+
+// ─── Rows ────────────────────────────────────────────────────────────────────
+
+test('a TWAP result is one row per outcome pool', async () => {
+    const result = await twapResult();
+    const rows = toRows(result);
+
+    assert.deepEqual(rows.map(row => Object.keys(row)), Array(2).fill(
+        ['outcome', 'pool', 'inverted', 'twap', 'averageTick', 'spot', 'depth', 'coveredSeconds']
+    ));
+    assert.deepEqual(rows.map(row => [row.outcome, row.pool, row.inverted]), [['YES', POOLS.yes, false], ['NO', POOLS.no, false]]);
+    assert.equal(rows[0].twap, result.twap.yes.priceDecimal);
+    assert.equal(rows[1].averageTick, 100.1);
+    assert.equal(rows[0].coveredSeconds, 3600);
+});
+
+test('pools, series, batch, proposal and chain results each have their rows', () => {
+    const point = (timestamp, winner) => ({
+        timestamp, date: new Date(timestamp * 1000).toISOString(), winner,
+        yes: { twapDecimal: '1.01', priceDecimal: '1.02' }, no: { twapDecimal: '1.00', priceDecimal: '0.99' },
+    });
+
+    assert.deepEqual(toRows({ pools: [{ name: 'YES_COMPANY', address: POOLS.yes, exists: true, inverted: false, extra: 1 }] }), [
+        { name: 'YES_COMPANY', address: POOLS.yes, exists: true, inverted: false },
+    ]);
+    assert.deepEqual(toRows({ series: { points: [point(1700000000, 'YES')] } }), [
+        { timestamp: 1700000000, date: '2023-11-14T22:13:20.000Z', yesTwap: '1.01', noTwap: '1.00', yesPrice: '1.02', noPrice: '0.99', winner: 'YES' },
+    ]);
+    assert.deepEqual(toRows({
+        results: [
+            { chainId: 100, proposalAddress: PROPOSAL, result: { marketName: 'M', status: 'ENDED', twap: { yes: { priceDecimal: '2' }, no: { priceDecimal: '1' }, percentDiff: '100.0000', winner: 'YES' } } },
+            { chainId: 1, proposalAddress: '0x1234', error: 'Invalid proposal address', code: 'INVALID_INPUT' },
+        ],
+    }), [
+        { chainId: 100, proposalAddress: PROPOSAL, marketName: 'M', status: 'ENDED', yes: '2', no: '1', percentDiff: '100.0000', winner: 'YES', error: null },
+        { chainId: 1, proposalAddress: '0x1234', marketName: null, status: null, yes: null, no: null, percentDiff: null, winner: null, error: 'INVALID_INPUT' },
+    ]);
+    assert.deepEqual(toRows(proposals('M')), [
+        { address: PROPOSAL, marketName: 'M', companyToken: TOKENS.company, currencyToken: TOKENS.currency, createdBlock: 1050 },
+    ]);
+    assert.deepEqual(toRows({ chains: [{ chainId: 100, name: 'Gnosis', mode: 'algebra', factory: '0xA0', rpcUrls: [] }] }), [
+        { chainId: 100, name: 'Gnosis', mode: 'algebra', factory: '0xA0' },
+    ]);
+});
+
+test('any other result is one row of its top-level scalars', () => {
+    assert.deepEqual(toRows({ ok: true, count: 2, nested: { a: 1 }, list: [1], missing: null }), [{ ok: true, count: 2, missing: null }]);
+});
+
+// ─── CSV ─────────────────────────────────────────────────────────────────────
+
+test('CSV quotes fields with commas, quotes or line breaks, doubling the quotes', () => {
+    const csv = formatResult(proposals('Will "Acme", Inc.\nship?'), 'csv');
+    assert.equal(csv, [
+        'address,marketName,companyToken,currencyToken,createdBlock',
+        `${PROPOSAL},"Will ""Acme"", Inc.\nship?",${TOKENS.company},${TOKENS.currency},1050`,
+    ].join('\n'));
+    assert.equal(formatResult(proposals('Plain name'), 'csv').split('\n')[1].split(',')[1], 'Plain name');
+});
+
+test('CSV keeps prices at full precision; the table cuts them to 6 digits', async () => {
+    const result = await twapResult();
+    const yes = result.twap.yes.priceDecimal;
+    assert.ok(yes.split('.')[1].length > 6);
+
+    assert.ok(formatResult(result, 'csv').split('\n')[1].includes(`,${yes},`));
+    assert.ok(formatResult(result, 'table').includes(Number(yes).toFixed(6)));
+    assert.ok(!formatResult(result, 'table').includes(yes));
+});
+
+// ─── Markdown ────────────────────────────────────────────────────────────────
+
+test('markdown tables escape pipes and fold line breaks', () => {
+    const markdown = formatResult(proposals('A | B\nC'), 'markdown');
+    assert.equal(markdown, [
+        '### Proposals on Gnosis',
+        '',
+        '| address | marketName | companyToken | currencyToken | createdBlock |',
+        '| --- | --- | --- | --- | --- |',
+        `| ${PROPOSAL} | A \\| B C | ${TOKENS.company} | ${TOKENS.currency} | 1050 |`,
+    ].join('\n'));
+});
+
+test('a markdown TWAP report has the verdict, then the pools table', async () => {
+    const result = await twapResult();
+    const markdown = formatResult(result, 'markdown');
+
+    assert.ok(markdown.startsWith('### Mock market\n\n- **Proposal:** '));
+    assert.ok(markdown.includes('- **Winner:** YES'));
+    assert.ok(markdown.includes('| outcome | pool | inverted | twap | averageTick | spot | depth | coveredSeconds |'));
+    // Every table row has as many cells as the header
+    const rows = markdown.split('\n').filter(line => line.startsWith('| '));
+    assert.equal(rows.length, 4);
+    assert.ok(rows.every(row => row.split(' | ').length === 8));
+});
+
+// ─── Formats ─────────────────────────────────────────────────────────────────
+
+test('empty results and unknown formats', () => {
+    const empty = { chain: 'Gnosis', proposals: [] };
+    assert.equal(formatResult(empty, 'csv'), '');
+    assert.equal(formatResult(empty, 'table'), '(no rows)');
+    assert.ok(formatResult(empty, 'markdown').endsWith('_No rows._'));
+    assert.throws(() => formatResult(empty, 'xml'), { code: 'INVALID_INPUT', message: /Unknown format "xml"/ });
+});
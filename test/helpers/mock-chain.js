@@ -0,0 +1,249 @@
+/**
+ * Mock Chain — an in-memory Gnosis (Algebra) chain with one futarchy proposal, for tests
+ *
+ * Answers JSON-RPC like a node would: blocks every 5 seconds, a proposal with four wrapped
+ * outcome tokens, the Algebra factory's two conditional pools, and oracles whose tick stays
+ * constant — so a pool's tickCumulative at time t is tick × (t - oldest timepoint). Multicall3
+ * and Reality.eth v3 (holding the proposal's question) are at their Gnosis addresses; any
+ * other address has no code.
+ *
+ *   const chain = createMockChain({ yesTick: 100.9, noTick: 100.1, oldestSecondsAgo: 3600 });
+ *   await calculateTwap(PROPOSAL, 100, { provider: chain, ... });
+ *   chain.requests  // every JSON-RPC request served, as [method, params]
+ */
+
+const { ethers } = require('ethers');
+
+const address = n => ethers.utils.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+
+const PROPOSAL = address(0x1000);
+const TOKENS = {
+    yesCompany: address(0x11),
+    noCompany: address(0x12),
+    yesCurrency: address(0x13),
+    noCurrency: address(0x14),
+    company: address(0x15),
+    currency: address(0x16),
+};
+const POOLS = { yes: address(0x21), no: address(0x22) };
+const ALGEBRA_FACTORY = '0xA0864cCA6E114013AB0e27cbd5B6f4c8947da766';
+const MULTICALL3 = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const REALITY_ETH = '0xE78996A233895bE74a66F451f1019cA9734205cc';
+const QUESTION_ID = ethers.utils.id('Mock question');
+
+const proposalAbi = new ethers.utils.Interface([
+    'function wrappedOutcome(uint256 index) view returns (address wrapped1155, bytes data)',
+    'function collateralToken1() view returns (address)',
+    'function collateralToken2() view returns (address)',
+    'function marketName() view returns (string)',
+    'function questionId() view returns (bytes32)',
+]);
+const factoryAbi = new ethers.utils.Interface(['function poolByPair(address token0, address token1) view returns (address pool)']);
+const poolAbi = new ethers.utils.Interface([
+    'function token0() view returns (address)',
+    'function liquidity() view returns (uint128)',
+    'function getTimepoints(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulatives, uint112[] volatilityCumulatives, uint256[] volumePerAvgLiquiditys)',
+    'function globalState() view returns (uint160 price, int24 tick, uint16 fee, uint16 timepointIndex, uint8 communityFeeToken0, uint8 communityFeeToken1, bool unlocked)',
+    'function timepoints(uint256 index) view returns (bool initialized, uint32 blockTimestamp, int56 tickCumulative, uint160 secondsPerLiquidityCumulative, uint88 volatilityCumulative, int24 averageTick, uint144 volumePerLiquidityCumulative)',
+]);
+const multicallAbi = new ethers.utils.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+]);
+const realityAbi = new ethers.utils.Interface([
+    'function getOpeningTS(bytes32 questionId) view returns (uint32)',
+    'function getTimeout(bytes32 questionId) view returns (uint32)',
+    'function getFinalizeTS(bytes32 questionId) view returns (uint32)',
+    'function isFinalized(bytes32 questionId) view returns (bool)',
+    'function isPendingArbitration(bytes32 questionId) view returns (bool)',
+    'function getBestAnswer(bytes32 questionId) view returns (bytes32)',
+]);
+const erc20Abi = new ethers.utils.Interface([
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+]);
+
+const BLOCK_SECONDS = 5;
+const LIQUIDITY = ethers.BigNumber.from(10).pow(21);
+
+// What Algebra's getTimepoints reverts with when asked past its oldest timepoint
+function revertOld() {
+    const data = `0x08c379a0${ethers.utils.defaultAbiCoder.encode(['string'], ['OLD']).slice(2)}`;
+    return Object.assign(new Error('execution reverted: OLD'), { code: 3, data });
+}
+
+class MockChain extends ethers.providers.StaticJsonRpcProvider {
+    /**
+     * @param {object} [state]
+     * @param {number} [state.yesTick=100] - The YES pool's constant tick (may be fractional)
+     * @param {number} [state.noTick=100] - The NO pool's constant tick
+     * @param {number} [state.oldestSecondsAgo=10 days] - Oracle history held at the latest block
+     * @param {number} [state.lagSeconds=0] - How far the latest block trails the clock
+     * @param {object} [state.decimals] - Token decimals by address (default 18)
+     * @param {boolean} [state.currencyFirst=false] - Make the currency token the pools' token0
+     * @param {bigint} [state.currentLiquidity=10^21] - What pool.liquidity() returns (the oracle's
+     *   history always has 10^21)
+     * @param {object} [state.question] - The Reality.eth question's { openingTimestamp, timeout,
+     *   finalizeTimestamp, finalized, bestAnswer } (default: unanswered, opening in a day)
+     */
+    constructor(state = {}) {
+        super('http://mock-chain.invalid', 100);
+        this.chainId = 100;
+        this.latest = { number: 5000, timestamp: Math.floor(Date.now() / 1000) - (state.lagSeconds || 0) };
+        this.yesTick = state.yesTick ?? 100;
+        this.noTick = state.noTick ?? 100;
+        this.decimals = Object.fromEntries(Object.entries(state.decimals || {}).map(([token, n]) => [token.toLowerCase(), n]));
+        this.currencyFirst = !!state.currencyFirst;
+        this.currentLiquidity = ethers.BigNumber.from(String(state.currentLiquidity ?? LIQUIDITY));
+        this.oldestTimestamp = this.latest.timestamp - (state.oldestSecondsAgo ?? 10 * 86400);
+        this.question = {
+            openingTimestamp: this.latest.timestamp + 86400,
+            timeout: 86400,
+            finalizeTimestamp: 0,
+            finalized: false,
+            bestAnswer: ethers.constants.HashZero,
+            ...state.question,
+        };
+        this.requests = [];
+    }
+
+    blockAt(tag) {
+        const number = tag === 'latest' || tag === undefined ? this.latest.number : parseInt(tag, 16);
+        return { number, timestamp: this.latest.timestamp - (this.latest.number - number) * BLOCK_SECONDS };
+    }
+
+    async send(method, params) {
+        this.requests.push([method, params]);
+        switch (method) {
+            case 'eth_chainId':
+                return '0x64';
+            case 'eth_blockNumber':
+                return ethers.utils.hexValue(this.latest.number);
+            case 'eth_getBlockByNumber': {
+                const block = this.blockAt(params[0]);
+                return {
+                    number: ethers.utils.hexValue(block.number),
+                    timestamp: ethers.utils.hexValue(block.timestamp),
+                    hash: `0x${'11'.repeat(32)}`,
+                    parentHash: `0x${'22'.repeat(32)}`,
+                    nonce: '0x0000000000000000',
+                    difficulty: '0x0',
+                    gasLimit: '0x1',
+                    gasUsed: '0x0',
+                    miner: address(1),
+                    extraData: '0x',
+                    transactions: [],
+                    baseFeePerGas: '0x1',
+                };
+            }
+            case 'eth_call':
+                return this.call_(params[0], this.blockAt(params[1]));
+            default:
+                throw new Error(`Mock chain: unsupported method ${method}`);
+        }
+    }
+
+    call_({ to, data }, block) {
+        const target = to.toLowerCase();
+        if (target === MULTICALL3.toLowerCase()) {
+            const [calls] = multicallAbi.decodeFunctionData('aggregate3', data);
+            const results = calls.map(call => {
+                try {
+                    return [true, this.call_({ to: call.target, data: call.callData }, block)];
+                } catch (err) {
+                    if (!call.allowFailure || err.code !== 3) throw err;
+                    return [false, err.data];
+                }
+            });
+            return multicallAbi.encodeFunctionResult('aggregate3', [results]);
+        }
+        if (target === PROPOSAL.toLowerCase()) {
+            const call = proposalAbi.parseTransaction({ data });
+            const outcomes = [TOKENS.yesCompany, TOKENS.noCompany, TOKENS.yesCurrency, TOKENS.noCurrency];
+            const results = {
+                wrappedOutcome: () => [outcomes[call.args[0].toNumber()], '0x'],
+                collateralToken1: () => [TOKENS.company],
+                collateralToken2: () => [TOKENS.currency],
+                marketName: () => ['Mock market'],
+                questionId: () => [QUESTION_ID],
+            };
+            return proposalAbi.encodeFunctionResult(call.name, results[call.name]());
+        }
+        if (target === ALGEBRA_FACTORY.toLowerCase()) {
+            const [a, b] = factoryAbi.parseTransaction({ data }).args.map(token => token.toLowerCase());
+            const pools = {
+                [`${TOKENS.yesCompany}:${TOKENS.yesCurrency}`.toLowerCase()]: POOLS.yes,
+                [`${TOKENS.noCompany}:${TOKENS.noCurrency}`.toLowerCase()]: POOLS.no,
+            };
+            return factoryAbi.encodeFunctionResult('poolByPair', [pools[`${a}:${b}`] || ethers.constants.AddressZero]);
+        }
+        if (target === POOLS.yes.toLowerCase() || target === POOLS.no.toLowerCase()) {
+            const yes = target === POOLS.yes.toLowerCase();
+            const token0 = this.currencyFirst
+                ? (yes ? TOKENS.yesCurrency : TOKENS.noCurrency)
+                : (yes ? TOKENS.yesCompany : TOKENS.noCompany);
+            return this.poolCall(yes ? this.yesTick : this.noTick, token0, data, block);
+        }
+        if (target === REALITY_ETH.toLowerCase()) {
+            const call = realityAbi.parseTransaction({ data });
+            // Any other question reads as all zeros, like Reality.eth's unknown questions
+            const question = call.args[0] === QUESTION_ID ? this.question : {};
+            const results = {
+                getOpeningTS: question.openingTimestamp || 0,
+                getTimeout: question.timeout || 0,
+                getFinalizeTS: question.finalizeTimestamp || 0,
+                isFinalized: !!question.finalized,
+                isPendingArbitration: false,
+                getBestAnswer: question.bestAnswer || ethers.constants.HashZero,
+            };
+            return realityAbi.encodeFunctionResult(call.name, [results[call.name]]);
+        }
+        if (Object.values(TOKENS).some(token => token.toLowerCase() === target)) {
+            const call = erc20Abi.parseTransaction({ data });
+            return erc20Abi.encodeFunctionResult(call.name, [call.name === 'symbol' ? `T${target.slice(-2)}` : this.decimals[target] ?? 18]);
+        }
+        // No code at the address: a node answers any call with empty data
+        return '0x';
+    }
+
+    poolCall(tick, token0, data, block) {
+        const call = poolAbi.parseTransaction({ data });
+        const cumulative = timestamp => ethers.BigNumber.from(Math.round(tick * (timestamp - this.oldestTimestamp)));
+
+        switch (call.name) {
+            case 'token0':
+                return poolAbi.encodeFunctionResult('token0', [token0]);
+            case 'liquidity':
+                return poolAbi.encodeFunctionResult('liquidity', [this.currentLiquidity]);
+            case 'globalState':
+                return poolAbi.encodeFunctionResult('globalState', [ethers.BigNumber.from(2).pow(96), Math.floor(tick), 100, 7, 0, 0, true]);
+            case 'timepoints':
+                return poolAbi.encodeFunctionResult('timepoints', [true, this.oldestTimestamp, 0, 0, 0, 0, 0]);
+            case 'getTimepoints': {
+                const timestamps = call.args[0].map(secondsAgo => block.timestamp - secondsAgo);
+                if (timestamps.some(timestamp => timestamp < this.oldestTimestamp)) throw revertOld();
+                return poolAbi.encodeFunctionResult('getTimepoints', [
+                    timestamps.map(cumulative),
+                    timestamps.map(timestamp => ethers.BigNumber.from(2).pow(128).mul(timestamp - this.oldestTimestamp).div(LIQUIDITY)),
+                    timestamps.map(() => 0),
+                    timestamps.map(() => 0),
+                ]);
+            }
+            default:
+                throw new Error(`Mock chain: unsupported pool call ${call.name}`);
+        }
+    }
+}
+
+function createMockChain(state) {
+    return new MockChain(state);
+}
+
+module.exports = {
+    createMockChain,
+    MULTICALL3,
+    REALITY_ETH,
+    QUESTION_ID,
+    PROPOSAL,
+    TOKENS,
+    POOLS,
+};
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTwap, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL } = require('./helpers/mock-chain');
+
+const now = () => Math.floor(Date.now() / 1000);
+const close = (actual, expected) => assert.ok(Math.abs(actual / expected - 1) < 1e-6, `${actual} ≉ ${expected}`);
+
+// The mock's oracle holds L = 10^21 throughout; at a price of 4, √P = 2 and the
+// 18-decimal currency reserve L·√P is 2000 currency
+const L = 10n ** 21n;
+const PRICE_4 = Math.log(4) / Math.log(1.0001);
+
+test.beforeEach(() => configureCache());
+
+async function liquidityOf(state, options = {}) {
+    const chain = createMockChain({ yesTick: PRICE_4, noTick: PRICE_4, ...state });
+    const endTimestamp = now() - 600;
+    return calculateTwap(PROPOSAL, 100, { provider: chain, startTimestamp: endTimestamp - 3600, endTimestamp, ...options });
+}
+
+// ─── Depth and Manipulation Cost ─────────────────────────────────────────────
+
+test('depth is the currency reserve L·√P, and the manipulation cost one trade through it', async () => {
+    const { twap, warnings = [] } = await liquidityOf({}, { minLiquidity: 1500 });
+    const { liquidity } = twap.yes;
+
+    close(Number(liquidity.harmonicMeanLiquidity), Number(L));
+    assert.equal(liquidity.currentLiquidity, L.toString());
+    close(liquidity.depth, 2000);
+    close(liquidity.currentDepth, 2000);
+
+    // Buying company until √P is √1.02 times higher; selling until it's √0.98 times lower
+    assert.equal(liquidity.manipulationCost.percent, 2);
+    close(liquidity.manipulationCost.up, 2000 * (Math.sqrt(1.02) - 1));
+    close(liquidity.manipulationCost.down, 2000 * (1 / Math.sqrt(0.98) - 1));
+
+    assert.equal(liquidity.minLiquidity, 1500);
+    assert.equal(liquidity.lowLiquidity, false);
+    assert.ok(!warnings.some(warning => warning.code === 'LOW_LIQUIDITY'));
+});
+
+test('the manipulation cost goes through the shallower of the window and current liquidity', async () => {
+    const { twap } = await liquidityOf({ currentLiquidity: L / 4n }, { manipulationPercent: 10 });
+    const { liquidity } = twap.yes;
+
+    close(liquidity.depth, 2000);
+    close(liquidity.currentDepth, 500);
+    close(liquidity.manipulationCost.up, 500 * (Math.sqrt(1.1) - 1));
+    close(liquidity.manipulationCost.down, 500 * (1 / Math.sqrt(0.9) - 1));
+});
+
+// ─── Low Liquidity ───────────────────────────────────────────────────────────
+
+test('a pool shallower than minLiquidity is flagged, with a warning', async () => {
+    const { twap, warnings } = await liquidityOf({}, { minLiquidity: 2001 });
+
+    assert.equal(twap.yes.liquidity.lowLiquidity, true);
+    assert.equal(twap.no.liquidity.lowLiquidity, true);
+    assert.deepEqual(warnings.filter(warning => warning.code === 'LOW_LIQUIDITY').map(warning => warning.pool), ['YES', 'NO']);
+});
+
+test('the threshold applies to the current depth too', async () => {
+    const { twap } = await liquidityOf({ currentLiquidity: L / 4n }, { minLiquidity: 1000 });
+    assert.ok(twap.yes.liquidity.depth > 1000);
+    assert.equal(twap.yes.liquidity.lowLiquidity, true);
+});
+
+test('invalid liquidity options are rejected', async () => {
+    await assert.rejects(liquidityOf({}, { manipulationPercent: 100 }), { code: 'INVALID_INPUT' });
+    await assert.rejects(liquidityOf({}, { minLiquidity: -1 }), { code: 'INVALID_INPUT' });
+});
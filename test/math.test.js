@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MIN_TICK,
+    MAX_TICK,
+    getSqrtRatioAtTick,
+    meanTick,
+    tickRatio,
+    twapRatio,
+    normalizeRatio,
+    compareRatios,
+    percentDiffRatio,
+    formatRatio,
+    toNumber,
+} = require('../lib/math');
+
+// ─── TickMath ────────────────────────────────────────────────────────────────
+
+test('getSqrtRatioAtTick matches TickMath at tick 0 and the extremes', () => {
+    assert.equal(getSqrtRatioAtTick(0), 1n << 96n);
+    // TickMath.MIN_SQRT_RATIO and MAX_SQRT_RATIO
+    assert.equal(getSqrtRatioAtTick(MIN_TICK), 4295128739n);
+    assert.equal(getSqrtRatioAtTick(MAX_TICK), 1461446703485210103287273052203988822378723970342n);
+});
+
+test('getSqrtRatioAtTick rejects ticks out of range', () => {
+    assert.throws(() => getSqrtRatioAtTick(MAX_TICK + 1), /out of range/);
+    assert.throws(() => getSqrtRatioAtTick(MIN_TICK - 1), /out of range/);
+    assert.throws(() => getSqrtRatioAtTick(1.5), /out of range/);
+});
+
+test('tick prices at the extreme ticks stay finite and accurate', () => {
+    const max = toNumber(tickRatio(MAX_TICK));
+    const min = toNumber(tickRatio(MIN_TICK));
+    assert.ok(Math.abs(max / Math.pow(1.0001, MAX_TICK) - 1) < 1e-9);
+    assert.ok(Math.abs(min / Math.pow(1.0001, MIN_TICK) - 1) < 1e-9);
+    // Inverting one extreme lands near the other
+    assert.ok(Math.abs(toNumber(normalizeRatio(tickRatio(MIN_TICK), true)) / max - 1) < 1e-9);
+});
+
+// ─── Mean Tick ───────────────────────────────────────────────────────────────
+
+test('meanTick rounds towards negative infinity, as OracleLibrary.consult', () => {
+    assert.equal(meanTick(1009n, 10), 100);
+    assert.equal(meanTick(1000n, 10), 100);
+    assert.equal(meanTick(-1000n, 10), -100);
+    assert.equal(meanTick(-1001n, 10), -101);
+    assert.equal(meanTick(-1n, 10), -1);
+    assert.equal(meanTick(0n, 10), 0);
+});
+
+// ─── TWAP Prices ─────────────────────────────────────────────────────────────
+
+test('twapRatio prices the fractional average tick', () => {
+    for (const [delta, seconds] of [[1009n, 10], [-1009n, 10], [46682n * 7n + 3n, 7]]) {
+        const expected = Math.pow(1.0001, Number(delta) / seconds);
+        assert.ok(Math.abs(toNumber(twapRatio(delta, seconds)) / expected - 1) < 1e-12);
+    }
+    // An integer average tick is exactly its TickMath price
+    assert.deepEqual(twapRatio(1000n, 10), tickRatio(100));
+});
+
+test('a lead smaller than one tick still decides the comparison', () => {
+    const yes = twapRatio(1009n, 10); // average tick 100.9
+    const no = twapRatio(1001n, 10); // average tick 100.1
+    assert.equal(meanTick(1009n, 10), meanTick(1001n, 10));
+    assert.equal(compareRatios(yes, no), 1);
+    assert.equal(compareRatios(no, yes), -1);
+    assert.equal(compareRatios(yes, twapRatio(2018n, 20)), 0);
+    assert.equal(formatRatio(percentDiffRatio(yes, no), 4), '0.0080');
+});
+
+test('normalizeRatio inverts and scales by the decimals difference', () => {
+    const ratio = { num: 3n, den: 2n };
+    assert.deepEqual(normalizeRatio(ratio, true), { num: 2n, den: 3n });
+    assert.equal(formatRatio(normalizeRatio(ratio, false, { company: 18, currency: 6 }), 0), '1500000000000');
+    assert.equal(formatRatio(normalizeRatio(ratio, false, { company: 6, currency: 8 }), 3), '0.015');
+});
+
+// ─── Formatting ──────────────────────────────────────────────────────────────
+
+test('formatRatio rounds half away from zero', () => {
+    assert.equal(formatRatio({ num: 1n, den: 8n }, 2), '0.13');
+    assert.equal(formatRatio({ num: -1n, den: 8n }, 2), '-0.13');
+    assert.equal(formatRatio({ num: -1n, den: 1000n }, 2), '0.00');
+    assert.equal(formatRatio({ num: 2n, den: 3n }, 0), '1');
+});
+
+test('toNumber keeps significant digits of tiny and negative ratios', () => {
+    assert.equal(toNumber({ num: 1n, den: 3n * 10n ** 50n }), 1 / 3 * 1e-50);
+    assert.equal(toNumber({ num: -1n, den: 3n }), -1 / 3);
+    assert.equal(toNumber({ num: 0n, den: 7n }), 0);
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+    createFileProvider,
+    createRegistryProvider,
+    createOnchainProvider,
+    configureMetadata,
+    fetchMetadata,
+} = require('../lib/metadata');
+const { createMockChain, PROPOSAL } = require('./helpers/mock-chain');
+
+// An override file in a temporary directory, removed after the test
+function overrideFile(t, name, contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twap-metadata-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+// A local GraphQL registry answering every query with respond(body) — { status?, json }
+async function startRegistry(t, respond) {
+    const queries = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+            queries.push(JSON.parse(body));
+            const { status = 200, json } = respond(queries[queries.length - 1]);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { queries, url: `http://127.0.0.1:${server.address().port}/graphql` };
+}
+
+// A provider answering `raw`, or throwing it if it's an Error — noting in `asked` that it was
+const stub = (name, raw, asked = []) => ({
+    name,
+    fetch: async () => {
+        asked.push(name);
+        if (raw instanceof Error) throw raw;
+        return raw;
+    },
+});
+
+const context = { chainId: 100, provider: null };
+
+// ─── File ────────────────────────────────────────────────────────────────────
+
+test('a YAML override file is parsed, with 0x keys kept as addresses', async t => {
+    const file = overrideFile(t, 'overrides.yaml', [
+        `${PROPOSAL.toLowerCase()}:`,
+        '  twapStartTimestamp: 1738454400',
+        '  twapDurationHours: 120',
+        '0x00000000000000000000000000000000000000ff:',
+        '  closeTimestamp: 1738000000',
+        '',
+    ].join('\n'));
+    const provider = createFileProvider(file);
+
+    assert.deepEqual(await provider.fetch(PROPOSAL, context), { twapStartTimestamp: '1738454400', twapDurationHours: '120' });
+    assert.deepEqual(await provider.fetch('0x00000000000000000000000000000000000000FF', context), { closeTimestamp: '1738000000' });
+    assert.equal(await provider.fetch(`0x${'ee'.repeat(20)}`, context), null);
+
+    const { metadata, source } = await fetchMetadata(PROPOSAL, context, [provider]);
+    assert.equal(source, 'file');
+    assert.deepEqual(metadata, { twapStartTimestamp: 1738454400, twapDurationHours: 120, closeTimestamp: null });
+});
+
+test('a JSON override file is parsed, and anything but an object is refused', async t => {
+    const json = overrideFile(t, 'overrides.json', JSON.stringify({ [PROPOSAL]: { closeTimestamp: 1738000000 } }));
+    assert.deepEqual(await createFileProvider(json).fetch(PROPOSAL.toLowerCase(), context), { closeTimestamp: 1738000000 });
+
+    const list = overrideFile(t, 'list.yml', '- 0x1\n- 0x2\n');
+    await assert.rejects(createFileProvider(list).fetch(PROPOSAL, context), /expected an object keyed by proposal address/);
+});
+
+test('the file provider is unavailable without a file', () => {
+    assert.match(createFileProvider(null).unavailable(context), /TWAP_METADATA_FILE/);
+});
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+test('the registry is asked for the lowercased proposal, and its metadata blob parsed', async t => {
+    const registry = await startRegistry(t, () => ({
+        json: { data: { proposalentities: [{ metadata: JSON.stringify({ twapStartTimestamp: 1738454400, twapDurationHours: 72 }) }] } },
+    }));
+
+    const metadata = await createRegistryProvider(registry.url).fetch(PROPOSAL, context);
+    assert.deepEqual(metadata, { twapStartTimestamp: 1738454400, twapDurationHours: 72 });
+    assert.equal(registry.queries[0].variables.proposalAddress, PROPOSAL.toLowerCase());
+    assert.match(registry.queries[0].query, /proposalentities/);
+});
+
+test('registry errors fail the provider; an unknown proposal is null', async t => {
+    const answers = [
+        { status: 502, json: {} },
+        { json: { errors: [{ message: 'bad query' }] } },
+        { json: { data: { proposalentities: [] } } },
+    ];
+    const registry = await startRegistry(t, () => answers.shift());
+    const provider = createRegistryProvider(registry.url);
+
+    await assert.rejects(provider.fetch(PROPOSAL, context), /HTTP 502/);
+    await assert.rejects(provider.fetch(PROPOSAL, context), /GraphQL: bad query/);
+    assert.equal(await provider.fetch(PROPOSAL, context), null);
+});
+
+// ─── Onchain ─────────────────────────────────────────────────────────────────
+
+test('the onchain provider answers the question\'s opening time as the close time', async () => {
+    const chain = createMockChain();
+    const provider = createOnchainProvider();
+
+    assert.equal(provider.unavailable({ chainId: 100 }), null);
+    assert.deepEqual(await provider.fetch(PROPOSAL, { chainId: 100, provider: chain }), {
+        closeTimestamp: chain.question.openingTimestamp,
+    });
+});
+
+// ─── Fallback Order ──────────────────────────────────────────────────────────
+
+test('providers are asked in order until one answers, and each one is reported', async () => {
+    const asked = [];
+
+    const { metadata, source, sources } = await fetchMetadata(PROPOSAL, context, [
+        createFileProvider(null),
+        stub('empty', null, asked),
+        stub('partial', { twapStartTimestamp: 1738454400 }, asked),
+        stub('down', new Error('connection refused'), asked),
+        stub('answers', { closeTimestamp: '1738000000', twapDurationHours: 'soon' }, asked),
+        stub('later', { closeTimestamp: 1 }, asked),
+        'nonexistent',
+    ]);
+
+    assert.deepEqual(asked, ['empty', 'partial', 'down', 'answers']);
+    assert.equal(source, 'answers');
+    assert.deepEqual(metadata, { twapStartTimestamp: null, twapDurationHours: null, closeTimestamp: 1738000000 });
+    assert.deepEqual(sources, [
+        { provider: 'file', status: 'skipped', reason: 'no override file configured (TWAP_METADATA_FILE)' },
+        { provider: 'empty', status: 'skipped', reason: 'no metadata for this proposal' },
+        { provider: 'partial', status: 'skipped', reason: 'metadata has no TWAP window or close time' },
+        { provider: 'down', status: 'failed', reason: 'connection refused' },
+        { provider: 'answers', status: 'answered' },
+        { provider: 'later', status: 'skipped', reason: 'not needed — answers answered' },
+        { provider: 'nonexistent', status: 'skipped', reason: 'unknown provider' },
+    ]);
+});
+
+test('no answer leaves metadata and source null', async () => {
+    const result = await fetchMetadata(PROPOSAL, context, [stub('empty', null)]);
+    assert.deepEqual(result, {
+        metadata: null,
+        source: null,
+        sources: [{ provider: 'empty', status: 'skipped', reason: 'no metadata for this proposal' }],
+    });
+});
+
+test('configuring an unknown source is refused', () => {
+    assert.throws(() => configureMetadata({ sources: ['file', 'psychic'] }), /Unknown metadata provider\(s\): psychic/);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry, createMetrics } = require('../lib/metrics');
+const { instrument } = require('../lib/instrumentation');
+
+// A sample line of the Prometheus text format: name{label="value",...} number, where label
+// values escape only \, " and newlines
+const LABEL = '[a-zA-Z_][a-zA-Z0-9_]*="(?:[^"\\\\\\n]|\\\\[\\\\"n])*"';
+const SAMPLE = new RegExp(`^([a-zA-Z_:][a-zA-Z0-9_:]*)(\\{${LABEL}(?:,${LABEL})*\\})? (-?[0-9.e+-]+|\\+Inf|-Inf|NaN)$`);
+
+/**
+ * Check exposition text line by line: every family has HELP then TYPE before its samples,
+ * and every sample belongs to the family above it. Returns the families' types by name.
+ */
+function parseExposition(text) {
+    assert.ok(text.endsWith('\n'), 'ends with a newline');
+    const types = {};
+    let family = null;
+    for (const line of text.slice(0, -1).split('\n')) {
+        const help = line.match(/^# HELP ([a-zA-Z_:][a-zA-Z0-9_:]*) \S/);
+        const type = line.match(/^# TYPE ([a-zA-Z_:][a-zA-Z0-9_:]*) (counter|gauge|histogram)$/);
+        if (help) {
+            assert.equal(types[help[1]], undefined, `${help[1]} is described once`);
+            family = { name: help[1] };
+        } else if (type) {
+            assert.equal(family?.name, type[1], `TYPE ${type[1]} follows its HELP`);
+            family.type = types[type[1]] = type[2];
+        } else {
+            const sample = line.match(SAMPLE);
+            assert.ok(sample, `well-formed sample: ${line}`);
+            assert.ok(family?.type, `${line} follows a TYPE line`);
+            const suffix = family.type === 'histogram' ? '(_bucket|_sum|_count)' : '';
+            assert.match(sample[1], new RegExp(`^${family.name}${suffix}$`), `${line} belongs to ${family.name}`);
+        }
+    }
+    return types;
+}
+
+// ─── Format ──────────────────────────────────────────────────────────────────
+
+test('label values escape backslashes, quotes and newlines', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('test_total', 'A counter').inc({ route: 'a\\b "c"\nd' }, 2);
+
+    const text = registry.render();
+    assert.equal(text, [
+        '# HELP test_total A counter',
+        '# TYPE test_total counter',
+        'test_total{route="a\\\\b \\"c\\"\\nd"} 2',
+        '',
+    ].join('\n'));
+    parseExposition(text);
+});
+
+test('histogram buckets are cumulative, end at +Inf, and come with _sum and _count', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram('test_seconds', 'A histogram', [0.1, 1, 5]);
+    for (const value of [0.003, 0.1, 0.2, 7]) histogram.observe({ route: '/x' }, value);
+
+    const text = registry.render();
+    assert.deepEqual(text.split('\n').slice(2, -1), [
+        'test_seconds_bucket{route="/x",le="0.1"} 2',
+        'test_seconds_bucket{route="/x",le="1"} 3',
+        'test_seconds_bucket{route="/x",le="5"} 3',
+        'test_seconds_bucket{route="/x",le="+Inf"} 4',
+        'test_seconds_sum{route="/x"} 7.303',
+        'test_seconds_count{route="/x"} 4',
+    ]);
+    parseExposition(text);
+});
+
+test('a metric with no samples still renders its HELP and TYPE', () => {
+    const registry = new MetricsRegistry();
+    registry.gauge('test_gauge', 'A gauge');
+    assert.equal(registry.render(), '# HELP test_gauge A gauge\n# TYPE test_gauge gauge\n');
+});
+
+// ─── Service Metrics ─────────────────────────────────────────────────────────
+
+test('the service\'s metrics, fed by instrumentation, render as valid exposition text', t => {
+    const metrics = createMetrics();
+    t.after(metrics.close);
+
+    metrics.observeRequest('/twap/:chainId/:proposalAddress', 'GET', 200, 0.42);
+    instrument('rpc', { chainId: 100, method: 'eth_call', durationMs: 35 });
+    instrument('rpc', { chainId: 100, method: 'eth_call', durationMs: 5000, error: 'RPC_UNAVAILABLE' });
+    instrument('metadata', { provider: 'registry', status: 'failed', durationMs: 12 });
+    instrument('cache', { kind: 'tokens', hit: true });
+    instrument('twap', {
+        chainId: 100, proposalAddress: '0xABCDEF0000000000000000000000000000000001', status: 'ACTIVE',
+        durationMs: 800, cached: false, yes: 101.2, no: 99.8, spread: 1.4, percentDiff: 1.4028,
+    });
+    instrument('twap', { chainId: 1, proposalAddress: '0x1', durationMs: 10, error: 'INVALID_INPUT' });
+
+    const text = metrics.render();
+    const types = parseExposition(text);
+    assert.equal(types.twap_http_request_duration_seconds, 'histogram');
+    assert.equal(types.twap_price, 'gauge');
+    assert.equal(types.twap_rpc_errors_total, 'counter');
+
+    const lines = text.split('\n');
+    assert.ok(lines.includes('twap_rpc_requests_total{chain_id="100",method="eth_call"} 2'));
+    assert.ok(lines.includes('twap_rpc_errors_total{chain_id="100",method="eth_call",code="RPC_UNAVAILABLE"} 1'));
+    assert.ok(lines.includes('twap_rpc_request_duration_seconds_bucket{chain_id="100",method="eth_call",le="0.05"} 1'));
+    assert.ok(lines.includes('twap_rpc_request_duration_seconds_bucket{chain_id="100",method="eth_call",le="5"} 2'));
+    assert.ok(lines.includes('twap_price{chain_id="100",proposal="0xabcdef0000000000000000000000000000000001",outcome="yes"} 101.2'));
+    assert.ok(lines.includes('twap_calculations_total{chain_id="1",status="none",result="error"} 1'));
+    assert.ok(lines.includes('twap_cache_lookups_total{kind="tokens",result="hit"} 1'));
+
+    metrics.reset();
+    assert.ok(!metrics.render().includes('twap_price{'));
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { MulticallProvider, MULTICALL3_ABI } = require('../lib/multicall');
+const { calculateTwap, configureCache } = require('../lib');
+const { createMockChain, MULTICALL3, PROPOSAL, TOKENS, POOLS } = require('./helpers/mock-chain');
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+const erc20 = ['function symbol() view returns (string)', 'function decimals() view returns (uint8)'];
+const pool = ['function getTimepoints(uint32[] secondsAgos) view returns (int56[], uint160[], uint112[], uint256[])'];
+
+/**
+ * A MulticallProvider whose one endpoint is the mock chain. `sent` lists every request
+ * that reached it; `send` can be replaced to make the endpoint misbehave.
+ */
+function multicallProvider(chain, options = {}) {
+    const provider = new MulticallProvider(['http://rpc.invalid'], 100, { multicall: MULTICALL3, retries: 0, ...options });
+    const endpoint = { sent: [], send: (method, params) => chain.send(method, params) };
+    provider.endpoints[0].provider = {
+        send: (method, params) => {
+            endpoint.sent.push({ method, params });
+            return endpoint.send(method, params);
+        },
+    };
+    return { provider, endpoint };
+}
+
+// Calls in each aggregate3 request, in the order they were sent
+const batchSizes = sent => sent
+    .filter(({ params }) => params[0].to === MULTICALL3)
+    .map(({ params }) => multicallInterface.decodeFunctionData('aggregate3', params[0].data)[0].length);
+
+// ─── Batching ────────────────────────────────────────────────────────────────
+
+test('concurrent reads go out as one aggregate3 call per block tag', async () => {
+    const chain = createMockChain();
+    const { provider, endpoint } = multicallProvider(chain);
+    const token = address => new ethers.Contract(address, erc20, provider);
+
+    const [latest, pinned] = await Promise.all([
+        Promise.all([token(TOKENS.company).symbol(), token(TOKENS.currency).symbol(), token(TOKENS.company).decimals()]),
+        Promise.all([token(TOKENS.company).symbol({ blockTag: 4000 }), token(TOKENS.currency).decimals({ blockTag: 4000 })]),
+    ]);
+
+    assert.deepEqual(latest, ['T15', 'T16', 18]);
+    assert.deepEqual(pinned, ['T15', 18]);
+    assert.equal(endpoint.sent.length, 2);
+    assert.deepEqual(endpoint.sent.map(({ params }) => params[1]).sort(), ['0xfa0', 'latest']);
+    assert.deepEqual(batchSizes(endpoint.sent).sort(), [2, 3]);
+});
+
+test('a single read isn\'t wrapped in aggregate3', async () => {
+    const chain = createMockChain();
+    const { provider, endpoint } = multicallProvider(chain);
+
+    assert.equal(await new ethers.Contract(TOKENS.company, erc20, provider).symbol(), 'T15');
+    assert.equal(endpoint.sent.length, 1);
+    assert.equal(endpoint.sent[0].params[0].to, TOKENS.company);
+});
+
+test('batches are split at 100 calls', async () => {
+    const chain = createMockChain();
+    const { provider, endpoint } = multicallProvider(chain);
+    const token = new ethers.Contract(TOKENS.company, erc20, provider);
+
+    const symbols = await Promise.all(Array.from({ length: 250 }, () => token.symbol()));
+    assert.equal(symbols.length, 250);
+    assert.ok(symbols.every(symbol => symbol === 'T15'));
+    assert.deepEqual(batchSizes(endpoint.sent), [100, 100, 50]);
+});
+
+// ─── Failures ────────────────────────────────────────────────────────────────
+
+test('a reverting call in a batch rejects with its reason; the rest resolve', async () => {
+    const chain = createMockChain({ oldestSecondsAgo: 3600 });
+    const { provider, endpoint } = multicallProvider(chain);
+    const oracle = new ethers.Contract(POOLS.yes, pool, provider);
+
+    const [tooOld, recent, symbol] = await Promise.allSettled([
+        oracle.getTimepoints([7200, 0]),
+        oracle.getTimepoints([600, 0]),
+        new ethers.Contract(TOKENS.company, erc20, provider).symbol(),
+    ]);
+
+    assert.equal(tooOld.status, 'rejected');
+    assert.equal(tooOld.reason.code, 'CALL_EXCEPTION');
+    assert.equal(tooOld.reason.reason, 'OLD');
+    assert.equal(recent.status, 'fulfilled');
+    assert.equal(symbol.value, 'T15');
+    assert.deepEqual(batchSizes(endpoint.sent), [3]);
+});
+
+test('if the aggregate call fails, every read is retried on its own', async () => {
+    const chain = createMockChain();
+    const { provider, endpoint } = multicallProvider(chain);
+    // No Multicall3 at this block: the call answers empty data
+    endpoint.send = (method, params) => (params[0].to === MULTICALL3 ? Promise.resolve('0x') : chain.send(method, params));
+    const token = address => new ethers.Contract(address, erc20, provider);
+
+    const symbols = await Promise.all([token(TOKENS.company).symbol(), token(TOKENS.currency).symbol()]);
+    assert.deepEqual(symbols, ['T15', 'T16']);
+    assert.deepEqual(endpoint.sent.map(({ params }) => params[0].to), [MULTICALL3, TOKENS.company, TOKENS.currency]);
+});
+
+test('when the endpoints are down, the batch fails without retrying each read', async () => {
+    const chain = createMockChain();
+    const { provider, endpoint } = multicallProvider(chain);
+    endpoint.send = () => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'SERVER_ERROR' }));
+    const token = address => new ethers.Contract(address, erc20, provider);
+
+    const results = await Promise.allSettled([token(TOKENS.company).symbol(), token(TOKENS.currency).symbol()]);
+    for (const result of results) {
+        assert.equal(result.status, 'rejected');
+        assert.equal(result.reason.code, 'RPC_UNAVAILABLE');
+    }
+    assert.equal(endpoint.sent.length, 1);
+});
+
+// ─── Round Trips ─────────────────────────────────────────────────────────────
+
+test('an ACTIVE TWAP takes three RPC requests', async () => {
+    configureCache();
+    const chain = createMockChain({ yesTick: 100.9, noTick: 100.1 });
+    const { provider, endpoint } = multicallProvider(chain);
+    const window = { startTimestamp: chain.latest.timestamp - 3600, endTimestamp: chain.latest.timestamp + 3600 };
+
+    const result = await calculateTwap(PROPOSAL, 100, { provider, ...window });
+    assert.equal(result.status, 'ACTIVE');
+    assert.equal(result.twap.winner, 'YES');
+    assert.equal(result.question.state, 'UNANSWERED');
+
+    // Proposal tokens and question ID; pools and the question; then everything at the pools
+    assert.equal(endpoint.sent.length, 3);
+    assert.ok(endpoint.sent.every(({ method, params }) => method === 'eth_call' && params[0].to === MULTICALL3));
+});
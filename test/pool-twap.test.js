@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePoolTwap, OracleHistoryError } = require('../lib');
+const { createMockChain, POOLS } = require('./helpers/mock-chain');
+
+// ─── Full Coverage ───────────────────────────────────────────────────────────
+
+test('calculatePoolTwap prices the exact average tick over a covered window', async () => {
+    const chain = createMockChain({ yesTick: 100.5 });
+    const twap = await calculatePoolTwap(chain, 100, POOLS.yes, 600, false);
+
+    assert.equal(twap.secondsWindow, 600);
+    assert.equal(twap.averageTick, 100.5);
+    assert.equal(twap.meanTick, 100);
+    assert.ok(Math.abs(twap.rawPrice / Math.pow(1.0001, 100.5) - 1) < 1e-12);
+    assert.ok(twap.rawPrice > twap.meanTickPrice.rawPrice);
+    assert.deepEqual(twap.coverage, { requestedSeconds: 600, availableSeconds: 600, complete: true });
+    assert.equal(twap.partial, false);
+});
+
+// ─── Insufficient History ────────────────────────────────────────────────────
+
+test('calculatePoolTwap throws ORACLE_HISTORY_INSUFFICIENT when the oracle is younger than the window', async () => {
+    const chain = createMockChain({ oldestSecondsAgo: 3600 });
+
+    await assert.rejects(
+        calculatePoolTwap(chain, 100, POOLS.yes, 7200, false, { endSecondsAgo: 600 }),
+        err => {
+            assert.ok(err instanceof OracleHistoryError);
+            assert.equal(err.code, 'ORACLE_HISTORY_INSUFFICIENT');
+            assert.equal(err.coverage.requestedSeconds, 6600);
+            assert.equal(err.coverage.availableSeconds, 3000);
+            assert.equal(err.coverage.complete, false);
+            assert.equal(err.coverage.oldestTimestamp, chain.oldestTimestamp);
+            return true;
+        }
+    );
+});
+
+test('calculatePoolTwap with allowPartial averages over the covered part of the window', async () => {
+    const chain = createMockChain({ yesTick: 100.5, oldestSecondsAgo: 3600 });
+    const twap = await calculatePoolTwap(chain, 100, POOLS.yes, 7200, false, { endSecondsAgo: 600, allowPartial: true });
+
+    assert.equal(twap.partial, true);
+    assert.equal(twap.coverage.complete, false);
+    assert.equal(twap.coverage.requestedSeconds, 6600);
+    assert.equal(twap.coverage.availableSeconds, 3000);
+    assert.deepEqual(twap.secondsAgos, [3600, 600]);
+    assert.equal(twap.secondsWindow, 3000);
+    assert.equal(twap.averageTick, 100.5);
+});
+
+test('calculatePoolTwap with allowPartial still throws when none of the window is covered', async () => {
+    const chain = createMockChain({ oldestSecondsAgo: 300 });
+
+    await assert.rejects(
+        calculatePoolTwap(chain, 100, POOLS.yes, 7200, false, { endSecondsAgo: 600, allowPartial: true }),
+        err => err.code === 'ORACLE_HISTORY_INSUFFICIENT' && err.coverage.availableSeconds === 0
+    );
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { listProposals, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL, QUESTION_ID } = require('./helpers/mock-chain');
+
+const FACTORY = ethers.utils.getAddress(`0x${'fa'.repeat(20)}`);
+const factoryAbi = new ethers.utils.Interface([
+    'event NewProposal(address indexed proposal, string marketName, bytes32 conditionId, bytes32 questionId)',
+]);
+
+test.beforeEach(() => configureCache());
+
+/**
+ * A mock chain whose factory created the mock proposal at each of `blocks`, and whose
+ * node refuses eth_getLogs over more than `maxRange` blocks — or fails them all with `error`
+ */
+function chainWithLogs(blocks, { maxRange = Infinity, error } = {}) {
+    const chain = createMockChain();
+    const send = chain.send.bind(chain);
+    chain.ranges = [];
+    chain.send = async (method, params) => {
+        if (method !== 'eth_getLogs') return send(method, params);
+        const fromBlock = parseInt(params[0].fromBlock, 16);
+        const toBlock = parseInt(params[0].toBlock, 16);
+        chain.ranges.push([fromBlock, toBlock]);
+        if (error) throw new Error(error);
+        if (toBlock - fromBlock + 1 > maxRange) throw new Error(`block range is too wide (max ${maxRange})`);
+
+        return blocks.filter(block => block >= fromBlock && block <= toBlock).map((block, i) => {
+            const { data, topics } = factoryAbi.encodeEventLog(
+                factoryAbi.getEvent('NewProposal'), [PROPOSAL, 'Mock market', ethers.constants.HashZero, QUESTION_ID]
+            );
+            return {
+                address: FACTORY, data, topics, logIndex: ethers.utils.hexValue(i), removed: false,
+                blockNumber: ethers.utils.hexValue(block), blockHash: `0x${'33'.repeat(32)}`,
+                transactionIndex: '0x0', transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexValue(block), 32),
+            };
+        });
+    };
+    return chain;
+}
+
+// ─── Log Ranges ──────────────────────────────────────────────────────────────
+
+test('proposal events are read in chunks covering the range exactly', async () => {
+    const chain = chainWithLogs([1050, 1230]);
+    const list = await listProposals(100, { provider: chain, factory: FACTORY, fromBlock: 1000, toBlock: 1249, chunkSize: 100 });
+
+    assert.deepEqual(chain.ranges, [[1000, 1099], [1100, 1199], [1200, 1249]]);
+    assert.equal(list.count, 2);
+    assert.deepEqual(list.proposals.map(proposal => proposal.createdBlock), [1050, 1230]);
+    assert.equal(list.proposals[0].address, PROPOSAL);
+    assert.equal(list.proposals[0].marketName, 'Mock market');
+});
+
+test('a range the node refuses is halved until it\'s accepted, and stays at that size', async () => {
+    const chain = chainWithLogs([1100], { maxRange: 150 });
+    const list = await listProposals(100, { provider: chain, factory: FACTORY, fromBlock: 1000, toBlock: 1299, chunkSize: 1000 });
+
+    assert.deepEqual(chain.ranges, [
+        [1000, 1299], // 1000 blocks, clipped to toBlock — refused
+        [1000, 1299], // 500 — refused
+        [1000, 1249], // 250 — refused
+        [1000, 1124], // 125
+        [1125, 1249],
+        [1250, 1299],
+    ]);
+    assert.equal(list.count, 1);
+});
+
+test('the range is capped at the latest block', async () => {
+    const chain = chainWithLogs([]);
+    const list = await listProposals(100, { provider: chain, factory: FACTORY, fromBlock: 4990, toBlock: 9999, chunkSize: 100 });
+
+    assert.equal(list.toBlock, chain.latest.number);
+    assert.deepEqual(chain.ranges, [[4990, chain.latest.number]]);
+});
+
+test('other getLogs errors, and refusals at the smallest chunk size, aren\'t retried', async () => {
+    const failing = chainWithLogs([], { error: 'internal error' });
+    await assert.rejects(listProposals(100, { provider: failing, factory: FACTORY, fromBlock: 0, toBlock: 999 }), /internal error/);
+    assert.equal(failing.ranges.length, 1);
+
+    const strict = chainWithLogs([], { maxRange: 50 });
+    await assert.rejects(listProposals(100, { provider: strict, factory: FACTORY, fromBlock: 0, toBlock: 999, chunkSize: 400 }), /too wide/);
+    assert.deepEqual(strict.ranges.map(([from, to]) => to - from + 1), [400, 200, 100]);
+});
+
+// ─── Factory ─────────────────────────────────────────────────────────────────
+
+test('listing needs a factory when the chain has none configured', async () => {
+    await assert.rejects(listProposals(100, { provider: createMockChain() }), { code: 'INVALID_INPUT', message: /No proposal factory configured/ });
+});
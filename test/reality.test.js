@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { answerOutcome, questionSummary, readQuestion } = require('../lib/reality');
+const { withRpcContext } = require('../lib/rpc');
+const { calculateTwap, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL, QUESTION_ID, REALITY_ETH } = require('./helpers/mock-chain');
+
+const answer = n => ethers.utils.hexZeroPad(ethers.utils.hexValue(n), 32);
+const INVALID = `0x${'ff'.repeat(32)}`;
+
+// Questions known to Reality.eth: { openingTimestamp, timeout, finalizeTimestamp, finalized, ... }
+const question = fields => ({
+    questionId: QUESTION_ID,
+    realityEth: REALITY_ETH,
+    openingTimestamp: 1738886400,
+    timeout: 86400,
+    finalizeTimestamp: 0,
+    finalized: false,
+    pendingArbitration: false,
+    bestAnswer: ethers.constants.HashZero,
+    ...fields,
+});
+
+// How many times the Reality.eth contract was asked for a question's opening time
+const GET_OPENING_TS = ethers.utils.id('getOpeningTS(bytes32)').slice(0, 10);
+const openingReads = chain => chain.requests.filter(([method, params]) => method === 'eth_call'
+    && params[0].to.toLowerCase() === REALITY_ETH.toLowerCase()
+    && params[0].data.startsWith(GET_OPENING_TS)).length;
+
+test.beforeEach(() => configureCache());
+
+// ─── Answers ─────────────────────────────────────────────────────────────────
+
+test('answers map to YES, NO and INVALID, and anything else to null', () => {
+    assert.equal(answerOutcome(answer(0)), 'YES');
+    assert.equal(answerOutcome(answer(1)), 'NO');
+    assert.equal(answerOutcome(INVALID), 'INVALID');
+    assert.equal(answerOutcome(INVALID.toUpperCase().replace('0X', '0x')), 'INVALID');
+    assert.equal(answerOutcome(answer(2)), null);
+    assert.equal(answerOutcome(`0x${'ff'.repeat(31)}fe`), null);
+});
+
+// ─── Question States ─────────────────────────────────────────────────────────
+
+test('an unanswered question has no answer or outcome, whatever its best answer reads', () => {
+    const summary = questionSummary(question({ bestAnswer: answer(1) }));
+
+    assert.equal(summary.available, true);
+    assert.equal(summary.state, 'UNANSWERED');
+    assert.equal(summary.answer, null);
+    assert.equal(summary.outcome, null);
+    assert.equal(summary.openingDate, '2025-02-07T00:00:00.000Z');
+    assert.equal(summary.finalizeTimestamp, null);
+    assert.equal(summary.finalizeDate, null);
+});
+
+test('an answer is ANSWERED until it\'s final, then FINALIZED', () => {
+    const answered = questionSummary(question({ finalizeTimestamp: 1738972800, bestAnswer: answer(1) }));
+    assert.equal(answered.state, 'ANSWERED');
+    assert.equal(answered.answer, answer(1));
+    assert.equal(answered.outcome, 'NO');
+    assert.equal(answered.finalizeDate, '2025-02-08T00:00:00.000Z');
+
+    const finalized = questionSummary(question({ finalizeTimestamp: 1738972800, finalized: true, bestAnswer: answer(0) }));
+    assert.equal(finalized.state, 'FINALIZED');
+    assert.equal(finalized.outcome, 'YES');
+});
+
+test('a question finalized as invalid reports the INVALID outcome', () => {
+    const summary = questionSummary(question({ finalizeTimestamp: 1738972800, finalized: true, bestAnswer: INVALID }));
+    assert.equal(summary.state, 'FINALIZED');
+    assert.equal(summary.answer, INVALID);
+    assert.equal(summary.outcome, 'INVALID');
+});
+
+// ─── Reads ───────────────────────────────────────────────────────────────────
+
+test('a question is read once per library call, and again in the next one', async () => {
+    const chain = createMockChain();
+
+    const [first, second] = await withRpcContext({}, () => Promise.all([
+        readQuestion(chain, 100, PROPOSAL),
+        readQuestion(chain, 100, PROPOSAL.toLowerCase()),
+    ]));
+    assert.equal(first, second);
+    assert.equal(first.openingTimestamp, chain.question.openingTimestamp);
+    assert.equal(openingReads(chain), 1);
+
+    await withRpcContext({}, () => readQuestion(chain, 100, PROPOSAL));
+    assert.equal(openingReads(chain), 2);
+
+    // Outside a library call nothing is shared
+    await Promise.all([readQuestion(chain, 100, PROPOSAL), readQuestion(chain, 100, PROPOSAL)]);
+    assert.equal(openingReads(chain), 4);
+});
+
+test('an unknown question reads as null', async () => {
+    const chain = createMockChain({ question: { openingTimestamp: 0, timeout: 0 } });
+    assert.equal(await readQuestion(chain, 100, PROPOSAL), null);
+});
+
+test('a TWAP result carries its question', async () => {
+    const finalizeTimestamp = Math.floor(Date.now() / 1000) - 86400;
+    const chain = createMockChain({ question: { finalizeTimestamp, finalized: true, bestAnswer: INVALID } });
+    const endTimestamp = Math.floor(Date.now() / 1000) - 600;
+
+    const result = await calculateTwap(PROPOSAL, 100, { provider: chain, startTimestamp: endTimestamp - 3600, endTimestamp });
+
+    assert.equal(result.question.questionId, QUESTION_ID);
+    assert.equal(result.question.state, 'FINALIZED');
+    assert.equal(result.question.outcome, 'INVALID');
+    assert.equal(openingReads(chain), 1);
+});
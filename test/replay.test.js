@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTwap, watchTwap, RecordingProvider, ReplayProvider } = require('../lib');
+const { FixtureExhaustedError } = require('../lib/replay');
+const { createMockChain, PROPOSAL } = require('./helpers/mock-chain');
+
+// An ENDED day-long window, an hour before the chain's latest block
+function endedWindow(chain) {
+    const endTimestamp = chain.latest.timestamp - 3600;
+    return { startTimestamp: endTimestamp - 86400, endTimestamp };
+}
+
+test('a replayed fixture gives the recorded result, byte for byte', async () => {
+    const chain = createMockChain({ yesTick: 100.9, noTick: 100.1 });
+    const window = endedWindow(chain);
+
+    const recorder = new RecordingProvider(chain);
+    const recorded = await calculateTwap(PROPOSAL, 100, { provider: recorder, ...window });
+    assert.equal(recorded.status, 'ENDED');
+    assert.equal(recorded.twap.winner, 'YES');
+
+    // Through JSON, as save() and fromFile() would
+    const fixture = JSON.parse(JSON.stringify(recorder));
+    assert.ok(fixture.requests.length > 0);
+
+    const replayed = await calculateTwap(PROPOSAL, 100, { provider: new ReplayProvider(fixture), ...window });
+    assert.equal(JSON.stringify(replayed), JSON.stringify(recorded));
+    assert.equal(recorded.cached, undefined);
+    assert.equal(replayed.cached, undefined);
+});
+
+test('replaying the same fixture twice reads it, not the cache', async () => {
+    const chain = createMockChain();
+    const window = endedWindow(chain);
+    const recorder = new RecordingProvider(chain);
+    await calculateTwap(PROPOSAL, 100, { provider: recorder, ...window });
+    const fixture = JSON.parse(JSON.stringify(recorder));
+
+    for (let i = 0; i < 2; i++) {
+        const replay = new ReplayProvider(fixture);
+        const sent = [];
+        const send = replay.send.bind(replay);
+        replay.send = (method, params) => {
+            sent.push(method);
+            return send(method, params);
+        };
+        const result = await calculateTwap(PROPOSAL, 100, { provider: replay, ...window });
+        assert.equal(result.cached, undefined);
+        assert.ok(sent.includes('eth_call'));
+    }
+});
+
+test('a request missing from the fixture fails with RPC_UNAVAILABLE', async () => {
+    const chain = createMockChain();
+    const window = endedWindow(chain);
+    const recorder = new RecordingProvider(chain);
+    await calculateTwap(PROPOSAL, 100, { provider: recorder, ...window });
+
+    // A different window asks for blocks the fixture never saw
+    const replay = new ReplayProvider(JSON.parse(JSON.stringify(recorder)));
+    await assert.rejects(
+        calculateTwap(PROPOSAL, 100, { provider: replay, startTimestamp: window.startTimestamp - 86400, endTimestamp: window.endTimestamp - 86400 }),
+        err => err.code === 'RPC_UNAVAILABLE'
+    );
+});
+
+test('ReplayProvider refuses what isn\'t a fixture', () => {
+    assert.throws(() => new ReplayProvider({ requests: [] }), /Not a version 1 RPC fixture/);
+});
+
+test('a replayed watch ends where its recording stopped', async () => {
+    const chain = createMockChain();
+    const window = { startTimestamp: chain.latest.timestamp - 3600, endTimestamp: chain.latest.timestamp + 3600 };
+    const options = { ...window, pollIntervalMs: 10 };
+
+    const recorder = new RecordingProvider(chain);
+    const recorded = [];
+    for await (const update of watchTwap(PROPOSAL, 100, { ...options, provider: recorder })) {
+        recorded.push(update);
+        break;
+    }
+    assert.equal(recorded[0].status, 'ACTIVE');
+
+    const replayed = [];
+    await assert.rejects(
+        (async () => {
+            for await (const update of watchTwap(PROPOSAL, 100, { ...options, provider: new ReplayProvider(JSON.parse(JSON.stringify(recorder))) })) {
+                replayed.push(update);
+            }
+        })(),
+        err => err instanceof FixtureExhaustedError && /Fixture exhausted/.test(err.message)
+    );
+    assert.equal(JSON.stringify(replayed), JSON.stringify(recorded));
+});
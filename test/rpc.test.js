@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FailoverProvider, withRpcContext } = require('../lib/rpc');
+
+const transportError = () => Object.assign(new Error('missing response'), { code: 'SERVER_ERROR' });
+const revert = () => Object.assign(new Error('execution reverted: OLD'), { code: 3, data: '0x08c379a0' });
+
+/**
+ * A FailoverProvider over stub endpoints a, b, c, ... — each answers with its function
+ * from `answers`. `sent` lists the endpoints asked, in order.
+ */
+function failover(answers, options = {}) {
+    const names = Object.keys(answers);
+    const provider = new FailoverProvider(names.map(name => `https://${name}.invalid/key`), 100, options);
+    const sent = [];
+    provider.endpoints.forEach((endpoint, i) => {
+        endpoint.provider = {
+            send: async (method, params) => {
+                sent.push(names[i]);
+                return answers[names[i]](method, params);
+            },
+        };
+    });
+    return { provider, sent };
+}
+
+// Answers `value` after failing `failures` times
+function flaky(failures, value) {
+    let calls = 0;
+    return () => (calls++ < failures ? Promise.reject(transportError()) : Promise.resolve(value));
+}
+
+// ─── Failover ────────────────────────────────────────────────────────────────
+
+test('transport errors are retried on the same endpoint', async () => {
+    const { provider, sent } = failover({ a: flaky(1, '0x1'), b: () => '0x2' }, { retries: 1 });
+
+    const { result, report } = await withRpcContext({}, async context => ({
+        result: await provider.send('eth_blockNumber', []),
+        report: context.report(),
+    }));
+    assert.equal(result, '0x1');
+    assert.deepEqual(sent, ['a', 'a']);
+    // Only the host is reported — RPC URLs often carry API keys
+    assert.deepEqual(report.endpoints, ['https://a.invalid']);
+});
+
+test('a failing endpoint falls over to the next, and cools down', async () => {
+    const { provider, sent } = failover({ a: () => Promise.reject(transportError()), b: () => '0x2' }, { retries: 0 });
+
+    assert.equal(await provider.send('eth_blockNumber', []), '0x2');
+    assert.deepEqual(sent, ['a', 'b']);
+
+    // While it cools down, the failed endpoint is tried last
+    sent.length = 0;
+    assert.equal(await provider.send('eth_blockNumber', []), '0x2');
+    assert.deepEqual(sent, ['b']);
+
+    // Once the cooldown is over it's back in front
+    provider.endpoints[0].failedAt = Date.now() - 60000;
+    sent.length = 0;
+    await provider.send('eth_blockNumber', []);
+    assert.deepEqual(sent, ['a', 'b']);
+});
+
+test('every endpoint failing is RPC_UNAVAILABLE', async () => {
+    const { provider } = failover({ a: () => Promise.reject(transportError()), b: () => Promise.reject(transportError()) }, { retries: 0 });
+
+    await assert.rejects(provider.send('eth_blockNumber', []), err => {
+        assert.equal(err.code, 'RPC_UNAVAILABLE');
+        assert.match(err.message, /https:\/\/a\.invalid: missing response; https:\/\/b\.invalid: missing response/);
+        assert.doesNotMatch(err.message, /key/);
+        return true;
+    });
+});
+
+test('a revert is an answer: no retry, no failover', async () => {
+    const { provider, sent } = failover({ a: () => Promise.reject(revert()), b: () => '0x2' }, { retries: 2 });
+
+    await assert.rejects(provider.send('eth_call', [{ to: '0x', data: '0x' }, 'latest']), err => err.code === 3);
+    assert.deepEqual(sent, ['a']);
+    assert.equal(provider.endpoints[0].failedAt, 0);
+});
+
+// ─── Quorum ──────────────────────────────────────────────────────────────────
+
+test('a quorum read needs that many identical answers', async () => {
+    const { provider, sent } = failover({ a: () => '0xaa', b: () => '0xbb', c: () => '0xaa' }, { retries: 0 });
+    const call = ['eth_call', [{ to: '0x', data: '0x' }, '0x10']];
+
+    const { result, report } = await withRpcContext({ quorum: 2 }, async context => ({
+        result: await provider.send(...call),
+        report: context.report(),
+    }));
+    assert.equal(result, '0xaa');
+    assert.deepEqual(sent.sort(), ['a', 'b', 'c']);
+    assert.deepEqual(report, { endpoints: ['https://a.invalid', 'https://c.invalid'], quorum: 2 });
+
+    await assert.rejects(
+        withRpcContext({ quorum: 3 }, () => provider.send(...call)),
+        err => err.code === 'RPC_QUORUM_FAILED' && /2\/3 endpoints agree \(2 distinct answers, 0 failed\)/.test(err.message)
+    );
+});
+
+test('agreeing reverts meet the quorum, and failed endpoints don\'t count', async () => {
+    const { provider } = failover({ a: () => Promise.reject(revert()), b: () => Promise.reject(revert()), c: () => Promise.reject(transportError()) }, { retries: 0 });
+    const call = ['eth_call', [{ to: '0x', data: '0x' }, '0x10']];
+
+    await assert.rejects(withRpcContext({ quorum: 2 }, () => provider.send(...call)), err => err.code === 3);
+    await assert.rejects(
+        withRpcContext({ quorum: 3 }, () => provider.send(...call)),
+        err => err.code === 'RPC_QUORUM_FAILED' && /1 failed/.test(err.message)
+    );
+});
+
+// ─── Deadlines and Aborts ────────────────────────────────────────────────────
+
+test('a call past its deadline rejects with DEADLINE_EXCEEDED, without waiting for the request', async () => {
+    const { provider } = failover({ a: () => new Promise(resolve => setTimeout(() => resolve('0x1'), 500)) });
+
+    const started = Date.now();
+    await assert.rejects(
+        withRpcContext({ timeoutMs: 50 }, () => provider.send('eth_blockNumber', [])),
+        err => err.code === 'DEADLINE_EXCEEDED' && /50ms/.test(err.message)
+    );
+    assert.ok(Date.now() - started < 400);
+});
+
+test('an abort rejects with ABORTED and cancels pending retries', async () => {
+    const { provider, sent } = failover({ a: () => Promise.reject(transportError()) }, { retries: 2 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await assert.rejects(
+        withRpcContext({ signal: controller.signal }, () => provider.send('eth_blockNumber', [])),
+        err => err.code === 'ABORTED'
+    );
+    // The first retry waits 250ms — the abort comes before it's sent
+    await new Promise(resolve => setTimeout(resolve, 600));
+    assert.deepEqual(sent, ['a']);
+});
+
+test('an already aborted signal sends nothing', async () => {
+    const { provider, sent } = failover({ a: () => '0x1' });
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(
+        withRpcContext({ signal: controller.signal }, () => provider.send('eth_blockNumber', [])),
+        err => err.code === 'ABORTED'
+    );
+    assert.deepEqual(sent, []);
+});
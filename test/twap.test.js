@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateTwap, configureCache } = require('../lib');
+const { createMockChain, PROPOSAL } = require('./helpers/mock-chain');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test.beforeEach(() => configureCache());
+
+// ─── Settled Windows ─────────────────────────────────────────────────────────
+
+test('an ENDED window is read exactly at the latest block and cached as final', async () => {
+    const chain = createMockChain({ yesTick: 100.9, noTick: 100.1 });
+    const endTimestamp = now() - 600;
+    const window = { startTimestamp: endTimestamp - 3600, endTimestamp };
+
+    const result = await calculateTwap(PROPOSAL, 100, { provider: chain, ...window });
+    assert.equal(result.status, 'ENDED');
+    assert.equal(result.twap.method, 'historical');
+    assert.equal(result.twap.windowSeconds, 3600);
+    assert.equal(result.twap.secondsAgos[1], chain.latest.timestamp - endTimestamp);
+    assert.equal(result.twap.winner, 'YES');
+
+    const again = await calculateTwap(PROPOSAL, 100, { provider: chain, ...window });
+    assert.equal(again.cached, true);
+});
+
+test('a latest block before the window end is read as ACTIVE, and not cached', async () => {
+    // The clock says the window ended 10s ago; the node's latest block is 60s old
+    const chain = createMockChain({ lagSeconds: 60 });
+    const endTimestamp = now() - 10;
+    const window = { startTimestamp: endTimestamp - 3600, endTimestamp };
+
+    const result = await calculateTwap(PROPOSAL, 100, { provider: chain, ...window });
+    assert.equal(result.status, 'ACTIVE');
+    assert.equal(result.twap.method, 'trailing');
+    assert.deepEqual(result.twap.secondsAgos, [chain.latest.timestamp - window.startTimestamp, 0]);
+    assert.ok(result.twap.windowSeconds < 3600);
+    assert.equal(result.timeRemaining.seconds, endTimestamp - chain.latest.timestamp);
+    assert.equal(result.twap.spot.projection.remainingSeconds, endTimestamp - chain.latest.timestamp);
+
+    const again = await calculateTwap(PROPOSAL, 100, { provider: chain, ...window });
+    assert.equal(again.cached, undefined);
+});
+
+// ─── endBlock ────────────────────────────────────────────────────────────────
+
+test('endBlock must be at or after the window end', async () => {
+    const chain = createMockChain();
+    const endTimestamp = now() - 600;
+    const window = { startTimestamp: endTimestamp - 3600, endTimestamp };
+
+    // Blocks are 5s apart: 200 blocks back is 1000s before the latest one
+    await assert.rejects(
+        calculateTwap(PROPOSAL, 100, { provider: chain, ...window, endBlock: chain.latest.number - 200 }),
+        err => err.code === 'INVALID_INPUT' && /before the TWAP window end/.test(err.message)
+    );
+
+    const result = await calculateTwap(PROPOSAL, 100, { provider: chain, ...window, endBlock: chain.latest.number - 100 });
+    assert.equal(result.twap.method, 'block');
+    assert.equal(result.twap.block.number, chain.latest.number - 100);
+    assert.equal(result.twap.windowSeconds, 3600);
+});
+
+test('endBlock is rejected for windows that haven\'t ended', async () => {
+    const chain = createMockChain();
+    const active = { startTimestamp: now() - 3600, endTimestamp: now() + 3600 };
+    const notStarted = { startTimestamp: now() + 3600, endTimestamp: now() + 7200 };
+
+    for (const window of [active, notStarted]) {
+        await assert.rejects(
+            calculateTwap(PROPOSAL, 100, { provider: chain, ...window, endBlock: chain.latest.number }),
+            err => err.code === 'INVALID_INPUT' && /only applies to ENDED windows/.test(err.message)
+        );
+    }
+});